@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+// scripts/evolve.js
+//
+// Run evolution headlessly, as fast as the CPU allows, and write per-generation
+// results to a JSON file.
+//
+//   node scripts/evolve.js --generations 500 --population 50 --seed 42 --out run.json
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { performance } from 'node:perf_hooks';
+import { SimulationEngine } from '../src/simulation/SimulationEngine.js';
+import {
+  INITIAL_POPULATION,
+  INITIAL_FOOD_AMOUNT,
+  DEFAULT_MUTATION_RATE,
+  CROSSOVER_SINGLE_POINT,
+  CROSSOVER_UNIFORM,
+  CROSSOVER_PATTERN,
+  DEFAULT_CROSSOVER_RATE,
+  DEFAULT_CROSSOVER_METHOD,
+  INTEGRATOR_EULER,
+  INTEGRATOR_VERLET,
+  DEFAULT_INTEGRATOR,
+  BOUNDARY_WALLS,
+  BOUNDARY_WRAP,
+  BOUNDARY_OPEN,
+  DEFAULT_BOUNDARY,
+  ENVIRONMENT_TOPDOWN,
+  ENVIRONMENT_SIDEVIEW,
+  ENVIRONMENT_FLUID,
+  DEFAULT_ENVIRONMENT,
+  FITNESS_FOOD,
+  FITNESS_DISTANCE,
+  DEFAULT_FITNESS_MODE,
+  CONTROLLER_PATTERN,
+  CONTROLLER_CPG,
+  CONTROLLER_NEURAL,
+  DEFAULT_CONTROLLER,
+  BODY_ENCODING_PLAN,
+  BODY_ENCODING_GRAPH,
+  DEFAULT_BODY_ENCODING,
+  DEFAULT_PHYSICS_SUBSTEPS,
+  DEFAULT_CONSTRAINT_ITERATIONS,
+  DEFAULT_RESTITUTION
+} from '../src/simulation/constants.js';
+import { createRandomSeed } from '../src/simulation/ecs/utils/Random.js';
+import { parseObstacleMap } from '../src/simulation/maps/ObstacleMap.js';
+import { BUILTIN_MAPS, getBuiltinMap } from '../src/simulation/maps/builtinMaps.js';
+
+const USAGE = `Usage: node scripts/evolve.js [options]
+
+Options:
+  --generations <n>    Number of generations to run (default 100)
+  --population <n>     Population size (default ${INITIAL_POPULATION})
+  --food <n>           Amount of food (default ${INITIAL_FOOD_AMOUNT})
+  --mutation-rate <r>  Mutation rate (default ${DEFAULT_MUTATION_RATE})
+  --crossover-rate <r> Chance that a child has two parents, 0-1 (default ${DEFAULT_CROSSOVER_RATE})
+  --crossover <method> Crossover method: ${CROSSOVER_SINGLE_POINT}, ${CROSSOVER_UNIFORM} or ${CROSSOVER_PATTERN}
+                       (default ${DEFAULT_CROSSOVER_METHOD})
+  --seed <n>           Random seed (default: random)
+  --integrator <name>  Physics integrator: ${INTEGRATOR_EULER} or ${INTEGRATOR_VERLET} (default ${DEFAULT_INTEGRATOR})
+  --substeps <n>       Verlet substeps per step (default ${DEFAULT_PHYSICS_SUBSTEPS})
+  --constraint-iterations <n>
+                       Verlet constraint passes per substep (default ${DEFAULT_CONSTRAINT_ITERATIONS})
+  --boundary <mode>    World edges: ${BOUNDARY_WALLS}, ${BOUNDARY_WRAP} or ${BOUNDARY_OPEN} (default ${DEFAULT_BOUNDARY})
+  --map <name|file>    Obstacle map: a built-in name (${BUILTIN_MAPS.map((map) => map.name).join(', ')})
+                       or a JSON map file (default: no obstacles)
+  --environment <name> ${ENVIRONMENT_TOPDOWN}, ${ENVIRONMENT_SIDEVIEW} for gravity and a ground line,
+                       or ${ENVIRONMENT_FLUID} for swimming (default ${DEFAULT_ENVIRONMENT})
+  --fitness <mode>     Fitness from ${FITNESS_FOOD} eaten or ${FITNESS_DISTANCE} walked (default ${DEFAULT_FITNESS_MODE})
+  --controller <type>  Limb controller: ${CONTROLLER_PATTERN}, ${CONTROLLER_CPG} oscillators or a ${CONTROLLER_NEURAL} network
+                       (default ${DEFAULT_CONTROLLER})
+  --body <encoding>    Bodies from seeded ${BODY_ENCODING_PLAN}s or an evolvable ${BODY_ENCODING_GRAPH} (default ${DEFAULT_BODY_ENCODING})
+  --collisions         Make joints of different organisms collide
+  --self-collision     Also make joints of the same organism collide
+  --restitution <r>    Bounciness of joint collisions, 0-1 (default ${DEFAULT_RESTITUTION})
+  --limb-failure       Break limbs that are stretched or squashed too far
+  --out <file>         Output JSON file (default: print to stdout)
+  --quiet              Do not print progress to stderr
+  --help               Show this message`;
+
+/**
+ * Parse a numeric option, exiting with a message if it is not a number
+ * @param {string} name - Option name for the error message
+ * @param {string|undefined} value - Raw option value
+ * @param {number} fallback - Value used when the option is missing
+ * @returns {number} - The parsed value
+ */
+function parseNumber(name, value, fallback) {
+  if (value === undefined) return fallback;
+
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    console.error(`Invalid value for --${name}: ${value}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  return number;
+}
+
+const { values: options } = parseArgs({
+  options: {
+    generations: { type: 'string' },
+    population: { type: 'string' },
+    food: { type: 'string' },
+    'mutation-rate': { type: 'string' },
+    'crossover-rate': { type: 'string' },
+    crossover: { type: 'string', default: DEFAULT_CROSSOVER_METHOD },
+    seed: { type: 'string' },
+    integrator: { type: 'string', default: DEFAULT_INTEGRATOR },
+    substeps: { type: 'string' },
+    'constraint-iterations': { type: 'string' },
+    boundary: { type: 'string', default: DEFAULT_BOUNDARY },
+    map: { type: 'string' },
+    environment: { type: 'string', default: DEFAULT_ENVIRONMENT },
+    fitness: { type: 'string', default: DEFAULT_FITNESS_MODE },
+    controller: { type: 'string', default: DEFAULT_CONTROLLER },
+    body: { type: 'string', default: DEFAULT_BODY_ENCODING },
+    collisions: { type: 'boolean', default: false },
+    'self-collision': { type: 'boolean', default: false },
+    restitution: { type: 'string' },
+    'limb-failure': { type: 'boolean', default: false },
+    out: { type: 'string' },
+    quiet: { type: 'boolean', default: false },
+    help: { type: 'boolean', default: false }
+  }
+});
+
+if (options.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+if (options.integrator !== INTEGRATOR_EULER && options.integrator !== INTEGRATOR_VERLET) {
+  console.error(`Invalid value for --integrator: ${options.integrator}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+if (![BOUNDARY_WALLS, BOUNDARY_WRAP, BOUNDARY_OPEN].includes(options.boundary)) {
+  console.error(`Invalid value for --boundary: ${options.boundary}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+if (![CROSSOVER_SINGLE_POINT, CROSSOVER_UNIFORM, CROSSOVER_PATTERN].includes(options.crossover)) {
+  console.error(`Invalid value for --crossover: ${options.crossover}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+if (![ENVIRONMENT_TOPDOWN, ENVIRONMENT_SIDEVIEW, ENVIRONMENT_FLUID].includes(options.environment)) {
+  console.error(`Invalid value for --environment: ${options.environment}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+if (![FITNESS_FOOD, FITNESS_DISTANCE].includes(options.fitness)) {
+  console.error(`Invalid value for --fitness: ${options.fitness}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+if (![CONTROLLER_PATTERN, CONTROLLER_CPG, CONTROLLER_NEURAL].includes(options.controller)) {
+  console.error(`Invalid value for --controller: ${options.controller}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+if (![BODY_ENCODING_PLAN, BODY_ENCODING_GRAPH].includes(options.body)) {
+  console.error(`Invalid value for --body: ${options.body}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+/**
+ * Resolve the --map option to an obstacle map, exiting with a message if it is invalid
+ * @param {string|undefined} value - Built-in map name or path to a JSON map file
+ * @returns {Object|null} - The map, or null when the option is missing
+ */
+function loadMap(value) {
+  if (value === undefined) return null;
+
+  try {
+    return getBuiltinMap(value) || parseObstacleMap(readFileSync(value, 'utf8'));
+  } catch (error) {
+    console.error(`Invalid value for --map: ${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+}
+
+const generations = parseNumber('generations', options.generations, 100);
+const params = {
+  populationSize: parseNumber('population', options.population, INITIAL_POPULATION),
+  foodAmount: parseNumber('food', options.food, INITIAL_FOOD_AMOUNT),
+  mutationRate: parseNumber('mutation-rate', options['mutation-rate'], DEFAULT_MUTATION_RATE),
+  crossoverRate: parseNumber('crossover-rate', options['crossover-rate'], DEFAULT_CROSSOVER_RATE),
+  crossoverMethod: options.crossover,
+  seed: parseNumber('seed', options.seed, createRandomSeed()),
+  integrator: options.integrator,
+  substeps: parseNumber('substeps', options.substeps, DEFAULT_PHYSICS_SUBSTEPS),
+  constraintIterations: parseNumber(
+    'constraint-iterations',
+    options['constraint-iterations'],
+    DEFAULT_CONSTRAINT_ITERATIONS
+  ),
+  collisions: options.collisions,
+  selfCollision: options['self-collision'],
+  restitution: parseNumber('restitution', options.restitution, DEFAULT_RESTITUTION),
+  limbFailure: options['limb-failure'],
+  boundary: options.boundary,
+  obstacleMap: loadMap(options.map),
+  environment: options.environment,
+  fitnessMode: options.fitness,
+  controller: options.controller,
+  bodyEncoding: options.body
+};
+
+const results = {
+  params: { ...params, generations },
+  startedAt: new Date().toISOString(),
+  totalMs: 0,
+  generations: []
+};
+
+/**
+ * Write the results gathered so far, so an interrupted run keeps its data
+ */
+function writeResults() {
+  const json = JSON.stringify(results, null, 2);
+  if (options.out) {
+    writeFileSync(options.out, json);
+  } else {
+    console.log(json);
+  }
+}
+
+const engine = new SimulationEngine(params);
+const runStart = performance.now();
+let generationStart = runStart;
+
+engine.on('generation', (event) => {
+  const now = performance.now();
+
+  results.generations.push({
+    generation: event.generation,
+    stats: event.stats,
+    bestGenome: event.bestGenome,
+    steps: event.steps,
+    simulationTime: event.generationTime,
+    durationMs: now - generationStart
+  });
+  results.totalMs = now - runStart;
+  generationStart = now;
+
+  if (!options.quiet) {
+    console.error(
+      `Generation ${event.generation}/${generations}: ` +
+      `best ${event.stats.bestFitness}, avg ${event.stats.averageFitness} ` +
+      `(${Math.round(results.generations.at(-1).durationMs)} ms)`
+    );
+  }
+
+  if (options.out) {
+    writeResults();
+  }
+});
+
+process.on('SIGINT', () => {
+  if (options.out) writeResults();
+  process.exit(130);
+});
+
+// Yield between generations so a Ctrl-C reaches the SIGINT handler
+while (engine.generation < generations) {
+  engine.runGeneration();
+  await new Promise(setImmediate);
+}
+
+if (!options.out) {
+  writeResults();
+} else if (!options.quiet) {
+  console.error(`Wrote ${results.generations.length} generations to ${options.out}`);
+}
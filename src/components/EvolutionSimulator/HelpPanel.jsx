@@ -21,12 +21,18 @@ const HelpPanel = () => {
       
       {showHelp && (
         <div className="help-content">
-          <p><strong>Green dots</strong> are moving joints.</p>
-          <p><strong>Red dots</strong> are anchored joints.</p>
+          <p><strong>Green dots</strong> are raised joints that slide easily.</p>
+          <p><strong>Red dots</strong> are lowered joints that grip the ground.</p>
           <p><strong>Yellow dots</strong> are food.</p>
           <p>The number above each organism is its fitness score.</p>
           <p>The blue text shows how many joints each organism has.</p>
-          <p>Organisms need at least one anchored joint to move effectively.</p>
+          <p>Organisms move by gripping with some joints while pushing or pulling others.</p>
+          <p>In the fluid, joints do not grip: organisms swim by sweeping their limbs sideways through the water.</p>
+          <p>In the side view, gravity pulls organisms onto the ground and red joints are feet that grip only while touching it.</p>
+          <p>With the oscillator controller, limbs stretch and shrink smoothly in rhythms set by their genes instead of snapping between two lengths.</p>
+          <p>With the neural network controller, organisms sense the nearest food and their own motion, and can learn to steer toward food.</p>
+          <p>With evolvable body graphs, mutations move, add and remove joints and limbs, so body shapes evolve too.</p>
+          <p>With limb breaking on, limbs stretched or squashed too far break and cost fitness.</p>
           <p>Organisms with higher fitness are more likely to reproduce in the next generation.</p>
         </div>
       )}
@@ -0,0 +1,47 @@
+import React from 'react';
+
+/**
+ * Timeline slider over the recorded history of the current generation
+ * Scrubbing pauses the simulation; resuming continues from the shown moment
+ * @param {Object} props - Component props
+ * @param {Object} props.history - { size, index, time } from the simulation hook
+ * @param {boolean} props.isRunning - Whether the simulation is running
+ * @param {Function} props.onSeek - Called with the history entry to show
+ */
+const HistoryScrubber = ({ history, isRunning, onSeek }) => {
+  const isRewound = !isRunning && history.index < history.size - 1;
+  
+  return (
+    <div className="history-scrubber">
+      <button
+        onClick={() => onSeek(history.index - 1)}
+        className="button button-blue"
+        disabled={history.index <= 0}
+      >
+        ◀
+      </button>
+      <input
+        type="range"
+        min="0"
+        max={Math.max(0, history.size - 1)}
+        value={history.index}
+        onChange={(e) => onSeek(parseInt(e.target.value))}
+        className="control-slider"
+        disabled={history.size < 2}
+      />
+      <button
+        onClick={() => onSeek(history.index + 1)}
+        className="button button-blue"
+        disabled={history.index >= history.size - 1}
+      >
+        ▶
+      </button>
+      <span className="history-label">
+        t = {history.time.toFixed(1)}s
+        {isRewound && ' (resume to fork from here)'}
+      </span>
+    </div>
+  );
+};
+
+export default HistoryScrubber;
@@ -0,0 +1,93 @@
+import React, { useState, useEffect } from 'react';
+import { downloadJson } from '../../utils/downloadJson';
+
+const REFRESH_INTERVAL = 500; // Milliseconds between report refreshes
+
+/**
+ * Toggleable panel showing per-system timings, entity counts and query cache stats
+ * @param {Object} props - Component props
+ * @param {Function} props.getProfile - Returns a promise of the current performance report
+ * @param {Function} props.setProfiling - Turns timing collection on or off
+ */
+const PerformanceOverlay = ({ getProfile, setProfiling }) => {
+  const [showOverlay, setShowOverlay] = useState(false);
+  const [report, setReport] = useState(null);
+  
+  // Only collect timings while the panel is open
+  useEffect(() => {
+    if (!showOverlay) return;
+    
+    setProfiling(true);
+    let cancelled = false;
+    
+    const refresh = () => {
+      getProfile().then((nextReport) => {
+        if (!cancelled) setReport(nextReport);
+      });
+    };
+    refresh();
+    const intervalId = setInterval(refresh, REFRESH_INTERVAL);
+    
+    return () => {
+      cancelled = true;
+      clearInterval(intervalId);
+      setProfiling(false);
+    };
+  }, [showOverlay, getProfile, setProfiling]);
+  
+  const exportReport = () => {
+    getProfile().then((latestReport) => {
+      downloadJson(latestReport, `performance-${Date.now()}.json`);
+    });
+  };
+  
+  return (
+    <div className="performance-container">
+      <button 
+        onClick={() => setShowOverlay(!showOverlay)}
+        className="help-toggle"
+      >
+        {showOverlay ? 'Hide Performance' : 'Show Performance'}
+      </button>
+      
+      {showOverlay && report && (
+        <div className="performance-overlay">
+          <table className="performance-table">
+            <thead>
+              <tr>
+                <th>System</th>
+                <th>Avg ms</th>
+                <th>Max ms</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(report.systems).map(([name, timing]) => (
+                <tr key={name}>
+                  <td>{name}</td>
+                  <td>{timing.avgMs.toFixed(3)}</td>
+                  <td>{timing.maxMs.toFixed(3)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          
+          <p>Entities: {report.entities.total}</p>
+          <p>
+            Query cache: {report.queries.cached} cached, 
+            hit rate {(report.queries.hitRate * 100).toFixed(1)}%
+          </p>
+          {report.worker && <p>Simulation is running in a Web Worker.</p>}
+          
+          <button 
+            onClick={exportReport}
+            className="button button-blue"
+          >
+            Export JSON
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PerformanceOverlay;
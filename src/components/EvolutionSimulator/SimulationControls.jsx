@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useRef } from 'react';
 import {
   MIN_POPULATION,
   MAX_POPULATION,
@@ -6,9 +6,35 @@ import {
   MAX_FOOD_AMOUNT,
   MIN_MUTATION_RATE,
   MAX_MUTATION_RATE,
+  MIN_CROSSOVER_RATE,
+  MAX_CROSSOVER_RATE,
+  CROSSOVER_SINGLE_POINT,
+  CROSSOVER_UNIFORM,
+  CROSSOVER_PATTERN,
   MIN_SIMULATION_SPEED,
-  MAX_SIMULATION_SPEED
+  MAX_SIMULATION_SPEED,
+  MIN_PHYSICS_SUBSTEPS,
+  MAX_PHYSICS_SUBSTEPS,
+  MIN_CONSTRAINT_ITERATIONS,
+  MAX_CONSTRAINT_ITERATIONS,
+  INTEGRATOR_EULER,
+  INTEGRATOR_VERLET,
+  BOUNDARY_WALLS,
+  BOUNDARY_WRAP,
+  BOUNDARY_OPEN,
+  ENVIRONMENT_TOPDOWN,
+  ENVIRONMENT_SIDEVIEW,
+  ENVIRONMENT_FLUID,
+  FITNESS_FOOD,
+  FITNESS_DISTANCE,
+  CONTROLLER_PATTERN,
+  CONTROLLER_CPG,
+  CONTROLLER_NEURAL,
+  BODY_ENCODING_PLAN,
+  BODY_ENCODING_GRAPH,
+  MAX_SEED
 } from '../../simulation/constants';
+import { BUILTIN_MAPS, getBuiltinMap } from '../../simulation/maps/builtinMaps';
 
 /**
  * Controls for adjusting simulation parameters
@@ -17,12 +43,57 @@ const SimulationControls = ({
   population,
   foodAmount,
   mutationRate,
+  crossoverRate,
+  crossoverMethod,
   speed,
+  seed,
+  useWorker,
+  integrator,
+  substeps,
+  constraintIterations,
+  collisions,
+  selfCollision,
+  restitution,
+  limbFailure,
+  boundary,
+  obstacleMap,
+  environment,
+  fitnessMode,
+  controller,
+  bodyEncoding,
   setPopulation,
   setFoodAmount,
   setMutationRate,
-  setSpeed
+  setCrossoverRate,
+  setCrossoverMethod,
+  setSpeed,
+  setSeed,
+  setUseWorker,
+  setIntegrator,
+  setSubsteps,
+  setConstraintIterations,
+  setCollisions,
+  setSelfCollision,
+  setRestitution,
+  setLimbFailure,
+  setBoundary,
+  setObstacleMap,
+  setEnvironment,
+  setFitnessMode,
+  setController,
+  setBodyEncoding,
+  onLoadMapFile
 }) => {
+  const mapFileInputRef = useRef(null);
+  const isCustomMap = obstacleMap !== null && !getBuiltinMap(obstacleMap.name);
+  
+  // Hand the chosen file over, then reset the input so the same file can be loaded again
+  const handleMapFileChange = (e) => {
+    const file = e.target.files[0];
+    if (file) onLoadMapFile(file);
+    e.target.value = '';
+  };
+  
   return (
     <div className="controls-container">
       <div className="control-item">
@@ -65,6 +136,35 @@ const SimulationControls = ({
         <div className="control-value">{mutationRate.toFixed(2)}</div>
       </div>
       
+      <div className="control-item">
+        <label className="control-label">Crossover Rate</label>
+        <input 
+          type="range" 
+          min={MIN_CROSSOVER_RATE} 
+          max={MAX_CROSSOVER_RATE} 
+          step="0.05" 
+          value={crossoverRate} 
+          onChange={(e) => setCrossoverRate(parseFloat(e.target.value))}
+          className="control-slider"
+        />
+        <div className="control-value">{crossoverRate.toFixed(2)}</div>
+      </div>
+      
+      {crossoverRate > 0 && (
+        <div className="control-item">
+          <label className="control-label">Crossover Method</label>
+          <select 
+            value={crossoverMethod} 
+            onChange={(e) => setCrossoverMethod(e.target.value)}
+            className="control-number"
+          >
+            <option value={CROSSOVER_SINGLE_POINT}>Single-point</option>
+            <option value={CROSSOVER_UNIFORM}>Uniform</option>
+            <option value={CROSSOVER_PATTERN}>Whole patterns</option>
+          </select>
+        </div>
+      )}
+      
       <div className="control-item">
         <label className="control-label">Simulation Speed</label>
         <input 
@@ -78,6 +178,225 @@ const SimulationControls = ({
         />
         <div className="control-value">{speed.toFixed(1)}x</div>
       </div>
+      
+      <div className="control-item">
+        <label className="control-label">Physics Integrator (applies on restart)</label>
+        <select 
+          value={integrator} 
+          onChange={(e) => setIntegrator(e.target.value)}
+          className="control-number"
+        >
+          <option value={INTEGRATOR_EULER}>Euler + springs</option>
+          <option value={INTEGRATOR_VERLET}>Verlet + distance constraints</option>
+        </select>
+      </div>
+      
+      {integrator === INTEGRATOR_VERLET && (
+        <>
+          <div className="control-item">
+            <label className="control-label">Physics Substeps</label>
+            <input 
+              type="range" 
+              min={MIN_PHYSICS_SUBSTEPS} 
+              max={MAX_PHYSICS_SUBSTEPS} 
+              value={substeps} 
+              onChange={(e) => setSubsteps(parseInt(e.target.value))}
+              className="control-slider"
+            />
+            <div className="control-value">{substeps}</div>
+          </div>
+          
+          <div className="control-item">
+            <label className="control-label">Constraint Iterations</label>
+            <input 
+              type="range" 
+              min={MIN_CONSTRAINT_ITERATIONS} 
+              max={MAX_CONSTRAINT_ITERATIONS} 
+              value={constraintIterations} 
+              onChange={(e) => setConstraintIterations(parseInt(e.target.value))}
+              className="control-slider"
+            />
+            <div className="control-value">{constraintIterations}</div>
+          </div>
+        </>
+      )}
+      
+      <div className="control-item">
+        <label className="control-label">Environment (applies on restart)</label>
+        <select 
+          value={environment} 
+          onChange={(e) => setEnvironment(e.target.value)}
+          className="control-number"
+        >
+          <option value={ENVIRONMENT_TOPDOWN}>Top-down</option>
+          <option value={ENVIRONMENT_SIDEVIEW}>Side view (gravity)</option>
+          <option value={ENVIRONMENT_FLUID}>Fluid (swimming)</option>
+        </select>
+      </div>
+      
+      <div className="control-item">
+        <label className="control-label">Fitness (applies on restart)</label>
+        <select 
+          value={fitnessMode} 
+          onChange={(e) => setFitnessMode(e.target.value)}
+          className="control-number"
+        >
+          <option value={FITNESS_FOOD}>Food eaten</option>
+          <option value={FITNESS_DISTANCE}>Distance walked</option>
+        </select>
+      </div>
+      
+      <div className="control-item">
+        <label className="control-label">Controller (applies on restart)</label>
+        <select 
+          value={controller} 
+          onChange={(e) => setController(e.target.value)}
+          className="control-number"
+        >
+          <option value={CONTROLLER_PATTERN}>On/off patterns</option>
+          <option value={CONTROLLER_CPG}>Oscillators (CPG)</option>
+          <option value={CONTROLLER_NEURAL}>Neural network (senses food)</option>
+        </select>
+      </div>
+      
+      <div className="control-item">
+        <label className="control-label">Body Shape (applies on restart)</label>
+        <select 
+          value={bodyEncoding} 
+          onChange={(e) => setBodyEncoding(e.target.value)}
+          className="control-number"
+        >
+          <option value={BODY_ENCODING_PLAN}>Fixed body plans</option>
+          <option value={BODY_ENCODING_GRAPH}>Evolvable body graph</option>
+        </select>
+      </div>
+      
+      <div className="control-item">
+        <label className="control-label">World Boundary (applies on restart)</label>
+        <select 
+          value={boundary} 
+          onChange={(e) => setBoundary(e.target.value)}
+          className="control-number"
+        >
+          <option value={BOUNDARY_WALLS}>Bounce off walls</option>
+          <option value={BOUNDARY_WRAP}>Wrap around edges</option>
+          <option value={BOUNDARY_OPEN}>Open arena (camera follows)</option>
+        </select>
+      </div>
+      
+      <div className="control-item">
+        <label className="control-label">Obstacle Map (applies on restart)</label>
+        <select 
+          value={obstacleMap ? obstacleMap.name : ''} 
+          onChange={(e) => {
+            // The custom option keeps the map loaded from a file
+            if (isCustomMap && e.target.value === obstacleMap.name) return;
+            setObstacleMap(getBuiltinMap(e.target.value));
+          }}
+          className="control-number"
+        >
+          <option value="">None</option>
+          {BUILTIN_MAPS.map((map) => (
+            <option key={map.name} value={map.name}>{map.name}</option>
+          ))}
+          {isCustomMap && (
+            <option value={obstacleMap.name}>{obstacleMap.name} (from file)</option>
+          )}
+        </select>
+        <button
+          onClick={() => mapFileInputRef.current.click()}
+          className="button button-blue"
+        >
+          Load map file
+        </button>
+        <input
+          ref={mapFileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleMapFileChange}
+          hidden
+        />
+      </div>
+      
+      <div className="control-item">
+        <label className="control-checkbox">
+          <input 
+            type="checkbox" 
+            checked={collisions} 
+            onChange={(e) => setCollisions(e.target.checked)}
+          />
+          Organisms collide (applies on restart)
+        </label>
+      </div>
+      
+      {collisions && (
+        <>
+          <div className="control-item">
+            <label className="control-checkbox">
+              <input 
+                type="checkbox" 
+                checked={selfCollision} 
+                onChange={(e) => setSelfCollision(e.target.checked)}
+              />
+              Self-collision within an organism
+            </label>
+          </div>
+          
+          <div className="control-item">
+            <label className="control-label">Collision Restitution</label>
+            <input 
+              type="range" 
+              min={0} 
+              max={1} 
+              step="0.05" 
+              value={restitution} 
+              onChange={(e) => setRestitution(parseFloat(e.target.value))}
+              className="control-slider"
+            />
+            <div className="control-value">{restitution.toFixed(2)}</div>
+          </div>
+        </>
+      )}
+      
+      <div className="control-item">
+        <label className="control-checkbox">
+          <input 
+            type="checkbox" 
+            checked={limbFailure} 
+            onChange={(e) => setLimbFailure(e.target.checked)}
+          />
+          Overstrained limbs break (applies on restart)
+        </label>
+      </div>
+      
+      <div className="control-item">
+        <label className="control-label">Random Seed (applies on restart)</label>
+        <input 
+          type="number" 
+          min={0} 
+          max={MAX_SEED} 
+          step="1" 
+          value={seed} 
+          onChange={(e) => {
+            const value = parseInt(e.target.value);
+            if (!Number.isNaN(value)) {
+              setSeed(Math.max(0, Math.min(MAX_SEED, value)));
+            }
+          }}
+          className="control-number"
+        />
+      </div>
+      
+      <div className="control-item">
+        <label className="control-checkbox">
+          <input 
+            type="checkbox" 
+            checked={useWorker} 
+            onChange={(e) => setUseWorker(e.target.checked)}
+          />
+          Run in Web Worker (restarts the run)
+        </label>
+      </div>
     </div>
   );
 };
@@ -1,15 +1,27 @@
-import React from 'react';
+import React, { useRef } from 'react';
 
 /**
  * Displays simulation statistics and control buttons
  */
 const SimulationStats = ({ 
   generation, 
+  seed,
   stats, 
   isRunning, 
   onToggleSimulation, 
-  onRestartSimulation 
+  onRestartSimulation,
+  onSaveRun,
+  onLoadRun
 }) => {
+  const fileInputRef = useRef(null);
+  
+  // Hand the chosen file over, then reset the input so the same file can be loaded again
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (file) onLoadRun(file);
+    e.target.value = '';
+  };
+  
   return (
     <div className="stats-container">
       <div className="stats-row">
@@ -36,6 +48,30 @@ const SimulationStats = ({
       <div className="joint-diversity">
         Joint Diversity: Min {stats.minJoints} | Avg {stats.avgJoints} | Max {stats.maxJoints}
       </div>
+      <div className="joint-diversity">
+        Seed: {seed}
+      </div>
+      <div className="buttons-container run-file-buttons">
+        <button
+          onClick={onSaveRun}
+          className="button button-blue"
+        >
+          Save run
+        </button>
+        <button
+          onClick={() => fileInputRef.current.click()}
+          className="button button-blue"
+        >
+          Load run
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleFileChange}
+          hidden
+        />
+      </div>
     </div>
   );
 };
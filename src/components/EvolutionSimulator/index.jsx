@@ -3,8 +3,10 @@ import React, { useRef } from 'react';
 import useECSSimulation from '../../hooks/useECSSimulation';  // Update this import
 import SimulationCanvas from './SimulationCanvas';
 import SimulationControls from './SimulationControls';
+import HistoryScrubber from './HistoryScrubber';
 import SimulationStats from './SimulationStats';
 import HelpPanel from './HelpPanel';
+import PerformanceOverlay from './PerformanceOverlay';
 import { CANVAS_WIDTH, CANVAS_HEIGHT } from '../../simulation/constants';
 import './EvolutionSimulator.css';
 
@@ -26,12 +28,26 @@ const EvolutionSimulator = () => {
             canvasRef={canvasRef} 
           />
           
+          <HistoryScrubber 
+            history={simulation.history}
+            isRunning={simulation.isRunning}
+            onSeek={simulation.seekHistory}
+          />
+          
           <SimulationStats 
             generation={simulation.generation}
+            seed={simulation.runSeed}
             stats={simulation.stats}
             isRunning={simulation.isRunning}
             onToggleSimulation={simulation.toggleSimulation}
             onRestartSimulation={simulation.restartSimulation}
+            onSaveRun={simulation.saveRun}
+            onLoadRun={simulation.loadRun}
+          />
+          
+          <PerformanceOverlay 
+            getProfile={simulation.getProfile}
+            setProfiling={simulation.setProfiling}
           />
         </div>
         
@@ -42,11 +58,46 @@ const EvolutionSimulator = () => {
             population={simulation.population}
             foodAmount={simulation.foodAmount}
             mutationRate={simulation.mutationRate}
+            crossoverRate={simulation.crossoverRate}
+            crossoverMethod={simulation.crossoverMethod}
             speed={simulation.speed}
+            seed={simulation.seed}
+            useWorker={simulation.useWorker}
+            integrator={simulation.integrator}
+            substeps={simulation.substeps}
+            constraintIterations={simulation.constraintIterations}
+            collisions={simulation.collisions}
+            selfCollision={simulation.selfCollision}
+            restitution={simulation.restitution}
+            limbFailure={simulation.limbFailure}
+            boundary={simulation.boundary}
+            obstacleMap={simulation.obstacleMap}
+            environment={simulation.environment}
+            fitnessMode={simulation.fitnessMode}
+            controller={simulation.controller}
+            bodyEncoding={simulation.bodyEncoding}
             setPopulation={simulation.setPopulation}
             setFoodAmount={simulation.setFoodAmount}
             setMutationRate={simulation.setMutationRate}
+            setCrossoverRate={simulation.setCrossoverRate}
+            setCrossoverMethod={simulation.setCrossoverMethod}
             setSpeed={simulation.setSpeed}
+            setSeed={simulation.setSeed}
+            setUseWorker={simulation.setUseWorker}
+            setIntegrator={simulation.setIntegrator}
+            setSubsteps={simulation.setSubsteps}
+            setConstraintIterations={simulation.setConstraintIterations}
+            setCollisions={simulation.setCollisions}
+            setSelfCollision={simulation.setSelfCollision}
+            setRestitution={simulation.setRestitution}
+            setLimbFailure={simulation.setLimbFailure}
+            setBoundary={simulation.setBoundary}
+            setObstacleMap={simulation.setObstacleMap}
+            setEnvironment={simulation.setEnvironment}
+            setFitnessMode={simulation.setFitnessMode}
+            setController={simulation.setController}
+            setBodyEncoding={simulation.setBodyEncoding}
+            onLoadMapFile={simulation.loadMapFile}
           />
         </div>
       </div>
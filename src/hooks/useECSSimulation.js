@@ -1,25 +1,47 @@
 // src/hooks/useECSSimulation.js
-import { useState, useRef, useEffect } from 'react';
-import { World } from '../simulation/ecs/World';
-import { EntityFactory } from '../simulation/ecs/EntityFactory';
-import { PhysicsSystem } from '../simulation/ecs/systems/PhysicsSystem';
-import { JointConnectionSystem } from '../simulation/ecs/systems/JointConnectionSystem';
-import { FoodSystem } from '../simulation/ecs/systems/FoodSystem';
-import { StateSystem } from '../simulation/ecs/systems/StateSystem';
-import { RenderSystem } from '../simulation/ecs/systems/RenderSystem';
-import { EvolutionSystem } from '../simulation/ecs/systems/EvolutionSystem';
-import { 
-  CANVAS_WIDTH, 
-  CANVAS_HEIGHT, 
-  GENERATION_TIME,
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { LocalSimulationHost } from '../simulation/hosts/LocalSimulationHost';
+import { WorkerSimulationHost } from '../simulation/hosts/WorkerSimulationHost';
+import { createRandomSeed } from '../simulation/ecs/utils/Random';
+import { downloadJson } from '../utils/downloadJson';
+import { parseObstacleMap } from '../simulation/maps/ObstacleMap';
+import {
   INITIAL_POPULATION,
   INITIAL_FOOD_AMOUNT,
   DEFAULT_MUTATION_RATE,
-  DEFAULT_SIMULATION_SPEED
+  DEFAULT_CROSSOVER_RATE,
+  DEFAULT_CROSSOVER_METHOD,
+  DEFAULT_SIMULATION_SPEED,
+  DEFAULT_INTEGRATOR,
+  DEFAULT_PHYSICS_SUBSTEPS,
+  DEFAULT_CONSTRAINT_ITERATIONS,
+  DEFAULT_RESTITUTION,
+  DEFAULT_BOUNDARY,
+  DEFAULT_ENVIRONMENT,
+  DEFAULT_FITNESS_MODE,
+  DEFAULT_CONTROLLER,
+  DEFAULT_BODY_ENCODING,
+  FIXED_TIMESTEP
 } from '../simulation/constants';
 
+const EMPTY_STATS = {
+  bestFitness: 0,
+  averageFitness: 0,
+  minJoints: 0,
+  maxJoints: 0,
+  avgJoints: 0
+};
+
+const EMPTY_HISTORY = {
+  size: 0,
+  index: 0,
+  step: 0
+};
+
 /**
  * Custom hook to manage the evolution simulation using ECS architecture
+ * A thin React adapter over a simulation host: the engine runs either on the
+ * main thread or in a Web Worker, and host events are mirrored into component state
  * @param {React.RefObject} canvasRef - Reference to the canvas element
  * @returns {Object} - Simulation state and control functions
  */
@@ -30,171 +52,145 @@ export function useECSSimulation(canvasRef) {
   const [population, setPopulation] = useState(INITIAL_POPULATION);
   const [foodAmount, setFoodAmount] = useState(INITIAL_FOOD_AMOUNT);
   const [mutationRate, setMutationRate] = useState(DEFAULT_MUTATION_RATE);
+  const [crossoverRate, setCrossoverRate] = useState(DEFAULT_CROSSOVER_RATE);
+  const [crossoverMethod, setCrossoverMethod] = useState(DEFAULT_CROSSOVER_METHOD);
   const [speed, setSpeed] = useState(DEFAULT_SIMULATION_SPEED);
-  const [stats, setStats] = useState({
-    bestFitness: 0,
-    averageFitness: 0,
-    minJoints: 0,
-    maxJoints: 0,
-    avgJoints: 0
-  });
-  const [needsRestart, setNeedsRestart] = useState(false);
+  const [seed, setSeed] = useState(createRandomSeed); // Seed applied on the next restart
+  const [runSeed, setRunSeed] = useState(seed);       // Seed of the run currently on screen
+  const [useWorker, setUseWorker] = useState(false);
+  const [integrator, setIntegrator] = useState(DEFAULT_INTEGRATOR);
+  const [substeps, setSubsteps] = useState(DEFAULT_PHYSICS_SUBSTEPS);
+  const [constraintIterations, setConstraintIterations] = useState(DEFAULT_CONSTRAINT_ITERATIONS);
+  const [collisions, setCollisions] = useState(false);
+  const [selfCollision, setSelfCollision] = useState(false);
+  const [restitution, setRestitution] = useState(DEFAULT_RESTITUTION);
+  const [limbFailure, setLimbFailure] = useState(false);
+  const [boundary, setBoundary] = useState(DEFAULT_BOUNDARY);
+  const [obstacleMap, setObstacleMap] = useState(null);
+  const [environment, setEnvironment] = useState(DEFAULT_ENVIRONMENT);
+  const [fitnessMode, setFitnessMode] = useState(DEFAULT_FITNESS_MODE);
+  const [controller, setController] = useState(DEFAULT_CONTROLLER);
+  const [bodyEncoding, setBodyEncoding] = useState(DEFAULT_BODY_ENCODING);
+  const [stats, setStats] = useState(EMPTY_STATS);
+  const [history, setHistory] = useState(EMPTY_HISTORY);
   
   // Refs to hold current values without triggering re-renders
-  const populationRef = useRef(population);
-  const foodAmountRef = useRef(foodAmount);
-  const mutationRateRef = useRef(mutationRate);
   const speedRef = useRef(speed);
-  const worldRef = useRef(null);
-  const evolutionSystemRef = useRef(null);
-  const renderSystemRef = useRef(null);
-  const foodSystemRef = useRef(null);
+  const isRunningRef = useRef(isRunning);
+  const hostRef = useRef(null);
+  const profilingRef = useRef(false);
+  const paramsRef = useRef(null); // Parameters chosen in the controls, for the host effect
   
-  // Update refs when state changes
   useEffect(() => {
-    populationRef.current = population;
-  }, [population]);
+    speedRef.current = speed;
+    hostRef.current?.setSpeed(speed);
+  }, [speed]);
   
   useEffect(() => {
-    foodAmountRef.current = foodAmount;
-  }, [foodAmount]);
+    isRunningRef.current = isRunning;
+    if (isRunning) {
+      hostRef.current?.start();
+    } else {
+      hostRef.current?.pause();
+    }
+  }, [isRunning]);
   
-  useEffect(() => {
-    mutationRateRef.current = mutationRate;
-  }, [mutationRate]);
+  /**
+   * Collect the simulation parameters chosen in the controls
+   * @returns {Object} - Parameters for SimulationEngine
+   */
+  const getParams = () => ({
+    populationSize: population,
+    foodAmount,
+    mutationRate,
+    crossoverRate,
+    crossoverMethod,
+    seed,
+    integrator,
+    substeps,
+    constraintIterations,
+    collisions,
+    selfCollision,
+    restitution,
+    limbFailure,
+    boundary,
+    obstacleMap,
+    environment,
+    fitnessMode,
+    controller,
+    bodyEncoding
+  });
   
+  // Runs before the host effect, so a new host starts from the current controls
   useEffect(() => {
-    speedRef.current = speed;
-  }, [speed]);
+    paramsRef.current = getParams();
+  });
   
-  // Main simulation effect
+  // Create the host; switching between main thread and worker starts a new run
   useEffect(() => {
     if (!canvasRef.current) return;
     
-    const canvas = canvasRef.current;
-    const ctx = canvas.getContext('2d');
-    
-    // Initialize ECS world and systems
-    const world = new World();
-    worldRef.current = world;
-    
-    const entityFactory = new EntityFactory(world);
-    
-    // Create systems
-    const physicsSystem = new PhysicsSystem(world);
-    const jointConnectionSystem = new JointConnectionSystem(world);
-    const foodSystem = new FoodSystem(world);
-    const stateSystem = new StateSystem(world);
-    const renderSystem = new RenderSystem(world, ctx);
-    const evolutionSystem = new EvolutionSystem(
-      world,
-      entityFactory,
-      foodAmountRef.current,
-      populationRef.current,
-      mutationRateRef.current
-    );
+    const ctx = canvasRef.current.getContext('2d');
+    const params = paramsRef.current;
+    const host = useWorker
+      ? new WorkerSimulationHost(ctx, params)
+      : new LocalSimulationHost(ctx, params);
+    hostRef.current = host;
     
-    // Store references to systems we need to access later
-    evolutionSystemRef.current = evolutionSystem;
-    renderSystemRef.current = renderSystem;
-    foodSystemRef.current = foodSystem;
+    const unsubscribeGeneration = host.on('generation', (event) => {
+      setStats(event.stats);
+      setGeneration(event.generation);
+    });
     
-    // Add systems to world in specific order for proper processing
-    world.addSystem(stateSystem)         // First determine joint states
-         .addSystem(jointConnectionSystem) // Then handle joint connections
-         .addSystem(physicsSystem)       // Then apply physics forces
-         .addSystem(foodSystem)          // Then check for food consumption
-         .addSystem(renderSystem);       // Finally render everything
+    const unsubscribeHistory = host.on('history', setHistory);
     
-    // Initialize the first generation
-    evolutionSystem.initializeGeneration();
+    // A loaded run brings its own parameters; show them in the controls
+    const unsubscribeLoad = host.on('load', (event) => {
+      setStats(event.stats);
+      setGeneration(event.generation);
+      setPopulation(event.params.populationSize);
+      setFoodAmount(event.params.foodAmount);
+      setMutationRate(event.params.mutationRate);
+      setCrossoverRate(event.params.crossoverRate);
+      setCrossoverMethod(event.params.crossoverMethod);
+      setIntegrator(event.params.integrator);
+      setSubsteps(event.params.substeps);
+      setConstraintIterations(event.params.constraintIterations);
+      setCollisions(event.params.collisions);
+      setSelfCollision(event.params.selfCollision);
+      setRestitution(event.params.restitution);
+      setLimbFailure(event.params.limbFailure);
+      setBoundary(event.params.boundary);
+      setObstacleMap(event.params.obstacleMap);
+      setEnvironment(event.params.environment);
+      setFitnessMode(event.params.fitnessMode);
+      setController(event.params.controller);
+      setBodyEncoding(event.params.bodyEncoding);
+      setSeed(event.params.seed);
+      setRunSeed(event.params.seed);
+    });
     
-    let animationFrameId;
-    let lastTime = performance.now();
-    let generationStartTime = performance.now() / 1000; // Track actual generation start time
-    let frameCount = 0;
-    let generationEndCounter = 0; // Counter for generations that seem stuck
+    setRunSeed(params.seed);
+    setGeneration(0);
+    setStats(EMPTY_STATS);
+    setHistory(EMPTY_HISTORY);
     
-    // Main simulation loop
-    const simulate = (currentTime) => {
-      // Calculate delta time
-      const deltaTime = Math.min((currentTime - lastTime) / 1000, 0.1); // Cap at 0.1s to prevent huge jumps
-      lastTime = currentTime;
-      
-      // Check if we need to restart simulation
-      if (needsRestart) {
-        // Update evolution system parameters
-        evolutionSystem.setParams(foodAmountRef.current, populationRef.current, mutationRateRef.current);
-        evolutionSystem.initializeGeneration();
-        generationStartTime = performance.now() / 1000;
-        frameCount = 0;
-        generationEndCounter = 0;
-        setGeneration(0);
-        setStats({
-          bestFitness: 0,
-          averageFitness: 0,
-          minJoints: 0,
-          maxJoints: 0,
-          avgJoints: 0
-        });
-        setNeedsRestart(false);
-      }
-      
-      // Always replenish some food to keep the simulation moving
-      const foodEntities = world.getEntitiesWithComponent('FoodComponent');
-      if (foodEntities.length < foodAmountRef.current * 0.8) {
-        evolutionSystem.replenishFood(Math.max(1, Math.floor(foodAmountRef.current * 0.1)));
-      }
-      
-      // Update world with current simulation speed
-      const updatedSpeed = speedRef.current * deltaTime;
-      world.update(updatedSpeed);
-      
-      // Increment frame counter
-      frameCount++;
-      
-      // Count frames where nothing happens (no food eaten)
-      if (foodSystemRef.current.foodsEaten === 0 && frameCount > 500) {
-        generationEndCounter++;
-      } else {
-        generationEndCounter = 0; // Reset counter if food was eaten
-      }
-      
-      // Check for generation end conditions - use actual elapsed time
-      const currentRealTime = performance.now() / 1000;
-      const elapsedRealTime = currentRealTime - generationStartTime;
-      
-      let shouldEndGeneration = 
-        elapsedRealTime >= GENERATION_TIME || // Use constant for generation duration in seconds
-        foodEntities.length === 0 || 
-        frameCount >= 100000 ||  // Extremely high to avoid frame-based termination
-        generationEndCounter >= 1000; // Only used when stuck with no progress
-        
-      if (shouldEndGeneration) {
-        const nextGenStats = evolutionSystem.createNextGeneration();
-        setStats(nextGenStats);
-        setGeneration(prev => prev + 1);
-        generationStartTime = performance.now() / 1000;
-        frameCount = 0;
-        generationEndCounter = 0;
-      }
-      
-      // Loop animation if running
-      if (isRunning) {
-        animationFrameId = requestAnimationFrame(simulate);
-      }
-    };
-    
-    // Start the simulation loop
-    if (isRunning) {
-      animationFrameId = requestAnimationFrame(simulate);
+    host.setSpeed(speedRef.current);
+    host.setProfiling(profilingRef.current);
+    if (isRunningRef.current) {
+      host.start();
     }
     
-    // Cleanup on unmount
     return () => {
-      cancelAnimationFrame(animationFrameId);
+      unsubscribeGeneration();
+      unsubscribeLoad();
+      unsubscribeHistory();
+      host.dispose();
+      hostRef.current = null;
     };
-  }, [isRunning, needsRestart]);
+    // The host is only recreated when the canvas or threading mode changes;
+    // parameter changes apply on restart
+  }, [canvasRef, useWorker]);
   
   /**
    * Toggle the simulation on/off
@@ -207,9 +203,86 @@ export function useECSSimulation(canvasRef) {
    * Restart the simulation with current settings
    */
   const restartSimulation = () => {
-    setNeedsRestart(true);
+    const host = hostRef.current;
+    if (!host) return;
+    
+    host.restart(getParams());
+    
+    setRunSeed(seed);
+    setGeneration(0);
+    setStats(EMPTY_STATS);
   };
   
+  /**
+   * Pause and show a recorded moment of the current generation
+   * Resuming from there forks the run
+   * @param {number} index - History entry, 0 being the oldest
+   */
+  const seekHistory = (index) => {
+    const host = hostRef.current;
+    if (!host) return;
+    
+    setIsRunning(false);
+    host.seekHistory(index);
+  };
+  
+  /**
+   * Download a snapshot of the current run as a JSON file
+   */
+  const saveRun = () => {
+    const host = hostRef.current;
+    if (!host) return;
+    
+    host.saveSnapshot().then((snapshot) => {
+      downloadJson(snapshot, `evolution-run-${runSeed}-gen-${generation}.json`);
+    });
+  };
+  
+  /**
+   * Replace the current run with one from a saved snapshot file
+   * @param {File} file - JSON file written by saveRun
+   */
+  const loadRun = (file) => {
+    const host = hostRef.current;
+    if (!host) return;
+    
+    file.text()
+      .then((text) => host.loadSnapshot(JSON.parse(text)))
+      .catch((error) => {
+        window.alert(`Could not load run: ${error.message}`);
+      });
+  };
+  
+  /**
+   * Use an obstacle map from a JSON file from the next restart on
+   * @param {File} file - JSON file in the obstacle map format
+   */
+  const loadMapFile = (file) => {
+    file.text()
+      .then((text) => setObstacleMap(parseObstacleMap(text)))
+      .catch((error) => {
+        window.alert(`Could not load map: ${error.message}`);
+      });
+  };
+  
+  /**
+   * Turn per-system timing collection on or off
+   * @param {boolean} enabled - Whether to collect timings
+   */
+  const setProfiling = useCallback((enabled) => {
+    profilingRef.current = enabled;
+    hostRef.current?.setProfiling(enabled);
+  }, []);
+  
+  /**
+   * Get the current performance report from the running host
+   * @returns {Promise<Object|null>} - The report, or null without a host
+   */
+  const getProfile = useCallback(() => {
+    const host = hostRef.current;
+    return host ? host.getProfile() : Promise.resolve(null);
+  }, []);
+  
   return {
     // State
     isRunning,
@@ -217,19 +290,64 @@ export function useECSSimulation(canvasRef) {
     population,
     foodAmount,
     mutationRate,
+    crossoverRate,
+    crossoverMethod,
     speed,
+    seed,
+    runSeed,
+    useWorker,
+    integrator,
+    substeps,
+    constraintIterations,
+    collisions,
+    selfCollision,
+    restitution,
+    limbFailure,
+    boundary,
+    obstacleMap,
+    environment,
+    fitnessMode,
+    controller,
+    bodyEncoding,
     stats,
+    history: {
+      ...history,
+      time: history.step * FIXED_TIMESTEP // Simulation seconds into the generation
+    },
     
     // Setters
     setPopulation,
     setFoodAmount,
     setMutationRate,
+    setCrossoverRate,
+    setCrossoverMethod,
     setSpeed,
+    setSeed,
+    setUseWorker,
+    setIntegrator,
+    setSubsteps,
+    setConstraintIterations,
+    setCollisions,
+    setSelfCollision,
+    setRestitution,
+    setLimbFailure,
+    setBoundary,
+    setObstacleMap,
+    setEnvironment,
+    setFitnessMode,
+    setController,
+    setBodyEncoding,
     
     // Actions
     toggleSimulation,
-    restartSimulation
+    restartSimulation,
+    seekHistory,
+    saveRun,
+    loadRun,
+    loadMapFile,
+    setProfiling,
+    getProfile
   };
 }
 
-export default useECSSimulation;
\ No newline at end of file
+export default useECSSimulation;
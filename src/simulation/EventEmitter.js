@@ -0,0 +1,48 @@
+// src/simulation/EventEmitter.js
+
+/**
+ * Minimal event emitter shared by the engine and the simulation hosts
+ */
+export class EventEmitter {
+  /**
+   * Create a new emitter with no listeners
+   */
+  constructor() {
+    this.listeners = new Map(); // Event name to array of callbacks
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} eventName - Name of the event
+   * @param {Function} callback - Called with the event payload
+   * @returns {Function} - Call to unsubscribe
+   */
+  on(eventName, callback) {
+    if (!this.listeners.has(eventName)) {
+      this.listeners.set(eventName, []);
+    }
+    this.listeners.get(eventName).push(callback);
+    
+    return () => {
+      const callbacks = this.listeners.get(eventName);
+      const index = callbacks.indexOf(callback);
+      if (index !== -1) callbacks.splice(index, 1);
+    };
+  }
+
+  /**
+   * Call every listener registered for an event
+   * @param {string} eventName - Name of the event
+   * @param {Object} payload - Data passed to listeners
+   */
+  emit(eventName, payload) {
+    const callbacks = this.listeners.get(eventName);
+    if (!callbacks) return;
+    
+    for (const callback of callbacks) {
+      callback(payload);
+    }
+  }
+}
+
+export default EventEmitter;
@@ -0,0 +1,182 @@
+// src/simulation/RenderSnapshot.js
+import { OrganismComponent } from './ecs/components/OrganismComponent.js';
+import { FitnessComponent } from './ecs/components/FitnessComponent.js';
+import { JointComponent } from './ecs/components/JointComponent.js';
+import { PositionComponent } from './ecs/components/PositionComponent.js';
+import { FoodComponent } from './ecs/components/FoodComponent.js';
+import { RenderComponent } from './ecs/components/RenderComponent.js';
+import { ObstacleComponent } from './ecs/components/ObstacleComponent.js';
+import { GroundComponent } from './ecs/components/GroundComponent.js';
+
+/**
+ * Number of floats stored per organism in RenderSnapshot.organisms:
+ * centerX, centerY, fitness, firstJoint, jointCount, firstLimb, limbCount
+ */
+export const ORGANISM_STRIDE = 7;
+
+/**
+ * Build a compact, typed-array description of everything the renderer draws
+ * Snapshots hold no object references, so they can be posted from a Worker
+ * with their buffers transferred instead of copied
+ *
+ * In a wrapping world each organism's joints are stored as the nearest
+ * images of its first joint, so an organism straddling an edge stays in one
+ * piece; the renderer draws it again on the other side
+ * @param {World} world - The world to capture
+ * @param {WorldBoundary} boundary - Shape of the world, or null for plain walls
+ * @returns {Object} - The render snapshot
+ */
+export function createRenderSnapshot(world, boundary = null) {
+  const organismEntities = world.query(OrganismComponent, FitnessComponent).toArray();
+  const foodEntities = world.query(FoodComponent, PositionComponent, RenderComponent).toArray();
+  
+  // Count joints and limbs first so every array can be allocated once
+  let jointCount = 0;
+  let limbCount = 0;
+  for (const organismEntity of organismEntities) {
+    for (const jointId of organismEntity.getComponent(OrganismComponent).jointIds) {
+      const jointEntity = world.getEntity(jointId);
+      if (!jointEntity) continue;
+      
+      jointCount++;
+      limbCount += jointEntity.getComponent(JointComponent).connections.length;
+    }
+  }
+  
+  const jointPositions = new Float32Array(jointCount * 2);
+  const jointRadii = new Float32Array(jointCount);
+  const anchored = new Uint8Array(jointCount);
+  const limbPairs = new Uint32Array(limbCount * 2);
+  const organisms = new Float32Array(organismEntities.length * ORGANISM_STRIDE);
+  
+  let jointIndex = 0;
+  let limbIndex = 0;
+  const jointIndices = new Map(); // Entity ID to index in the joint arrays
+  
+  for (let o = 0; o < organismEntities.length; o++) {
+    const organismEntity = organismEntities[o];
+    const organism = organismEntity.getComponent(OrganismComponent);
+    const firstJoint = jointIndex;
+    const firstLimb = limbIndex;
+    const jointEntities = [];
+    let centerX = 0;
+    let centerY = 0;
+    let originX = 0;
+    let originY = 0;
+    
+    for (const jointId of organism.jointIds) {
+      const jointEntity = world.getEntity(jointId);
+      if (!jointEntity) continue;
+      
+      const joint = jointEntity.getComponent(JointComponent);
+      const position = jointEntity.getComponent(PositionComponent).position;
+      if (jointEntities.length === 0) {
+        originX = position.x;
+        originY = position.y;
+      }
+      const x = boundary ? originX + boundary.deltaX(originX, position.x) : position.x;
+      const y = boundary ? originY + boundary.deltaY(originY, position.y) : position.y;
+      jointEntities.push(jointEntity);
+      
+      jointIndices.set(jointId, jointIndex);
+      jointPositions[jointIndex * 2] = x;
+      jointPositions[jointIndex * 2 + 1] = y;
+      jointRadii[jointIndex] = joint.radius;
+      anchored[jointIndex] = joint.isAnchored ? 1 : 0;
+      centerX += x;
+      centerY += y;
+      jointIndex++;
+    }
+    
+    // Limbs reference joints by snapshot index, so resolve them once all joints are placed
+    for (let j = 0; j < jointEntities.length; j++) {
+      for (const connectedJointId of jointEntities[j].getComponent(JointComponent).connections) {
+        const connectedIndex = jointIndices.get(connectedJointId);
+        if (connectedIndex === undefined) continue;
+        
+        limbPairs[limbIndex * 2] = firstJoint + j;
+        limbPairs[limbIndex * 2 + 1] = connectedIndex;
+        limbIndex++;
+      }
+    }
+    
+    const organismJointCount = jointIndex - firstJoint;
+    const base = o * ORGANISM_STRIDE;
+    organisms[base] = organismJointCount > 0 ? centerX / organismJointCount : 0;
+    organisms[base + 1] = organismJointCount > 0 ? centerY / organismJointCount : 0;
+    organisms[base + 2] = organismEntity.getComponent(FitnessComponent).fitness;
+    organisms[base + 3] = firstJoint;
+    organisms[base + 4] = organismJointCount;
+    organisms[base + 5] = firstLimb;
+    organisms[base + 6] = limbIndex - firstLimb;
+  }
+  
+  const foodPositions = new Float32Array(foodEntities.length * 2);
+  const foodRadii = new Float32Array(foodEntities.length);
+  const foodColor = foodEntities.length > 0
+    ? foodEntities[0].getComponent(RenderComponent).color
+    : '#ffff00';
+  
+  for (let f = 0; f < foodEntities.length; f++) {
+    const position = foodEntities[f].getComponent(PositionComponent).position;
+    foodPositions[f * 2] = position.x;
+    foodPositions[f * 2 + 1] = position.y;
+    foodRadii[f] = foodEntities[f].getComponent(RenderComponent).radius;
+  }
+  
+  // Obstacles are few, so plain objects are fine for them
+  const obstacles = world.query(ObstacleComponent, PositionComponent, RenderComponent).toArray().map((entity) => {
+    const obstacle = entity.getComponent(ObstacleComponent);
+    const position = entity.getComponent(PositionComponent).position;
+    return {
+      shape: obstacle.shape,
+      x: position.x,
+      y: position.y,
+      radius: obstacle.radius,
+      points: [...obstacle.points],
+      color: entity.getComponent(RenderComponent).color
+    };
+  });
+  
+  // A side-view world has one ground line
+  let ground = null;
+  for (const entity of world.query(GroundComponent, RenderComponent)) {
+    ground = {
+      points: [...entity.getComponent(GroundComponent).points],
+      color: entity.getComponent(RenderComponent).color
+    };
+  }
+  
+  return {
+    jointPositions,
+    jointRadii,
+    anchored,
+    limbPairs: limbPairs.subarray(0, limbIndex * 2),
+    organisms,
+    foodPositions,
+    foodRadii,
+    foodColor,
+    obstacles,
+    ground,
+    boundary: boundary ? boundary.describe() : null
+  };
+}
+
+/**
+ * List the buffers of a snapshot for postMessage's transfer list
+ * @param {Object} snapshot - A render snapshot
+ * @returns {ArrayBuffer[]} - Buffers that can be transferred
+ */
+export function getSnapshotTransferables(snapshot) {
+  return [
+    snapshot.jointPositions.buffer,
+    snapshot.jointRadii.buffer,
+    snapshot.anchored.buffer,
+    snapshot.limbPairs.buffer,
+    snapshot.organisms.buffer,
+    snapshot.foodPositions.buffer,
+    snapshot.foodRadii.buffer
+  ];
+}
+
+export default createRenderSnapshot;
@@ -0,0 +1,52 @@
+// src/simulation/SimulationClock.js
+import { FIXED_TIMESTEP, MAX_FRAME_TIME, MAX_STEPS_PER_FRAME } from './constants.js';
+
+/**
+ * Fixed-timestep clock that turns variable frame times into whole simulation steps
+ * Every step advances the simulation by exactly FIXED_TIMESTEP, so results do not
+ * depend on the display's refresh rate. Speed scales how many steps run per frame,
+ * never the size of a step.
+ */
+export class SimulationClock {
+  /**
+   * Create a new clock
+   * @param {number} fixedStep - Simulation seconds per step
+   * @param {number} maxStepsPerFrame - Upper bound on steps in a single frame
+   */
+  constructor(fixedStep = FIXED_TIMESTEP, maxStepsPerFrame = MAX_STEPS_PER_FRAME) {
+    this.fixedStep = fixedStep;
+    this.maxStepsPerFrame = maxStepsPerFrame;
+    this.accumulator = 0;
+  }
+
+  /**
+   * Accumulate a frame's worth of time and return how many steps to run
+   * @param {number} frameTime - Real seconds since the previous frame
+   * @param {number} speed - Simulation speed multiplier
+   * @returns {number} - Number of fixed steps to run this frame
+   */
+  advance(frameTime, speed) {
+    // Long pauses (background tabs, breakpoints) are dropped rather than replayed
+    this.accumulator += Math.min(frameTime, MAX_FRAME_TIME) * speed;
+    
+    let steps = Math.floor(this.accumulator / this.fixedStep);
+    if (steps > this.maxStepsPerFrame) {
+      // Falling behind: run what we can and discard the backlog
+      steps = this.maxStepsPerFrame;
+      this.accumulator = 0;
+    } else {
+      this.accumulator -= steps * this.fixedStep;
+    }
+    
+    return steps;
+  }
+
+  /**
+   * Discard any accumulated time
+   */
+  reset() {
+    this.accumulator = 0;
+  }
+}
+
+export default SimulationClock;
@@ -0,0 +1,520 @@
+// src/simulation/SimulationEngine.js
+import { World } from './ecs/World.js';
+import { EntityFactory } from './ecs/EntityFactory.js';
+import { PhysicsSystem } from './ecs/systems/PhysicsSystem.js';
+import { JointConnectionSystem } from './ecs/systems/JointConnectionSystem.js';
+import { FoodSystem } from './ecs/systems/FoodSystem.js';
+import { StateSystem } from './ecs/systems/StateSystem.js';
+import { EvolutionSystem } from './ecs/systems/EvolutionSystem.js';
+import { SpatialIndexSystem } from './ecs/systems/SpatialIndexSystem.js';
+import { CollisionSystem } from './ecs/systems/CollisionSystem.js';
+import { ObstacleSystem } from './ecs/systems/ObstacleSystem.js';
+import { DistanceFitnessSystem } from './ecs/systems/DistanceFitnessSystem.js';
+import { FluidDragSystem } from './ecs/systems/FluidDragSystem.js';
+import { LimbStrainSystem } from './ecs/systems/LimbStrainSystem.js';
+import { FoodComponent } from './ecs/components/FoodComponent.js';
+import { JointComponent } from './ecs/components/JointComponent.js';
+import { Vector2 } from './ecs/utils/Vector2.js';
+import { EventEmitter } from './EventEmitter.js';
+import { SimulationHistory } from './SimulationHistory.js';
+import { WorldBoundary } from './WorldBoundary.js';
+import {
+  GENERATION_TIME,
+  FIXED_TIMESTEP,
+  INITIAL_POPULATION,
+  INITIAL_FOOD_AMOUNT,
+  DEFAULT_MUTATION_RATE,
+  DEFAULT_CROSSOVER_RATE,
+  DEFAULT_CROSSOVER_METHOD,
+  FOOD_INDEX_CELL_SIZE,
+  JOINT_INDEX_CELL_SIZE,
+  DEFAULT_RESTITUTION,
+  HISTORY_INTERVAL,
+  HISTORY_CAPACITY,
+  INTEGRATOR_EULER,
+  DEFAULT_INTEGRATOR,
+  DEFAULT_PHYSICS_SUBSTEPS,
+  DEFAULT_CONSTRAINT_ITERATIONS,
+  DEFAULT_BOUNDARY,
+  ENVIRONMENT_SIDEVIEW,
+  ENVIRONMENT_FLUID,
+  DEFAULT_ENVIRONMENT,
+  FITNESS_FOOD,
+  DEFAULT_FITNESS_MODE,
+  DEFAULT_CONTROLLER,
+  DEFAULT_BODY_ENCODING,
+  SIDEVIEW_GRAVITY
+} from './constants.js';
+
+/**
+ * Parameters used for anything not given to the constructor or found in a saved run
+ */
+export const DEFAULT_PARAMS = {
+  populationSize: INITIAL_POPULATION,
+  foodAmount: INITIAL_FOOD_AMOUNT,
+  mutationRate: DEFAULT_MUTATION_RATE,
+  crossoverRate: DEFAULT_CROSSOVER_RATE,
+  crossoverMethod: DEFAULT_CROSSOVER_METHOD,
+  seed: 0,
+  integrator: DEFAULT_INTEGRATOR,
+  substeps: DEFAULT_PHYSICS_SUBSTEPS,
+  constraintIterations: DEFAULT_CONSTRAINT_ITERATIONS,
+  collisions: false,
+  selfCollision: false,
+  restitution: DEFAULT_RESTITUTION,
+  limbFailure: false,
+  boundary: DEFAULT_BOUNDARY,
+  obstacleMap: null,
+  environment: DEFAULT_ENVIRONMENT,
+  fitnessMode: DEFAULT_FITNESS_MODE,
+  controller: DEFAULT_CONTROLLER,
+  bodyEncoding: DEFAULT_BODY_ENCODING
+};
+
+/**
+ * Steps without food being eaten before a generation counts as stuck
+ */
+const IDLE_STEP_LIMIT = 1000;
+
+/**
+ * Steps at the start of a generation that never count as idle
+ */
+const IDLE_GRACE_STEPS = 500;
+
+/**
+ * Headless simulation engine
+ * Owns the World, the simulation systems and the generation lifecycle, and runs
+ * without React or a canvas. Rendering is an optional attachment.
+ *
+ * Events (subscribe with on): 'step', 'restart' ({ params }),
+ * 'generation' ({ generation, stats, bestGenome, steps, generationTime }),
+ * 'load' ({ generation, stats, params }) and, with history enabled,
+ * 'history' ({ size, index, step })
+ */
+export class SimulationEngine extends EventEmitter {
+  /**
+   * Create a new engine and initialize the first generation
+   * @param {Object} params - Simulation parameters
+   * @param {number} params.populationSize - Size of the population
+   * @param {number} params.foodAmount - Amount of food to keep in the world
+   * @param {number} params.mutationRate - Rate of genetic mutation
+   * @param {number} params.crossoverRate - Chance that a child has two parents, 0-1
+   * @param {string} params.crossoverMethod - Crossover method: 'single-point', 'uniform' or 'pattern'
+   * @param {number} params.seed - Seed for the world's random streams
+   * @param {string} params.integrator - Physics integrator, 'euler' or 'verlet'
+   * @param {number} params.substeps - Verlet substeps per step
+   * @param {number} params.constraintIterations - Verlet constraint passes per substep
+   * @param {boolean} params.collisions - Whether joints of different organisms collide
+   * @param {boolean} params.selfCollision - Whether joints of the same organism collide too
+   * @param {number} params.restitution - Bounciness of joint collisions, 0-1
+   * @param {boolean} params.limbFailure - Whether overstrained limbs break
+   * @param {string} params.boundary - World edges: 'walls', 'wrap' or 'open'
+   * @param {Object|null} params.obstacleMap - Obstacle layout in the format of ObstacleMap.js
+   * @param {string} params.environment - 'topdown', 'sideview' for gravity and a ground line, or 'fluid' for swimming
+   * @param {string} params.fitnessMode - Fitness from 'food' eaten or 'distance' walked
+   * @param {string} params.controller - Controller of new genomes: 'pattern', 'cpg' oscillators or a 'neural' network
+   * @param {string} params.bodyEncoding - Bodies of new genomes: seeded 'plan's or evolvable 'graph's
+   */
+  constructor(params = {}) {
+    super();
+    
+    this.params = { ...DEFAULT_PARAMS, ...params };
+    
+    this.world = new World(this.params.seed);
+    this.entityFactory = new EntityFactory(this.world);
+    this.boundary = new WorldBoundary(this.params.boundary);
+    
+    this.foodIndexSystem = new SpatialIndexSystem(this.world, FoodComponent, {
+      cellSize: FOOD_INDEX_CELL_SIZE,
+      isStatic: true // Food never moves
+    });
+    this.stateSystem = new StateSystem(this.world, this.foodIndexSystem.grid, this.boundary);
+    this.jointConnectionSystem = new JointConnectionSystem(this.world, this.boundary);
+    this.fluidDragSystem = new FluidDragSystem(this.world, this.boundary);
+    this.physicsSystem = new PhysicsSystem(this.world, this.boundary);
+    this.jointIndexSystem = new SpatialIndexSystem(this.world, JointComponent, {
+      cellSize: JOINT_INDEX_CELL_SIZE
+    });
+    this.collisionSystem = new CollisionSystem(this.world, this.jointIndexSystem.grid, this.boundary);
+    this.obstacleSystem = new ObstacleSystem(this.world, this.jointIndexSystem.grid, this.boundary);
+    this.limbStrainSystem = new LimbStrainSystem(this.world, this.boundary);
+    this.foodSystem = new FoodSystem(this.world, this.foodIndexSystem.grid, this.boundary);
+    this.distanceFitnessSystem = new DistanceFitnessSystem(this.world, this.boundary);
+    this.evolutionSystem = new EvolutionSystem(
+      this.world,
+      this.entityFactory,
+      this.params.foodAmount,
+      this.params.populationSize,
+      this.params.mutationRate,
+      this.boundary
+    );
+    
+    // Add systems to world in specific order for proper processing
+    // Names are explicit so profiler reports survive minification
+    this.world.addSystem(this.stateSystem, 'StateSystem')                     // First determine joint states
+              .addSystem(this.jointConnectionSystem, 'JointConnectionSystem') // Then handle joint connections
+              .addSystem(this.fluidDragSystem, 'FluidDragSystem')             // Then add fluid drag on limbs
+              .addSystem(this.physicsSystem, 'PhysicsSystem')                 // Then apply physics forces
+              .addSystem(this.jointIndexSystem, 'JointIndexSystem')           // Then refresh the joint index
+              .addSystem(this.collisionSystem, 'CollisionSystem')             // Then push overlapping joints apart
+              .addSystem(this.obstacleSystem, 'ObstacleSystem')               // Then push joints out of obstacles
+              .addSystem(this.limbStrainSystem, 'LimbStrainSystem')           // Then break overstrained limbs
+              .addSystem(this.foodIndexSystem, 'FoodIndexSystem')             // Then refresh the food index
+              .addSystem(this.foodSystem, 'FoodSystem')                       // Then check for food consumption
+              .addSystem(this.distanceFitnessSystem, 'DistanceFitnessSystem'); // Then measure distance walked
+    
+    this.configureSystems();
+    
+    this.foodQuery = this.world.query(FoodComponent);
+    this.renderer = null;
+    
+    this.generationTime = 0; // Simulation seconds elapsed in this generation
+    this.stepCount = 0;      // Steps run in this generation
+    this.idleSteps = 0;      // Consecutive steps without food being eaten
+    
+    this.history = null;      // Recent states of this generation, when enabled
+    this.historyInterval = HISTORY_INTERVAL;
+    this.historyIndex = null; // History entry being viewed, or null when live
+    
+    this.evolutionSystem.initializeGeneration();
+  }
+
+  /**
+   * Current generation number
+   * @type {number}
+   */
+  get generation() {
+    return this.evolutionSystem.generationCount;
+  }
+
+  /**
+   * Statistics of the last completed generation
+   * @type {Object}
+   */
+  get stats() {
+    return this.evolutionSystem.stats;
+  }
+
+  /**
+   * Genome of the fittest organism of the last completed generation
+   * @type {Object|null}
+   */
+  get bestGenome() {
+    return this.evolutionSystem.bestGenome;
+  }
+
+  /**
+   * Update simulation parameters
+   * They take effect on the next restart
+   * @param {Object} params - Any of the constructor's parameters
+   */
+  setParams(params) {
+    this.params = { ...this.params, ...params };
+  }
+
+  /**
+   * Start over from a fresh first generation
+   * @param {Object} params - Optional parameters to change before restarting
+   */
+  restart(params = {}) {
+    this.setParams(params);
+    
+    this.evolutionSystem.setParams(
+      this.params.foodAmount,
+      this.params.populationSize,
+      this.params.mutationRate
+    );
+    this.world.random.setSeed(this.params.seed);
+    this.configureSystems();
+    this.evolutionSystem.initializeGeneration();
+    
+    this.generationTime = 0;
+    this.stepCount = 0;
+    this.idleSteps = 0;
+    this.resetHistory();
+    
+    this.emit('restart', { params: this.params });
+  }
+
+  /**
+   * Apply the physics, collision, limb failure, boundary, obstacle, environment,
+   * fitness, crossover, controller and body encoding parameters to the systems
+   * Limbs are springs under Euler and distance constraints under Verlet
+   * @private
+   */
+  configureSystems() {
+    const sideView = this.params.environment === ENVIRONMENT_SIDEVIEW;
+    const fluid = this.params.environment === ENVIRONMENT_FLUID;
+    const foodFitness = this.params.fitnessMode === FITNESS_FOOD;
+    
+    this.physicsSystem.configure({
+      integrator: this.params.integrator,
+      substeps: this.params.substeps,
+      constraintIterations: this.params.constraintIterations,
+      gravity: new Vector2(0, sideView ? SIDEVIEW_GRAVITY : 0),
+      groundFriction: !fluid
+    });
+    this.fluidDragSystem.enabled = fluid;
+    this.jointConnectionSystem.springsEnabled = this.params.integrator === INTEGRATOR_EULER;
+    this.collisionSystem.configure({
+      enabled: this.params.collisions,
+      selfCollision: this.params.selfCollision,
+      restitution: this.params.restitution
+    });
+    this.limbStrainSystem.enabled = this.params.limbFailure;
+    this.boundary.setMode(this.params.boundary);
+    this.evolutionSystem.setObstacleMap(this.params.obstacleMap);
+    this.evolutionSystem.setEnvironment(this.params.environment);
+    this.evolutionSystem.setFitnessMode(this.params.fitnessMode);
+    this.evolutionSystem.setCrossover(this.params.crossoverRate, this.params.crossoverMethod);
+    this.evolutionSystem.setController(this.params.controller);
+    this.evolutionSystem.setBodyEncoding(this.params.bodyEncoding);
+    this.foodSystem.enabled = foodFitness;
+    this.distanceFitnessSystem.enabled = !foodFitness;
+  }
+
+  /**
+   * Advance the simulation by one fixed step
+   * @returns {boolean} - True if this step ended a generation
+   */
+  step() {
+    // Stepping from an earlier point of the history forks the run there
+    if (this.historyIndex !== null) {
+      this.history.truncate(this.historyIndex + 1);
+      this.historyIndex = null;
+    }
+    
+    // Always replenish some food to keep the simulation moving
+    const foodFitness = this.params.fitnessMode === FITNESS_FOOD;
+    const foodAmount = this.params.foodAmount;
+    if (foodFitness && this.foodQuery.size < foodAmount * 0.8) {
+      this.evolutionSystem.replenishFood(Math.max(1, Math.floor(foodAmount * 0.1)));
+    }
+    
+    this.world.update(FIXED_TIMESTEP);
+    this.generationTime += FIXED_TIMESTEP;
+    this.stepCount++;
+    
+    // Count steps where nothing happens (no food eaten); walkers only stop at the time limit
+    if (foodFitness && this.foodSystem.foodsEaten === 0 && this.stepCount > IDLE_GRACE_STEPS) {
+      this.idleSteps++;
+    } else {
+      this.idleSteps = 0;
+    }
+    
+    this.emit('step', { generationTime: this.generationTime });
+    
+    const shouldEndGeneration =
+      this.generationTime >= GENERATION_TIME ||
+      (foodFitness && this.foodQuery.size === 0) ||
+      this.idleSteps >= IDLE_STEP_LIMIT; // Only used when stuck with no progress
+    
+    if (shouldEndGeneration) {
+      this.endGeneration();
+    } else if (this.history && this.stepCount % this.historyInterval === 0) {
+      this.recordHistory();
+    }
+    
+    return shouldEndGeneration;
+  }
+
+  /**
+   * Run steps until the current generation ends
+   * @returns {Object} - Statistics of the completed generation
+   */
+  runGeneration() {
+    while (!this.step()) {
+      // Keep stepping
+    }
+    return this.stats;
+  }
+
+  /**
+   * Select, reproduce and start the next generation
+   * @private
+   */
+  endGeneration() {
+    const stats = this.evolutionSystem.createNextGeneration();
+    const event = {
+      generation: this.generation,
+      stats,
+      bestGenome: this.bestGenome,
+      steps: this.stepCount,
+      generationTime: this.generationTime
+    };
+    
+    this.generationTime = 0;
+    this.stepCount = 0;
+    this.idleSteps = 0;
+    this.resetHistory();
+    
+    this.emit('generation', event);
+  }
+
+  /**
+   * Capture the full state of the run: parameters, world, systems and generation progress
+   * @returns {Object} - JSON-friendly engine state
+   */
+  serialize() {
+    const systems = {};
+    for (const system of this.world.systems) {
+      systems[this.world.systemNames.get(system)] = system.serialize();
+    }
+    systems.EvolutionSystem = this.evolutionSystem.serialize();
+    
+    return {
+      params: { ...this.params },
+      generationTime: this.generationTime,
+      stepCount: this.stepCount,
+      idleSteps: this.idleSteps,
+      world: this.world.serialize(),
+      systems
+    };
+  }
+
+  /**
+   * Replace the current run with serialized state
+   * Stepping afterwards continues exactly as the saved run would have
+   * @param {Object} state - State produced by serialize
+   */
+  deserialize(state) {
+    this.applyState(state);
+    this.resetHistory();
+    
+    this.emit('load', {
+      generation: this.generation,
+      stats: this.stats,
+      params: this.params
+    });
+  }
+
+  /**
+   * Overwrite the run with serialized state without notifying listeners
+   * @param {Object} state - State produced by serialize
+   * @private
+   */
+  applyState(state) {
+    this.params = { ...DEFAULT_PARAMS, ...state.params };
+    this.configureSystems();
+    this.world.deserialize(state.world);
+    
+    for (const system of this.world.systems) {
+      const systemState = state.systems[this.world.systemNames.get(system)];
+      if (systemState) system.deserialize(systemState);
+    }
+    this.evolutionSystem.deserialize(state.systems.EvolutionSystem);
+    
+    this.generationTime = state.generationTime;
+    this.stepCount = state.stepCount;
+    this.idleSteps = state.idleSteps;
+  }
+
+  /**
+   * Start recording a snapshot every few steps of the current generation
+   * @param {number} interval - Steps between snapshots
+   * @param {number} capacity - Snapshots kept; older ones are dropped
+   */
+  enableHistory(interval = HISTORY_INTERVAL, capacity = HISTORY_CAPACITY) {
+    this.history = new SimulationHistory(capacity);
+    this.historyInterval = interval;
+    this.resetHistory();
+  }
+
+  /**
+   * Drop the recorded history and start over from the current state
+   * @private
+   */
+  resetHistory() {
+    if (!this.history) return;
+    
+    this.history.clear();
+    this.historyIndex = null;
+    this.recordHistory();
+  }
+
+  /**
+   * Record the current state as the newest history entry
+   * States are kept as JSON strings, which are compact and cannot be mutated
+   * @private
+   */
+  recordHistory() {
+    this.history.push({ step: this.stepCount, state: JSON.stringify(this.serialize()) });
+    this.emit('history', this.getHistoryStatus());
+  }
+
+  /**
+   * Describe the recorded history and which entry is on screen
+   * @returns {Object} - { size, index, step } where step is the viewed entry's step in the generation
+   */
+  getHistoryStatus() {
+    if (!this.history || this.history.size === 0) {
+      return { size: 0, index: 0, step: this.stepCount };
+    }
+    
+    const index = this.historyIndex ?? this.history.size - 1;
+    return { size: this.history.size, index, step: this.history.get(index).step };
+  }
+
+  /**
+   * Rewind or fast-forward to a recorded history entry
+   * The later entries are kept until the next step, so seeking can go both ways;
+   * stepping from an earlier entry discards them and forks the run
+   * @param {number} index - Entry to show, 0 being the oldest
+   */
+  seekHistory(index) {
+    if (!this.history || this.history.size === 0) return;
+    
+    const clampedIndex = Math.max(0, Math.min(this.history.size - 1, index));
+    this.applyState(JSON.parse(this.history.get(clampedIndex).state));
+    this.historyIndex = clampedIndex === this.history.size - 1 ? null : clampedIndex;
+    
+    this.emit('history', this.getHistoryStatus());
+  }
+
+  /**
+   * Attach a renderer (e.g. RenderSystem) that draws the world on demand
+   * @param {System} renderer - Object with an update(deltaTime) method
+   */
+  attachRenderer(renderer) {
+    this.renderer = renderer;
+  }
+
+  /**
+   * Detach the current renderer
+   */
+  detachRenderer() {
+    this.renderer = null;
+  }
+
+  /**
+   * Draw the current state with the attached renderer, if any
+   * @param {number} frameTime - Real seconds since the previous frame
+   */
+  render(frameTime = 0) {
+    if (this.renderer) {
+      this.world.profiler.measure('RenderSystem', () => this.renderer.update(frameTime));
+    }
+  }
+
+  /**
+   * Turn per-system profiling on or off
+   * @param {boolean} enabled - Whether to collect timings
+   */
+  setProfiling(enabled) {
+    this.world.profiler.setEnabled(enabled);
+  }
+
+  /**
+   * Get the world's performance report, tagged with the run parameters
+   * @returns {Object} - JSON-friendly report
+   */
+  getProfile() {
+    return {
+      ...this.world.getProfile(),
+      generation: this.generation,
+      params: this.params
+    };
+  }
+}
+
+export default SimulationEngine;
@@ -0,0 +1,66 @@
+// src/simulation/SimulationHistory.js
+import { HISTORY_CAPACITY } from './constants.js';
+
+/**
+ * Fixed-size ring buffer of recent simulation states
+ * When full, recording a new entry drops the oldest one. Entries are indexed
+ * from the oldest (0) to the newest (size - 1).
+ */
+export class SimulationHistory {
+  /**
+   * Create a new, empty history
+   * @param {number} capacity - Maximum number of entries kept
+   */
+  constructor(capacity = HISTORY_CAPACITY) {
+    this.capacity = capacity;
+    this.entries = new Array(capacity);
+    this.start = 0; // Slot of the oldest entry
+    this.size = 0;
+  }
+  
+  /**
+   * Add an entry, dropping the oldest one if the buffer is full
+   * @param {Object} entry - Entry to record
+   */
+  push(entry) {
+    if (this.size < this.capacity) {
+      this.entries[(this.start + this.size) % this.capacity] = entry;
+      this.size++;
+    } else {
+      this.entries[this.start] = entry;
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+  
+  /**
+   * Get an entry by its position
+   * @param {number} index - 0 for the oldest entry, size - 1 for the newest
+   * @returns {Object|undefined} - The entry or undefined if out of range
+   */
+  get(index) {
+    if (index < 0 || index >= this.size) return undefined;
+    return this.entries[(this.start + index) % this.capacity];
+  }
+  
+  /**
+   * Drop every entry from the given position onward
+   * @param {number} length - Number of oldest entries to keep
+   */
+  truncate(length) {
+    for (let i = length; i < this.size; i++) {
+      this.entries[(this.start + i) % this.capacity] = undefined;
+    }
+    this.size = Math.min(this.size, length);
+  }
+  
+  /**
+   * Drop every entry
+   */
+  clear() {
+    this.entries.fill(undefined);
+    this.start = 0;
+    this.size = 0;
+  }
+}
+
+export default SimulationHistory;
@@ -0,0 +1,225 @@
+// src/simulation/WorldBoundary.js
+import {
+  CANVAS_WIDTH,
+  CANVAS_HEIGHT,
+  BOUNDARY_WALLS,
+  BOUNDARY_WRAP,
+  BOUNDARY_OPEN,
+  DEFAULT_BOUNDARY
+} from './constants.js';
+
+const BOUNDARY_PADDING = 10; // Distance kept between bodies and the walls
+
+/**
+ * Shape of the simulated world, shared by the systems that move, spawn and draw things
+ * - 'walls': a width x height box that bodies bounce off
+ * - 'wrap': a width x height torus; leaving one edge enters the opposite one,
+ *   and distances are measured to the nearest periodic image
+ * - 'open': an unbounded plane; the width x height area only sets where
+ *   things spawn
+ */
+export class WorldBoundary {
+  /**
+   * Create a new boundary
+   * @param {string} mode - 'walls', 'wrap' or 'open'
+   * @param {number} width - Width of the world area
+   * @param {number} height - Height of the world area
+   */
+  constructor(mode = DEFAULT_BOUNDARY, width = CANVAS_WIDTH, height = CANVAS_HEIGHT) {
+    this.width = width;
+    this.height = height;
+    this.setMode(mode);
+  }
+  
+  /**
+   * Change the boundary mode
+   * @param {string} mode - 'walls', 'wrap' or 'open'
+   */
+  setMode(mode) {
+    if (mode !== BOUNDARY_WALLS && mode !== BOUNDARY_WRAP && mode !== BOUNDARY_OPEN) {
+      throw new Error(`Unknown boundary mode: ${mode}`);
+    }
+    
+    this.mode = mode;
+  }
+  
+  /**
+   * Whether bodies bounce off the edges of the area
+   * @type {boolean}
+   */
+  get hasWalls() {
+    return this.mode === BOUNDARY_WALLS;
+  }
+  
+  /**
+   * Whether the area wraps around at its edges
+   * @type {boolean}
+   */
+  get wraps() {
+    return this.mode === BOUNDARY_WRAP;
+  }
+  
+  /**
+   * Smallest x a body may have inside the walls
+   * @type {number}
+   */
+  get minX() {
+    return BOUNDARY_PADDING;
+  }
+  
+  /**
+   * Largest x a body may have inside the walls
+   * @type {number}
+   */
+  get maxX() {
+    return this.width - BOUNDARY_PADDING;
+  }
+  
+  /**
+   * Smallest y a body may have inside the walls
+   * @type {number}
+   */
+  get minY() {
+    return BOUNDARY_PADDING;
+  }
+  
+  /**
+   * Largest y a body may have inside the walls
+   * @type {number}
+   */
+  get maxY() {
+    return this.height - BOUNDARY_PADDING;
+  }
+  
+  /**
+   * Horizontal offset from one point to another
+   * When wrapping, this is the offset to the nearest image of the target
+   * @param {number} fromX - X of the starting point
+   * @param {number} toX - X of the target point
+   * @returns {number} - Signed x offset
+   */
+  deltaX(fromX, toX) {
+    const delta = toX - fromX;
+    return this.wraps ? delta - this.width * Math.round(delta / this.width) : delta;
+  }
+  
+  /**
+   * Vertical offset from one point to another
+   * When wrapping, this is the offset to the nearest image of the target
+   * @param {number} fromY - Y of the starting point
+   * @param {number} toY - Y of the target point
+   * @returns {number} - Signed y offset
+   */
+  deltaY(fromY, toY) {
+    const delta = toY - fromY;
+    return this.wraps ? delta - this.height * Math.round(delta / this.height) : delta;
+  }
+  
+  /**
+   * Move a position back into the area if it wrapped past an edge
+   * Does nothing unless the boundary wraps
+   * @param {Vector2} position - Position to update in place
+   */
+  wrapPosition(position) {
+    if (!this.wraps) return;
+    
+    position.x -= this.width * Math.floor(position.x / this.width);
+    position.y -= this.height * Math.floor(position.y / this.height);
+  }
+  
+  /**
+   * Find items of a spatial grid within a radius of a point
+   * When wrapping, the images of the point across nearby edges are searched too
+   * @param {SpatialHashGrid} grid - Grid of positions inside the area
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {number} radius - Search radius
+   * @param {number[]} out - Array to append the found IDs to
+   * @returns {number[]} - The out array
+   */
+  queryRadius(grid, x, y, radius, out) {
+    grid.queryRadius(x, y, radius, out);
+    if (!this.wraps) return out;
+    
+    for (const [offsetX, offsetY] of this.getImageOffsets(x, y, radius)) {
+      grid.queryRadius(x + offsetX, y + offsetY, radius, out);
+    }
+    return out;
+  }
+  
+  /**
+   * Find the item of a spatial grid nearest to a point
+   * When wrapping, the images of the point across nearby edges are searched too
+   * @param {SpatialHashGrid} grid - Grid of positions inside the area
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {number} maxRadius - Ignore items at or beyond this distance
+   * @returns {{id: number, distance: number}|null} - The nearest item or null if none
+   */
+  nearest(grid, x, y, maxRadius = Infinity) {
+    let best = grid.nearest(x, y, maxRadius);
+    if (!this.wraps) return best;
+    
+    for (const [offsetX, offsetY] of this.getImageOffsets(x, y, maxRadius)) {
+      const found = grid.nearest(x + offsetX, y + offsetY, best ? best.distance : maxRadius);
+      if (found) best = found;
+    }
+    return best;
+  }
+  
+  /**
+   * List the offsets of a point's images across the edges within a radius of it
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {number} radius - Search radius
+   * @returns {Array<number[]>} - [x, y] offsets, without the point itself
+   * @private
+   */
+  getImageOffsets(x, y, radius) {
+    const offsetsX = [0];
+    if (x - radius < 0) offsetsX.push(this.width);
+    if (x + radius > this.width) offsetsX.push(-this.width);
+    const offsetsY = [0];
+    if (y - radius < 0) offsetsY.push(this.height);
+    if (y + radius > this.height) offsetsY.push(-this.height);
+    
+    const offsets = [];
+    for (const offsetX of offsetsX) {
+      for (const offsetY of offsetsY) {
+        if (offsetX === 0 && offsetY === 0) continue;
+        offsets.push([offsetX, offsetY]);
+      }
+    }
+    return offsets;
+  }
+  
+  /**
+   * Pick a random spawn point
+   * Walled and wrapping worlds spawn anywhere in the area; an open world
+   * spawns in an area-sized region around the given center
+   * @param {RandomStream} random - Stream to draw from
+   * @param {number} centerX - X of the spawn region's center in an open world
+   * @param {number} centerY - Y of the spawn region's center in an open world
+   * @returns {{x: number, y: number}} - The spawn point
+   */
+  randomPoint(random, centerX = this.width / 2, centerY = this.height / 2) {
+    const x = random.next() * this.width;
+    const y = random.next() * this.height;
+    if (this.mode !== BOUNDARY_OPEN) return { x, y };
+    
+    return {
+      x: x + centerX - this.width / 2,
+      y: y + centerY - this.height / 2
+    };
+  }
+  
+  /**
+   * Describe the boundary for a render snapshot
+   * @returns {{mode: string, width: number, height: number}} - Plain boundary description
+   */
+  describe() {
+    return { mode: this.mode, width: this.width, height: this.height };
+  }
+}
+
+export default WorldBoundary;
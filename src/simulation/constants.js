@@ -8,10 +8,46 @@ export const CANVAS_WIDTH = 800;
 export const CANVAS_HEIGHT = 500;
 
 // Simulation settings
-export const GENERATION_TIME = 60; // Duration of each generation in real seconds
+export const GENERATION_TIME = 60; // Duration of each generation in simulation seconds
+export const PROFILER_WINDOW_SIZE = 120; // Timing samples kept per system
+export const FIXED_TIMESTEP = 1 / 60; // Simulation seconds advanced by every step
+export const MAX_STEPS_PER_FRAME = 20; // Cap on steps run in one animation frame
+export const MAX_FRAME_TIME = 0.25; // Longer frame gaps are clamped instead of replayed
+export const INTEGRATOR_EULER = 'euler'; // Explicit Euler with limb springs
+export const INTEGRATOR_VERLET = 'verlet'; // Position-based Verlet with limb distance constraints
+export const DEFAULT_INTEGRATOR = INTEGRATOR_EULER;
+export const BOUNDARY_WALLS = 'walls'; // Bodies bounce off the canvas edges
+export const BOUNDARY_WRAP = 'wrap'; // Leaving one canvas edge enters the opposite one
+export const BOUNDARY_OPEN = 'open'; // Unbounded arena, viewed through a camera
+export const DEFAULT_BOUNDARY = BOUNDARY_WALLS;
+export const ENVIRONMENT_TOPDOWN = 'topdown';   // Seen from above; joints rub on the floor
+export const ENVIRONMENT_SIDEVIEW = 'sideview'; // Seen from the side, with gravity and a ground line
+export const ENVIRONMENT_FLUID = 'fluid';       // Seen from above, swimming; limbs push against the fluid
+export const DEFAULT_ENVIRONMENT = ENVIRONMENT_TOPDOWN;
+export const FITNESS_FOOD = 'food';         // Fitness is food eaten plus a survival bonus
+export const FITNESS_DISTANCE = 'distance'; // Fitness is how far the body moved to the right
+export const DEFAULT_FITNESS_MODE = FITNESS_FOOD;
+export const DEFAULT_PHYSICS_SUBSTEPS = 4; // Verlet substeps per simulation step
+export const DEFAULT_CONSTRAINT_ITERATIONS = 4; // Verlet constraint solver passes per substep
+export const MAX_LIMB_SPEED = 60; // Fastest a limb extends or contracts under Verlet, in units per second
+export const DAMPING_TIME_STEP = 1 / 60; // Time span over which JOINT_DAMPING is the retained velocity fraction
+export const HISTORY_INTERVAL = 30; // Steps between recorded history snapshots
+export const HISTORY_CAPACITY = 120; // History snapshots kept (one generation at the default interval)
 export const INITIAL_POPULATION = 20;
 export const INITIAL_FOOD_AMOUNT = 50;
 export const DEFAULT_MUTATION_RATE = 0.1;
+export const CROSSOVER_SINGLE_POINT = 'single-point'; // Each pattern is one parent's up to a cut, the other's after
+export const CROSSOVER_UNIFORM = 'uniform';           // Each pattern step comes from either parent
+export const CROSSOVER_PATTERN = 'pattern';           // Each whole pattern comes from either parent
+export const DEFAULT_CROSSOVER_METHOD = CROSSOVER_SINGLE_POINT;
+export const DEFAULT_CROSSOVER_RATE = 0; // Share of children bred from two parents instead of cloned from one
+export const CONTROLLER_PATTERN = 'pattern'; // Limbs jump between contracted and extended following binary patterns
+export const CONTROLLER_CPG = 'cpg';         // Limbs swing smoothly, driven by a central pattern generator of oscillators
+export const CONTROLLER_NEURAL = 'neural';   // Joints and limbs follow a small neural network that senses food and motion
+export const DEFAULT_CONTROLLER = CONTROLLER_PATTERN;
+export const BODY_ENCODING_PLAN = 'plan';   // Bodies follow one of three fixed plans, picked by a seed gene
+export const BODY_ENCODING_GRAPH = 'graph'; // Bodies are a graph of joints and limbs in the genome, changed by structural mutations
+export const DEFAULT_BODY_ENCODING = BODY_ENCODING_PLAN;
 export const DEFAULT_SIMULATION_SPEED = 1;
 
 // Organism settings
@@ -22,11 +58,66 @@ export const JOINT_RADIUS = 5;
 export const JOINT_REST_LENGTH = 30;
 export const JOINT_STIFFNESS = 2.0;  // Significantly increased for much stronger movement
 export const JOINT_DAMPING = 0.98;   // Damping of joint movement
+export const MAX_LIMB_COUNT = 2 * MAX_JOINT_COUNT; // Limb genes per genome; radial bodies have the most limbs
+export const MIN_JOINT_MASS = 0.5;
+export const MAX_JOINT_MASS = 2.0;
+export const MIN_LIMB_STIFFNESS = 0.5;
+export const MAX_LIMB_STIFFNESS = 4.0;
+export const MIN_CONTRACT_RATIO = 0.5;
+export const MAX_CONTRACT_RATIO = 0.95;
+export const MIN_EXTEND_RATIO = 1.05;
+export const MAX_EXTEND_RATIO = 1.5;
+export const MIN_CPG_AMPLITUDE = 0.05; // Swing of a limb's oscillator, relative to its base length
+export const MAX_CPG_AMPLITUDE = 0.4;
+export const MIN_CPG_FREQUENCY = 0.2;  // Oscillator cycles per second
+export const MAX_CPG_FREQUENCY = 2.0;
+export const MAX_CPG_COUPLING = 2.0;   // Strongest pull between the oscillators of limbs that share a joint
+export const NEURAL_INPUT_COUNT = 8 + MAX_JOINT_COUNT; // Food direction and distance, velocity, clock, bias and joint states
+export const NEURAL_HIDDEN_COUNT = 8;
+export const NEURAL_OUTPUT_COUNT = MAX_JOINT_COUNT + MAX_LIMB_COUNT; // Anchoring of each joint, then extension of each limb
+export const NEURAL_WEIGHT_COUNT = NEURAL_HIDDEN_COUNT * NEURAL_INPUT_COUNT + NEURAL_OUTPUT_COUNT * (NEURAL_HIDDEN_COUNT + 1);
+export const NEURAL_MAX_WEIGHT = 2.0;     // Weights range from minus this to this
+export const NEURAL_SENSOR_RANGE = 300;   // Farthest food the sensors notice
+export const NEURAL_VELOCITY_SCALE = 50;  // Speed that reads as 1 on the velocity sensors
+export const BODY_GRAPH_LIMB_LENGTH = 25;  // Length of the limb to a joint added by mutation
+export const BODY_GRAPH_MAX_LIMB_LENGTH = 60; // Farthest apart two joints may be to get a limb added between them
+export const BODY_GRAPH_MIN_SPACING = 10;  // Closest two joints of a body graph may be
+export const BODY_GRAPH_MOVE_DISTANCE = 10; // Furthest a mutation moves a joint along each axis
+export const BODY_GRAPH_MAX_REACH = 180;   // Furthest a joint may be from the spawn point along each axis
+export const BODY_GRAPH_MAX_DEPTH = 80;    // Furthest a joint may be below the spawn point, keeping side-view spawns above the ground
+export const JOINT_INDEX_CELL_SIZE = 20; // Spatial grid cell size for joint collision lookups
+export const DEFAULT_RESTITUTION = 0.5; // Bounciness of joint collisions, 0-1
+export const LIMB_DAMAGE_STRAIN = 0.5;  // Strain (stretch or squash over rest length) above which limbs take damage
+export const LIMB_MAX_STRAIN = 1.5;     // Strain at which a limb breaks at once
+export const LIMB_BREAK_DAMAGE = 1.0;   // Damage at which a limb breaks; overstraining adds excess strain per second
+export const BROKEN_LIMB_PENALTY = 5;   // Fitness lost per broken limb
+export const GROUND_NORMAL_ACCELERATION = 100; // Pressure of joints on the ground, per unit of mass
+export const DOWN_STATIC_FRICTION = 1.0;   // Grip of a down joint at rest
+export const DOWN_KINETIC_FRICTION = 0.8;  // Drag on a down joint that slides
+export const UP_STATIC_FRICTION = 0.05;    // Grip of an up joint at rest
+export const UP_KINETIC_FRICTION = 0.02;   // Drag on an up joint that slides
+export const SIDEVIEW_GRAVITY = 100;       // Downward acceleration in the side view
+export const GROUND_LEVEL = 440;           // Height of the default flat ground line in the side view
+export const GROUND_CONTACT_TOLERANCE = 0.5; // Gap under which a joint still counts as touching the ground
+export const SIDEVIEW_SPAWN_HEIGHT = 90;   // Height above the ground that organisms spawn at in the side view, clear of the tallest body plan
+export const SIDEVIEW_FOOD_HEIGHT = 60;    // Highest that food hangs above the ground in the side view
+export const FLUID_NORMAL_DRAG = 1.0;      // Fluid drag on a limb moving broadside, per unit of length and speed
+export const FLUID_TANGENTIAL_DRAG = 0.1;  // Fluid drag on a limb moving lengthwise, per unit of length and speed
 
 // Food settings
 export const FOOD_RADIUS = 4;
 export const EATING_DISTANCE = 15;
 export const FOOD_VALUE = 10;
+export const FOOD_INDEX_CELL_SIZE = 30; // Spatial grid cell size for food lookups
+
+// Obstacle settings
+export const OBSTACLE_WALL = 'wall';       // Straight wall with rounded ends
+export const OBSTACLE_CIRCLE = 'circle';
+export const OBSTACLE_POLYGON = 'polygon';
+export const DEFAULT_WALL_THICKNESS = 10;
+export const OBSTACLE_RESTITUTION = 0.2;   // Bounciness of joints hitting an obstacle, 0-1
+export const SPAWN_CLEARANCE = 40;         // Distance organisms spawn away from obstacles
+export const MAX_SPAWN_ATTEMPTS = 20;      // Random spawn points tried before giving up on clearance
 
 // UI settings
 export const MIN_POPULATION = 5;
@@ -35,5 +126,12 @@ export const MIN_FOOD_AMOUNT = 10;
 export const MAX_FOOD_AMOUNT = 100;
 export const MIN_MUTATION_RATE = 0.01;
 export const MAX_MUTATION_RATE = 0.5;
+export const MIN_CROSSOVER_RATE = 0;
+export const MAX_CROSSOVER_RATE = 1;
 export const MIN_SIMULATION_SPEED = 0.5;
-export const MAX_SIMULATION_SPEED = 3;
\ No newline at end of file
+export const MAX_SIMULATION_SPEED = 3;
+export const MIN_PHYSICS_SUBSTEPS = 1;
+export const MAX_PHYSICS_SUBSTEPS = 8;
+export const MIN_CONSTRAINT_ITERATIONS = 1;
+export const MAX_CONSTRAINT_ITERATIONS = 10;
+export const MAX_SEED = 4294967295; // Seeds are 32-bit unsigned integers
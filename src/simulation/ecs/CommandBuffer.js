@@ -0,0 +1,107 @@
+// src/simulation/ecs/CommandBuffer.js
+
+/**
+ * Queue of structural changes to the world (create/destroy entities, add/remove components)
+ * Systems record commands while they iterate and the World applies them at a sync point
+ * between systems, so queries never change underneath a running system
+ */
+export class CommandBuffer {
+  /**
+   * Create a new command buffer
+   * @param {World} world - World the commands will be applied to
+   */
+  constructor(world) {
+    this.world = world;
+    this.commands = [];
+  }
+
+  /**
+   * Number of commands waiting to be applied
+   * @type {number}
+   */
+  get size() {
+    return this.commands.length;
+  }
+
+  /**
+   * Queue creation of a new entity
+   * The ID is reserved immediately so later commands can refer to the entity
+   * @param {Component[]} components - Components to add once the entity exists
+   * @returns {number} - ID the entity will have
+   */
+  createEntity(components = []) {
+    const entityId = this.world.reserveEntityId();
+    this.commands.push({ type: 'create', entityId, components });
+    return entityId;
+  }
+
+  /**
+   * Queue destruction of an entity (and everything it owns)
+   * @param {number} entityId - ID of the entity to destroy
+   */
+  destroyEntity(entityId) {
+    this.commands.push({ type: 'destroy', entityId });
+  }
+
+  /**
+   * Queue adding a component to an entity
+   * @param {number} entityId - ID of the entity
+   * @param {Component} component - The component to add
+   */
+  addComponent(entityId, component) {
+    this.commands.push({ type: 'add', entityId, component });
+  }
+
+  /**
+   * Queue removing a component from an entity
+   * @param {number} entityId - ID of the entity
+   * @param {Function|string} componentClass - The component class or registered name to remove
+   */
+  removeComponent(entityId, componentClass) {
+    this.commands.push({ type: 'remove', entityId, componentClass });
+  }
+
+  /**
+   * Apply all queued commands in the order they were recorded
+   * Commands that target entities which no longer exist are ignored
+   */
+  flush() {
+    // Commands recorded while flushing are applied in the same pass
+    for (let i = 0; i < this.commands.length; i++) {
+      const command = this.commands[i];
+      
+      if (command.type === 'create') {
+        const entity = this.world.createEntity(command.entityId);
+        for (const component of command.components) {
+          entity.addComponent(component);
+        }
+        continue;
+      }
+      
+      if (command.type === 'destroy') {
+        this.world.removeEntity(command.entityId);
+        continue;
+      }
+      
+      const entity = this.world.getEntity(command.entityId);
+      if (!entity) continue;
+      
+      if (command.type === 'add') {
+        entity.addComponent(command.component);
+      } else if (command.type === 'remove') {
+        entity.removeComponent(command.componentClass);
+      }
+    }
+    
+    this.commands.length = 0;
+  }
+
+  /**
+   * Discard all queued commands without applying them
+   */
+  clear() {
+    this.commands.length = 0;
+  }
+}
+
+export default CommandBuffer;
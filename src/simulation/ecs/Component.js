@@ -15,6 +15,43 @@ export class Component {
      */
     this.entity = null;
   }
+
+  /**
+   * Called when the entity holding this component is removed from the world
+   * Override to drop references other entities hold to this one
+   */
+  onDestroy() {
+    // Override in derived components
+  }
+
+  /**
+   * Copy this component's data into a plain, JSON-friendly object
+   * The default copies every field except the entity reference; override when
+   * fields hold class instances, Maps or nested arrays
+   * @returns {Object} - Serialized component data
+   */
+  serialize() {
+    const data = {};
+    for (const [key, value] of Object.entries(this)) {
+      if (key === 'entity') continue;
+      data[key] = Array.isArray(value) ? [...value] : value;
+    }
+    return data;
+  }
+
+  /**
+   * Rebuild a component from data produced by serialize
+   * The default constructs the component without arguments and copies the fields over
+   * @param {Object} data - Serialized component data
+   * @returns {Component} - The restored component
+   */
+  static deserialize(data) {
+    const component = new this();
+    for (const [key, value] of Object.entries(data)) {
+      component[key] = Array.isArray(value) ? [...value] : value;
+    }
+    return component;
+  }
 }
 
 export default Component;
\ No newline at end of file
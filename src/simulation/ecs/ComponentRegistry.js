@@ -0,0 +1,91 @@
+// src/simulation/ecs/ComponentRegistry.js
+
+/**
+ * Registry of component types known to a world
+ * Each type gets a stable numeric ID (its registration order) and an explicit,
+ * serializable name, so lookups never depend on constructor.name surviving minification
+ */
+export class ComponentRegistry {
+  /**
+   * Create a new, empty registry
+   */
+  constructor() {
+    this.types = []; // Indexed by type ID
+    this.typesByClass = new Map();
+    this.typesByName = new Map();
+  }
+
+  /**
+   * Register a component type
+   * @param {Function} componentClass - The component class
+   * @param {string} name - Stable name used for string lookups and serialization
+   * @returns {{id: number, name: string, componentClass: Function}} - The registered type
+   */
+  register(componentClass, name) {
+    const existing = this.typesByClass.get(componentClass);
+    if (existing) {
+      if (existing.name !== name) {
+        throw new Error(`Component already registered as "${existing.name}", cannot register it as "${name}"`);
+      }
+      return existing;
+    }
+    
+    if (this.typesByName.has(name)) {
+      throw new Error(`Component name "${name}" is already registered to another class`);
+    }
+    
+    const type = { id: this.types.length, name, componentClass };
+    this.types.push(type);
+    this.typesByClass.set(componentClass, type);
+    this.typesByName.set(name, type);
+    return type;
+  }
+
+  /**
+   * Check whether a component class or name is registered
+   * @param {Function|string} componentClass - The component class or registered name
+   * @returns {boolean} - True if the type is known
+   */
+  has(componentClass) {
+    return typeof componentClass === 'string'
+      ? this.typesByName.has(componentClass)
+      : this.typesByClass.has(componentClass);
+  }
+
+  /**
+   * Resolve a component class or registered name to its type
+   * @param {Function|string} componentClass - The component class or registered name
+   * @returns {{id: number, name: string, componentClass: Function}} - The registered type
+   */
+  getType(componentClass) {
+    const type = typeof componentClass === 'string'
+      ? this.typesByName.get(componentClass)
+      : this.typesByClass.get(componentClass);
+    
+    if (!type) {
+      const label = typeof componentClass === 'string' ? componentClass : componentClass.name;
+      throw new Error(`Unregistered component type: ${label}`);
+    }
+    return type;
+  }
+
+  /**
+   * Resolve a component class or registered name to its type ID
+   * @param {Function|string} componentClass - The component class or registered name
+   * @returns {number} - The type ID
+   */
+  getId(componentClass) {
+    return this.getType(componentClass).id;
+  }
+
+  /**
+   * Get the registered name of a type ID
+   * @param {number} typeId - The type ID
+   * @returns {string} - The registered name
+   */
+  getName(typeId) {
+    return this.types[typeId].name;
+  }
+}
+
+export default ComponentRegistry;
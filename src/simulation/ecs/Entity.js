@@ -8,10 +8,13 @@ export class Entity {
   /**
    * Create a new entity
    * @param {number} id - Unique identifier for this entity
+   * @param {World} world - World that owns this entity and caches its queries
    */
-  constructor(id) {
+  constructor(id, world) {
     this.id = id;
-    this.components = new Map();
+    this.world = world;
+    this.registry = world.registry; // Kept after removal so stale references can still read components
+    this.components = new Map(); // Component type ID to component
   }
 
   /**
@@ -20,47 +23,47 @@ export class Entity {
    * @returns {Entity} - This entity (for chaining)
    */
   addComponent(component) {
-    this.components.set(component.constructor.name, component);
+    const typeId = this.registry.getId(component.constructor);
+    const isNew = !this.components.has(typeId);
+    this.components.set(typeId, component);
     component.entity = this;
+    
+    if (isNew && this.world) {
+      this.world.onComponentsChanged(this, typeId);
+    }
     return this;
   }
 
   /**
    * Remove a component from this entity
-   * @param {Function|string} componentClass - The component class or name to remove
+   * @param {Function|string} componentClass - The component class or registered name to remove
    * @returns {Entity} - This entity (for chaining)
    */
   removeComponent(componentClass) {
-    const componentName = typeof componentClass === 'string' 
-      ? componentClass 
-      : componentClass.name;
-    this.components.delete(componentName);
+    const typeId = this.registry.getId(componentClass);
+    if (this.components.delete(typeId) && this.world) {
+      this.world.onComponentsChanged(this, typeId);
+    }
     return this;
   }
 
   /**
    * Get a component from this entity
-   * @param {Function|string} componentClass - The component class or name to get
+   * @param {Function|string} componentClass - The component class or registered name to get
    * @returns {Component|undefined} - The component or undefined if not found
    */
   getComponent(componentClass) {
-    const componentName = typeof componentClass === 'string' 
-      ? componentClass 
-      : componentClass.name;
-    return this.components.get(componentName);
+    return this.components.get(this.registry.getId(componentClass));
   }
 
   /**
    * Check if this entity has a component
-   * @param {Function|string} componentClass - The component class or name to check
+   * @param {Function|string} componentClass - The component class or registered name to check
    * @returns {boolean} - True if the entity has the component
    */
   hasComponent(componentClass) {
-    const componentName = typeof componentClass === 'string' 
-      ? componentClass 
-      : componentClass.name;
-    return this.components.has(componentName);
+    return this.components.has(this.registry.getId(componentClass));
   }
 }
 
-export default Entity;
\ No newline at end of file
+export default Entity;
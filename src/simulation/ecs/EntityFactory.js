@@ -1,19 +1,29 @@
 // src/simulation/ecs/EntityFactory.js
-import { PositionComponent } from "./components/PositionComponent";
-import { VelocityComponent } from "./components/VelocityComponent";
-import { PhysicsComponent } from "./components/PhysicsComponent";
-import { JointComponent } from "./components/JointComponent";
-import { OrganismComponent } from "./components/OrganismComponent";
-import { GeneticComponent } from "./components/GeneticComponent";
-import { RenderComponent } from "./components/RenderComponent";
-import { FitnessComponent } from "./components/FitnessComponent";
-import { FoodComponent } from "./components/FoodComponent";
-import { FOOD_RADIUS, JOINT_RADIUS } from "../constants";
-import { Vector2 } from "./utils/Vector2";
+import { PositionComponent } from "./components/PositionComponent.js";
+import { VelocityComponent } from "./components/VelocityComponent.js";
+import { PhysicsComponent } from "./components/PhysicsComponent.js";
+import { JointComponent } from "./components/JointComponent.js";
+import { OrganismComponent } from "./components/OrganismComponent.js";
+import { GeneticComponent } from "./components/GeneticComponent.js";
+import { RenderComponent } from "./components/RenderComponent.js";
+import { FitnessComponent } from "./components/FitnessComponent.js";
+import { FoodComponent } from "./components/FoodComponent.js";
+import { ObstacleComponent } from "./components/ObstacleComponent.js";
+import { GroundComponent } from "./components/GroundComponent.js";
+import {
+  FOOD_RADIUS,
+  JOINT_RADIUS,
+  OBSTACLE_WALL,
+  OBSTACLE_CIRCLE,
+  OBSTACLE_POLYGON,
+  DEFAULT_WALL_THICKNESS
+} from "../constants.js";
+import { Vector2 } from "./utils/Vector2.js";
+import { createPlanGraph } from "./utils/bodyGraph.js";
 
 /**
  * Factory class to simplify creation of common entities
- * Updated to use deterministic body plans from genetic seeds
+ * Organism bodies are built from body graphs, given by the genome or derived from its seed
  */
 export class EntityFactory {
   /**
@@ -22,6 +32,7 @@ export class EntityFactory {
    */
   constructor(world) {
     this.world = world;
+    this.random = world.random;
   }
 
   /**
@@ -42,6 +53,86 @@ export class EntityFactory {
     return foodEntity;
   }
 
+  /**
+   * Create a straight wall obstacle with rounded ends
+   * @param {number} x1 - X of the wall's start
+   * @param {number} y1 - Y of the wall's start
+   * @param {number} x2 - X of the wall's end
+   * @param {number} y2 - Y of the wall's end
+   * @param {number} thickness - Width of the wall
+   * @returns {Entity} - The created obstacle entity
+   */
+  createWall(x1, y1, x2, y2, thickness = DEFAULT_WALL_THICKNESS) {
+    // Walls are positioned at their midpoint so the spatial search stays small
+    const x = (x1 + x2) / 2;
+    const y = (y1 + y2) / 2;
+    const obstacle = new ObstacleComponent(OBSTACLE_WALL, thickness / 2, [x1 - x, y1 - y, x2 - x, y2 - y]);
+
+    return this.createObstacleEntity(x, y, obstacle);
+  }
+
+  /**
+   * Create a circular obstacle
+   * @param {number} x - X of the center
+   * @param {number} y - Y of the center
+   * @param {number} radius - Radius of the circle
+   * @returns {Entity} - The created obstacle entity
+   */
+  createCircleObstacle(x, y, radius) {
+    return this.createObstacleEntity(x, y, new ObstacleComponent(OBSTACLE_CIRCLE, radius));
+  }
+
+  /**
+   * Create a polygon obstacle
+   * @param {number[][]} vertices - [x, y] corners of the outline, in order
+   * @returns {Entity} - The created obstacle entity
+   */
+  createPolygonObstacle(vertices) {
+    // Position the polygon at the average of its corners
+    const x = vertices.reduce((sum, vertex) => sum + vertex[0], 0) / vertices.length;
+    const y = vertices.reduce((sum, vertex) => sum + vertex[1], 0) / vertices.length;
+    const points = vertices.flatMap(([vertexX, vertexY]) => [vertexX - x, vertexY - y]);
+
+    return this.createObstacleEntity(x, y, new ObstacleComponent(OBSTACLE_POLYGON, 0, points));
+  }
+
+  /**
+   * Create the ground of a side-view world
+   * @param {number[][]} vertices - [x, y] points of the ground line, sorted by x
+   * @returns {Entity} - The created ground entity
+   */
+  createGround(vertices) {
+    const groundEntity = this.world.createEntity();
+
+    groundEntity.addComponent(new PositionComponent(0, 0));
+    groundEntity.addComponent(new GroundComponent(vertices.flat()));
+    groundEntity.addComponent(
+      new RenderComponent("ground", "#2e4a2e", 0)
+    );
+
+    return groundEntity;
+  }
+
+  /**
+   * Create a static entity holding an obstacle shape
+   * @param {number} x - X position the shape is relative to
+   * @param {number} y - Y position the shape is relative to
+   * @param {ObstacleComponent} obstacle - The obstacle's shape
+   * @returns {Entity} - The created obstacle entity
+   * @private
+   */
+  createObstacleEntity(x, y, obstacle) {
+    const obstacleEntity = this.world.createEntity();
+
+    obstacleEntity.addComponent(new PositionComponent(x, y));
+    obstacleEntity.addComponent(obstacle);
+    obstacleEntity.addComponent(
+      new RenderComponent("obstacle", "#556080", obstacle.radius)
+    );
+
+    return obstacleEntity;
+  }
+
   /**
    * Create a joint entity
    * @param {number} x - X position
@@ -65,14 +156,19 @@ export class EntityFactory {
       new RenderComponent("joint", "#ffffff", JOINT_RADIUS)
     );
 
+    // Joints are destroyed along with their organism
+    this.world.setOwner(jointEntity.id, organismId);
+
     return jointEntity;
   }
 
   /**
-   * Create an organism entity with a body plan derived from genetic seed
+   * Create an organism entity with the body its genes describe
+   * Genomes with a body graph are built from it; others get the fixed body plan
+   * their seed picks, with the given number of joints
    * @param {number} x - X position
    * @param {number} y - Y position
-   * @param {number} numJoints - Number of joints to create
+   * @param {number} numJoints - Number of joints of a body plan
    * @param {GeneticComponent} geneticComponent - Genetic component to use
    * @returns {Entity} - The created organism entity
    */
@@ -83,163 +179,66 @@ export class EntityFactory {
     organismEntity.addComponent(new FitnessComponent());
 
     // Use provided genetics or create new
-    const genetics = geneticComponent || new GeneticComponent();
+    const genetics = geneticComponent || new GeneticComponent(null, this.random.stream('genetics'));
     organismEntity.addComponent(genetics);
 
-    // Generate body plan based on genetic seed
-    this.generateBodyPlan(x, y, numJoints, organismEntity, organism, genetics);
+    const graph = genetics.bodyGraph || createPlanGraph(genetics.bodyPlanSeed, numJoints);
+    this.buildBody(x, y, graph, organismEntity, organism);
+    this.applyMaterialGenes(organism, genetics);
 
     return organismEntity;
   }
 
   /**
-   * Generate a body plan based on genetic seed
-   * @param {number} x - X position
-   * @param {number} y - Y position
-   * @param {number} numJoints - Number of joints to create
-   * @param {Entity} organismEntity - The organism entity
+   * Give an organism's joints and limbs the masses and stiffnesses from its genes
+   * Joints are matched to genes by their gene index, limbs by their limb index
    * @param {OrganismComponent} organism - The organism component
    * @param {GeneticComponent} genetics - The genetic component
-   */
-  generateBodyPlan(x, y, numJoints, organismEntity, organism, genetics) {
-    // Use genetic seed to determine body plan type
-    // This creates deterministic body plans for each genetic seed
-    const seed = genetics.bodyPlanSeed;
-    
-    if (seed < 0.33) {
-      this.createRadialBodyPlan(x, y, numJoints, organismEntity, organism);
-    } else if (seed < 0.66) {
-      this.createChainBodyPlan(x, y, numJoints, organismEntity, organism);
-    } else {
-      this.createTreeBodyPlan(x, y, numJoints, organismEntity, organism);
-    }
-  }
-
-  /**
-   * Create a radial body plan (joints in a circle around a center)
    * @private
    */
-  createRadialBodyPlan(x, y, numJoints, organismEntity, organism) {
-    // Create center joint
-    const centerJoint = this.createJoint(x, y, organismEntity.id);
-    organism.jointIds.push(centerJoint.id);
-    
-    // Create outer joints in a circle
-    const radius = 30;
-    const outerJoints = [];
-    
-    for (let i = 0; i < numJoints - 1; i++) {
-      const angle = (i / (numJoints - 1)) * Math.PI * 2;
-      const jointX = x + Math.cos(angle) * radius;
-      const jointY = y + Math.sin(angle) * radius;
-      
-      const jointEntity = this.createJoint(jointX, jointY, organismEntity.id);
-      organism.jointIds.push(jointEntity.id);
-      outerJoints.push(jointEntity);
-    }
-    
-    // Connect outer joints to center
-    for (const outerJoint of outerJoints) {
-      this.connectJoints(centerJoint, outerJoint);
-    }
-    
-    // Connect adjacent outer joints
-    for (let i = 0; i < outerJoints.length; i++) {
-      const nextIndex = (i + 1) % outerJoints.length;
-      this.connectJoints(outerJoints[i], outerJoints[nextIndex]);
-    }
-  }
+  applyMaterialGenes(organism, genetics) {
+    organism.jointIds.forEach((jointId) => {
+      const jointEntity = this.world.getEntity(jointId);
+      const joint = jointEntity.getComponent(JointComponent);
+      jointEntity.getComponent(PhysicsComponent).mass = genetics.getJointMass(joint.geneIndex);
 
-  /**
-   * Create a chain body plan (joints in a line)
-   * @private
-   */
-  createChainBodyPlan(x, y, numJoints, organismEntity, organism) {
-    const jointEntities = [];
-    const spacing = 25;
-    
-    // Create joints in a line
-    for (let i = 0; i < numJoints; i++) {
-      const jointX = x + (i * spacing);
-      const jointY = y;
-      
-      const jointEntity = this.createJoint(jointX, jointY, organismEntity.id);
-      organism.jointIds.push(jointEntity.id);
-      jointEntities.push(jointEntity);
-    }
-    
-    // Connect adjacent joints
-    for (let i = 0; i < jointEntities.length - 1; i++) {
-      this.connectJoints(jointEntities[i], jointEntities[i + 1]);
-    }
+      for (const [connectedJointId, limbIndex] of joint.limbIndices) {
+        joint.limbStiffness.set(connectedJointId, genetics.getLimbStiffness(limbIndex));
+      }
+    });
   }
 
   /**
-   * Create a tree body plan (branching structure)
-   * @private
+   * Build an organism's body from a body graph
+   * Joints and limbs are made in the graph's order and take their gene
+   * indices from its slots
+   * @param {number} x - X position of the graph's origin
+   * @param {number} y - Y position of the graph's origin
+   * @param {Object} graph - Body graph (see utils/bodyGraph.js)
+   * @param {Entity} organismEntity - The organism entity
+   * @param {OrganismComponent} organism - The organism component
    */
-  createTreeBodyPlan(x, y, numJoints, organismEntity, organism) {
-    // Start with a trunk (central line)
-    const trunkLength = Math.min(Math.floor(numJoints / 2), 4);
-    const jointEntities = [];
-    const spacing = 25;
-    
-    // Create trunk joints
-    for (let i = 0; i < trunkLength; i++) {
-      const jointX = x;
-      const jointY = y + (i * spacing);
-      
-      const jointEntity = this.createJoint(jointX, jointY, organismEntity.id);
+  buildBody(x, y, graph, organismEntity, organism) {
+    const jointEntities = graph.joints.map(([jointX, jointY], i) => {
+      const jointEntity = this.createJoint(x + jointX, y + jointY, organismEntity.id);
+      jointEntity.getComponent(JointComponent).geneIndex = graph.jointSlots[i];
       organism.jointIds.push(jointEntity.id);
-      jointEntities.push(jointEntity);
-    }
-    
-    // Connect trunk joints
-    for (let i = 0; i < trunkLength - 1; i++) {
-      this.connectJoints(jointEntities[i], jointEntities[i + 1]);
-    }
+      return jointEntity;
+    });
     
-    // Add branches
-    const remainingJoints = numJoints - trunkLength;
-    let branchJointCount = 0;
-    
-    // Create branches from each trunk joint except the top one
-    for (let i = 0; i < trunkLength - 1 && branchJointCount < remainingJoints; i++) {
-      // Branch left
-      if (branchJointCount < remainingJoints) {
-        const branchX = x - spacing;
-        const branchY = y + (i * spacing);
-        
-        const branchJoint = this.createJoint(branchX, branchY, organismEntity.id);
-        organism.jointIds.push(branchJoint.id);
-        jointEntities.push(branchJoint);
-        
-        // Connect to trunk
-        this.connectJoints(jointEntities[i], branchJoint);
-        branchJointCount++;
-      }
-      
-      // Branch right
-      if (branchJointCount < remainingJoints) {
-        const branchX = x + spacing;
-        const branchY = y + (i * spacing);
-        
-        const branchJoint = this.createJoint(branchX, branchY, organismEntity.id);
-        organism.jointIds.push(branchJoint.id);
-        jointEntities.push(branchJoint);
-        
-        // Connect to trunk
-        this.connectJoints(jointEntities[i], branchJoint);
-        branchJointCount++;
-      }
-    }
+    graph.limbs.forEach(([a, b], i) => {
+      this.connectJoints(jointEntities[a], jointEntities[b], graph.limbSlots[i]);
+    });
   }
 
   /**
    * Helper method to connect two joints
+   * @param {Entity} jointEntityA - Joint at one end of the limb
+   * @param {Entity} jointEntityB - Joint at the other end
+   * @param {number} limbIndex - Index of the limb's genes
    * @private
    */
-  connectJoints(jointEntityA, jointEntityB) {
+  connectJoints(jointEntityA, jointEntityB, limbIndex) {
     const jointComponentA = jointEntityA.getComponent(JointComponent);
     const jointComponentB = jointEntityB.getComponent(JointComponent);
     const positionA = jointEntityA.getComponent(PositionComponent);
@@ -252,9 +251,11 @@ export class EntityFactory {
     // Add connections
     jointComponentA.connections.push(jointEntityB.id);
     jointComponentA.restLengths.set(jointEntityB.id, restLength);
+    jointComponentA.limbIndices.set(jointEntityB.id, limbIndex);
 
     jointComponentB.connections.push(jointEntityA.id);
     jointComponentB.restLengths.set(jointEntityA.id, restLength);
+    jointComponentB.limbIndices.set(jointEntityA.id, limbIndex);
   }
 }
 
@@ -0,0 +1,97 @@
+// src/simulation/ecs/Profiler.js
+import { PROFILER_WINDOW_SIZE } from '../constants.js';
+
+/**
+ * Rolling-window timing profiler
+ * Keeps the last N samples for each named section (usually one per system)
+ * and summarizes them on request. Disabled by default, so it costs nothing
+ * until someone is looking.
+ */
+export class Profiler {
+  /**
+   * Create a new profiler
+   * @param {number} windowSize - Number of samples kept per section
+   */
+  constructor(windowSize = PROFILER_WINDOW_SIZE) {
+    this.windowSize = windowSize;
+    this.enabled = false;
+    this.sections = new Map(); // Section name to { samples, index, count }
+  }
+
+  /**
+   * Turn timing collection on or off
+   * Turning it off keeps the samples gathered so far
+   * @param {boolean} enabled - Whether to collect timings
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+  }
+
+  /**
+   * Record one timing sample
+   * @param {string} name - Section name
+   * @param {number} milliseconds - Duration of the sample
+   */
+  record(name, milliseconds) {
+    let section = this.sections.get(name);
+    if (!section) {
+      section = { samples: new Float64Array(this.windowSize), index: 0, count: 0 };
+      this.sections.set(name, section);
+    }
+    
+    section.samples[section.index] = milliseconds;
+    section.index = (section.index + 1) % this.windowSize;
+    section.count = Math.min(section.count + 1, this.windowSize);
+  }
+
+  /**
+   * Run a function and record how long it took, if profiling is enabled
+   * @param {string} name - Section name
+   * @param {Function} fn - Function to run
+   * @returns {*} - Whatever the function returns
+   */
+  measure(name, fn) {
+    if (!this.enabled) return fn();
+    
+    const start = performance.now();
+    const result = fn();
+    this.record(name, performance.now() - start);
+    return result;
+  }
+
+  /**
+   * Summarize every section over the current window
+   * @returns {Object} - Section name to { avgMs, maxMs, lastMs, samples }
+   */
+  getTimings() {
+    const timings = {};
+    
+    for (const [name, section] of this.sections) {
+      let total = 0;
+      let max = 0;
+      for (let i = 0; i < section.count; i++) {
+        total += section.samples[i];
+        max = Math.max(max, section.samples[i]);
+      }
+      
+      const lastIndex = (section.index - 1 + this.windowSize) % this.windowSize;
+      timings[name] = {
+        avgMs: section.count > 0 ? total / section.count : 0,
+        maxMs: max,
+        lastMs: section.count > 0 ? section.samples[lastIndex] : 0,
+        samples: section.count
+      };
+    }
+    
+    return timings;
+  }
+
+  /**
+   * Discard all samples
+   */
+  reset() {
+    this.sections.clear();
+  }
+}
+
+export default Profiler;
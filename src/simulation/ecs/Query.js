@@ -0,0 +1,114 @@
+// src/simulation/ecs/Query.js
+
+/**
+ * A live, cached set of entities that have all of a list of components
+ * Queries are created and kept up to date by the World; systems just iterate them
+ */
+export class Query {
+  /**
+   * Create a new query
+   * @param {number[]} typeIds - Type IDs of the components an entity must have
+   */
+  constructor(typeIds) {
+    this.typeIds = typeIds;
+    this.entities = new Set();
+    this.listeners = []; // Objects with optional added(entity) / removed(entity) callbacks
+  }
+
+  /**
+   * Number of entities currently matching this query
+   * @type {number}
+   */
+  get size() {
+    return this.entities.size;
+  }
+
+  /**
+   * Check whether an entity has every component this query requires
+   * @param {Entity} entity - The entity to test
+   * @returns {boolean} - True if the entity matches
+   */
+  matches(entity) {
+    for (const typeId of this.typeIds) {
+      if (!entity.components.has(typeId)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Add or remove an entity depending on whether it currently matches
+   * @param {Entity} entity - The entity whose components changed
+   */
+  refresh(entity) {
+    if (this.matches(entity)) {
+      this.add(entity);
+    } else {
+      this.delete(entity);
+    }
+  }
+
+  /**
+   * Add an entity to the result set
+   * @param {Entity} entity - The entity to add
+   */
+  add(entity) {
+    if (this.entities.has(entity)) return;
+    
+    this.entities.add(entity);
+    for (const listener of this.listeners) {
+      if (listener.added) listener.added(entity);
+    }
+  }
+
+  /**
+   * Remove an entity from the result set
+   * @param {Entity} entity - The entity to remove
+   */
+  delete(entity) {
+    if (!this.entities.delete(entity)) return;
+    
+    for (const listener of this.listeners) {
+      if (listener.removed) listener.removed(entity);
+    }
+  }
+
+  /**
+   * Remove every entity from the result set
+   */
+  clear() {
+    for (const entity of this.entities) {
+      this.delete(entity);
+    }
+  }
+
+  /**
+   * Get notified when entities enter or leave the result set
+   * @param {Object} listener - Object with optional added(entity) and removed(entity) methods
+   * @returns {Function} - Call to unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      const index = this.listeners.indexOf(listener);
+      if (index !== -1) this.listeners.splice(index, 1);
+    };
+  }
+
+  /**
+   * Copy the current result set into an array
+   * @returns {Entity[]} - Snapshot of the matching entities
+   */
+  toArray() {
+    return Array.from(this.entities);
+  }
+
+  /**
+   * Iterate over the matching entities
+   * @returns {Iterator<Entity>}
+   */
+  [Symbol.iterator]() {
+    return this.entities.values();
+  }
+}
+
+export default Query;
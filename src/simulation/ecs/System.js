@@ -7,10 +7,11 @@
 export class System {
   /**
    * Create a new system
-   * @param {World} world - Reference to the world this system belongs to
+   * @param {World|null} world - Reference to the world this system belongs to
    */
   constructor(world) {
     this.world = world;
+    this.random = world ? world.random : null; // Seeded random service shared by the whole world
   }
 
   /**
@@ -21,6 +22,24 @@ export class System {
   update(deltaTime) {
     // Override in derived systems
   }
+
+  /**
+   * Capture state kept on the system itself, for saving a run
+   * Override in derived systems that hold more than caches
+   * @returns {Object} - JSON-friendly state
+   */
+  serialize() {
+    return {};
+  }
+
+  /**
+   * Restore state captured by serialize
+   * The default copies each field back onto the system
+   * @param {Object} state - State produced by serialize
+   */
+  deserialize(state) {
+    Object.assign(this, state);
+  }
 }
 
 export default System;
\ No newline at end of file
@@ -1,5 +1,11 @@
 // src/simulation/ecs/World.js
-import { Entity } from './Entity';
+import { Entity } from './Entity.js';
+import { Query } from './Query.js';
+import { CommandBuffer } from './CommandBuffer.js';
+import { ComponentRegistry } from './ComponentRegistry.js';
+import { registerCoreComponents } from './components/registerCoreComponents.js';
+import { RandomService } from './utils/Random.js';
+import { Profiler } from './Profiler.js';
 
 /**
  * World class that manages all entities and systems
@@ -7,29 +13,120 @@ import { Entity } from './Entity';
 export class World {
   /**
    * Create a new world
+   * @param {number} seed - Seed for the world's random number streams
    */
-  constructor() {
+  constructor(seed = 0) {
     this.entities = new Map();
     this.systems = [];
+    this.systemNames = new Map(); // System to the name it is profiled under
     this.nextEntityId = 1;
+    this.registry = new ComponentRegistry(); // Component types known to this world
+    this.queries = new Map(); // Query cache keyed by sorted component type IDs
+    this.queriesByComponent = new Map(); // Component type ID to the queries that use it
+    this.commands = new CommandBuffer(this); // Deferred structural changes
+    this.owners = new Map(); // Entity ID to the ID of the entity that owns it
+    this.ownedEntities = new Map(); // Owner entity ID to the set of entity IDs it owns
+    this.random = new RandomService(seed); // All simulation randomness comes from here
+    this.profiler = new Profiler();
+    this.queryStats = { hits: 0, misses: 0 }; // Query cache lookups
+    
+    registerCoreComponents(this.registry);
+  }
+
+  /**
+   * Reserve an entity ID without creating the entity yet
+   * Used by the command buffer so deferred entities can be referenced before they exist
+   * @returns {number} - The reserved ID
+   */
+  reserveEntityId() {
+    return this.nextEntityId++;
   }
 
   /**
    * Create a new entity in this world
+   * @param {number} [entityId] - Previously reserved ID to use
    * @returns {Entity} - The newly created entity
    */
-  createEntity() {
-    const entity = new Entity(this.nextEntityId++);
+  createEntity(entityId = this.reserveEntityId()) {
+    const entity = new Entity(entityId, this);
     this.entities.set(entity.id, entity);
     return entity;
   }
 
   /**
-   * Remove an entity from this world
+   * Remove an entity from this world immediately
+   * Entities it owns are removed with it, and each component gets a chance to
+   * clean up references to the entity held elsewhere
+   * Systems should prefer world.commands.destroyEntity while they are iterating
    * @param {number} entityId - ID of the entity to remove
    */
   removeEntity(entityId) {
+    const entity = this.entities.get(entityId);
+    if (!entity) return;
+    
+    // Cascade to owned entities first
+    const owned = this.ownedEntities.get(entityId);
+    if (owned) {
+      for (const ownedId of owned) {
+        this.removeEntity(ownedId);
+      }
+      this.ownedEntities.delete(entityId);
+    }
+    
+    for (const component of entity.components.values()) {
+      component.onDestroy();
+    }
+    
+    this.clearOwner(entityId);
     this.entities.delete(entityId);
+    
+    // Drop the entity from every query that could contain it
+    for (const typeId of entity.components.keys()) {
+      const queries = this.queriesByComponent.get(typeId);
+      if (!queries) continue;
+      
+      for (const query of queries) {
+        query.delete(entity);
+      }
+    }
+    
+    entity.world = null;
+  }
+
+  /**
+   * Make one entity owned by another, so destroying the owner destroys it too
+   * @param {number} entityId - ID of the owned entity
+   * @param {number} ownerId - ID of the owning entity
+   */
+  setOwner(entityId, ownerId) {
+    this.clearOwner(entityId);
+    
+    this.owners.set(entityId, ownerId);
+    if (!this.ownedEntities.has(ownerId)) {
+      this.ownedEntities.set(ownerId, new Set());
+    }
+    this.ownedEntities.get(ownerId).add(entityId);
+  }
+
+  /**
+   * Remove an entity's owner relation, if it has one
+   * @param {number} entityId - ID of the owned entity
+   */
+  clearOwner(entityId) {
+    const ownerId = this.owners.get(entityId);
+    if (ownerId === undefined) return;
+    
+    this.owners.delete(entityId);
+    this.ownedEntities.get(ownerId)?.delete(entityId);
+  }
+
+  /**
+   * Get the owner of an entity
+   * @param {number} entityId - ID of the owned entity
+   * @returns {number|undefined} - ID of the owner or undefined if it has none
+   */
+  getOwner(entityId) {
+    return this.owners.get(entityId);
   }
 
   /**
@@ -44,49 +141,228 @@ export class World {
   /**
    * Add a system to this world
    * @param {System} system - The system to add
+   * @param {string} name - Name used in profiler reports; pass one explicitly
+   *   in code that is minified, since constructor names do not survive it
    * @returns {World} - This world (for chaining)
    */
-  addSystem(system) {
+  addSystem(system, name = system.constructor.name) {
     this.systems.push(system);
+    this.systemNames.set(system, name);
     return this;
   }
 
   /**
    * Update all systems in this world
+   * Queued commands are applied after each system, which is the sync point
+   * between systems for structural changes
    * @param {number} deltaTime - Time elapsed since last update
    */
   update(deltaTime) {
+    this.flushCommands();
+    
+    if (this.profiler.enabled) {
+      this.updateProfiled(deltaTime);
+      return;
+    }
+    
+    for (const system of this.systems) {
+      system.update(deltaTime);
+      this.flushCommands();
+    }
+  }
+
+  /**
+   * Same as update, but records how long each system and each sync point takes
+   * @param {number} deltaTime - Time elapsed since last update
+   * @private
+   */
+  updateProfiled(deltaTime) {
+    let commandTime = 0;
+    
     for (const system of this.systems) {
+      const start = performance.now();
       system.update(deltaTime);
+      const systemEnd = performance.now();
+      this.flushCommands();
+      
+      this.profiler.record(this.systemNames.get(system), systemEnd - start);
+      commandTime += performance.now() - systemEnd;
+    }
+    
+    this.profiler.record('CommandBuffer', commandTime);
+  }
+
+  /**
+   * Apply all commands queued on the world's command buffer
+   */
+  flushCommands() {
+    if (this.commands.size > 0) {
+      this.commands.flush();
+    }
+  }
+
+  /**
+   * Get a live query of all entities that have every given component
+   * The same Query instance is returned for the same set of components and
+   * is kept up to date as entities and components are added and removed
+   * @param {...(Function|string)} componentClasses - Component classes or registered names
+   * @returns {Query} - The cached query
+   */
+  query(...componentClasses) {
+    const typeIds = [...new Set(componentClasses.map(c => this.registry.getId(c)))]
+      .sort((a, b) => a - b);
+    const cacheKey = typeIds.join('|');
+    
+    let query = this.queries.get(cacheKey);
+    if (query) {
+      this.queryStats.hits++;
+      return query;
+    }
+    
+    this.queryStats.misses++;
+    query = new Query(typeIds);
+    for (const entity of this.entities.values()) {
+      if (query.matches(entity)) {
+        query.entities.add(entity);
+      }
+    }
+    
+    this.queries.set(cacheKey, query);
+    for (const typeId of typeIds) {
+      if (!this.queriesByComponent.has(typeId)) {
+        this.queriesByComponent.set(typeId, []);
+      }
+      this.queriesByComponent.get(typeId).push(query);
+    }
+    
+    return query;
+  }
+
+  /**
+   * Update cached queries after a component was added to or removed from an entity
+   * Called by Entity; only queries involving the changed component are touched
+   * @param {Entity} entity - The entity that changed
+   * @param {number} typeId - Type ID of the component that was added or removed
+   */
+  onComponentsChanged(entity, typeId) {
+    const queries = this.queriesByComponent.get(typeId);
+    if (!queries) return;
+    
+    for (const query of queries) {
+      query.refresh(entity);
     }
   }
 
   /**
    * Get all entities that have a specific component
-   * @param {Function|string} componentClass - The component class or name to check for
+   * @param {Function|string} componentClass - The component class or registered name to check for
    * @returns {Entity[]} - Array of entities with the component
    */
   getEntitiesWithComponent(componentClass) {
-    const componentName = typeof componentClass === 'string' 
-      ? componentClass 
-      : componentClass.name;
+    return this.query(componentClass).toArray();
+  }
+
+  /**
+   * Build a performance report: per-system timings over the profiler's window,
+   * entity counts and query cache statistics
+   * @returns {Object} - JSON-friendly report
+   */
+  getProfile() {
+    const byComponent = {};
+    for (const type of this.registry.types) {
+      byComponent[type.name] = 0;
+    }
+    for (const entity of this.entities.values()) {
+      for (const typeId of entity.components.keys()) {
+        byComponent[this.registry.getName(typeId)]++;
+      }
+    }
     
-    const result = [];
+    const { hits, misses } = this.queryStats;
+    
+    return {
+      timestamp: new Date().toISOString(),
+      windowSize: this.profiler.windowSize,
+      systems: this.profiler.getTimings(),
+      entities: {
+        total: this.entities.size,
+        byComponent
+      },
+      queries: {
+        cached: this.queries.size,
+        hits,
+        misses,
+        hitRate: hits + misses > 0 ? hits / (hits + misses) : 0
+      }
+    };
+  }
+
+  /**
+   * Capture every entity, component, owner relation and random stream as plain data
+   * Components are keyed by their registered names, so the data does not depend
+   * on registration order
+   * @returns {Object} - JSON-friendly world state
+   */
+  serialize() {
+    const entities = [];
     for (const entity of this.entities.values()) {
-      if (entity.hasComponent(componentName)) {
-        result.push(entity);
+      const components = {};
+      for (const [typeId, component] of entity.components) {
+        components[this.registry.getName(typeId)] = component.serialize();
+      }
+      entities.push({ id: entity.id, components });
+    }
+    
+    return {
+      nextEntityId: this.nextEntityId,
+      random: this.random.serialize(),
+      entities,
+      owners: [...this.owners]
+    };
+  }
+
+  /**
+   * Replace the contents of this world with serialized state
+   * Entities keep their IDs and are recreated in their saved order, so cached
+   * queries iterate them exactly as before
+   * @param {Object} data - State produced by serialize
+   */
+  deserialize(data) {
+    this.clear();
+    
+    for (const { id, components } of data.entities) {
+      const entity = this.createEntity(id);
+      for (const [name, componentData] of Object.entries(components)) {
+        const { componentClass } = this.registry.getType(name);
+        entity.addComponent(componentClass.deserialize(componentData));
       }
     }
-    return result;
+    
+    for (const [entityId, ownerId] of data.owners) {
+      this.setOwner(entityId, ownerId);
+    }
+    
+    this.nextEntityId = data.nextEntityId;
+    this.random.restore(data.random);
   }
 
   /**
    * Clear all entities from this world
    */
   clear() {
+    for (const entity of this.entities.values()) {
+      entity.world = null;
+    }
     this.entities.clear();
     this.nextEntityId = 1;
+    this.commands.clear();
+    this.owners.clear();
+    this.ownedEntities.clear();
+    
+    for (const query of this.queries.values()) {
+      query.clear();
+    }
   }
 }
 
-export default World;
\ No newline at end of file
+export default World;
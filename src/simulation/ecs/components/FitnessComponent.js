@@ -1,5 +1,5 @@
 // src/simulation/ecs/components/FitnessComponent.js
-import { Component } from '../Component';
+import { Component } from '../Component.js';
 
 /**
  * Component that tracks fitness-related data for an organism
@@ -12,6 +12,10 @@ export class FitnessComponent extends Component {
     super();
     this.fitness = 0;
     this.foodEaten = 0;
+    this.distance = 0;  // Distance moved to the right, for distance fitness
+    this.lastX = null;  // Center x at the previous update, or null before the first
+    this.brokenLimbs = 0;
+    this.penalty = 0;   // Fitness lost to broken limbs
   }
 }
 
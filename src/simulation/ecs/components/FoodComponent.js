@@ -1,6 +1,6 @@
 // src/simulation/ecs/components/FoodComponent.js
-import { Component } from '../Component';
-import { FOOD_RADIUS } from '../../constants';
+import { Component } from '../Component.js';
+import { FOOD_RADIUS } from '../../constants.js';
 
 /**
  * Component that defines an entity as food
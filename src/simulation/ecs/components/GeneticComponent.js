@@ -1,9 +1,59 @@
 // src/simulation/ecs/components/GeneticComponent.js
-import { Component } from '../Component';
+import { Component } from '../Component.js';
+import { copyBodyGraph, mutateBodyGraph } from '../utils/bodyGraph.js';
+import {
+  MAX_JOINT_COUNT,
+  MAX_LIMB_COUNT,
+  MIN_JOINT_MASS,
+  MAX_JOINT_MASS,
+  MIN_LIMB_STIFFNESS,
+  MAX_LIMB_STIFFNESS,
+  MIN_CONTRACT_RATIO,
+  MAX_CONTRACT_RATIO,
+  MIN_EXTEND_RATIO,
+  MAX_EXTEND_RATIO,
+  CROSSOVER_SINGLE_POINT,
+  CROSSOVER_UNIFORM,
+  CROSSOVER_PATTERN,
+  CONTROLLER_PATTERN,
+  CONTROLLER_CPG,
+  CONTROLLER_NEURAL,
+  MIN_CPG_AMPLITUDE,
+  MAX_CPG_AMPLITUDE,
+  MIN_CPG_FREQUENCY,
+  MAX_CPG_FREQUENCY,
+  MAX_CPG_COUPLING,
+  NEURAL_WEIGHT_COUNT,
+  NEURAL_MAX_WEIGHT
+} from '../../constants.js';
+
+const TWO_PI = Math.PI * 2;
+
+// Values of the controller genes a genome's controller does not use
+const NO_CONTROLLER_GENES = {
+  limbAmplitudes: null,
+  limbFrequencies: null,
+  limbPhases: null,
+  coupling: 0,
+  neuralWeights: null
+};
 
 /**
  * Component that stores the genetic information of an organism
  * Simplified to represent binary states and patterns
+ *
+ * Besides the timing patterns, the genes set material properties: a mass for
+ * every joint and a stiffness and contract/extend ratios for every limb, by
+ * the gene and limb indices EntityFactory gives joints and limbs
+ *
+ * The controller field names the controller the genome encodes (see
+ * StateSystem). Pattern genomes drive limbs with the limb patterns; CPG genomes
+ * also carry an oscillator amplitude, frequency and phase for every limb and a
+ * coupling strength between neighboring oscillators; neural genomes carry the
+ * weights of the network that reads the organism's sensors (see NeuralController)
+ *
+ * A genome may also carry a body graph (see utils/bodyGraph.js), which then
+ * shapes the body instead of the body plan seed and evolves by structural mutations
  */
 export class GeneticComponent extends Component {
   /**
@@ -13,40 +63,86 @@ export class GeneticComponent extends Component {
    * @param {Array} params.limbPatterns - Patterns for limb states (0=contract, 1=extend)
    * @param {number} params.patternSpeed - Speed of pattern cycling
    * @param {number} params.bodyPlanSeed - Seed for generating body plan
+   * @param {number[]} params.jointMasses - Mass of each joint
+   * @param {number[]} params.limbStiffness - Spring stiffness of each limb
+   * @param {number[]} params.contractRatios - Rest length of each contracted limb, relative to its base length
+   * @param {number[]} params.extendRatios - Rest length of each extended limb, relative to its base length
+   * @param {string} params.controller - Controller the genome encodes, 'pattern', 'cpg' or 'neural'
+   * @param {number[]} params.limbAmplitudes - Oscillator swing of each limb (CPG only)
+   * @param {number[]} params.limbFrequencies - Oscillator frequency of each limb (CPG only)
+   * @param {number[]} params.limbPhases - Oscillator starting phase of each limb (CPG only)
+   * @param {number} params.coupling - Pull between oscillators of neighboring limbs (CPG only)
+   * @param {number[]} params.neuralWeights - Network weights, hidden layer first (neural only)
+   * @param {Object} params.bodyGraph - Joints and limbs of the body, or null to use the body plan seed
+   * @param {RandomStream} rng - Random stream used when no params are given
+   * @param {string} controller - Controller of a random genome, 'pattern', 'cpg' or 'neural'
    */
-  constructor(params = null) {
+  constructor(params = null, rng = null, controller = CONTROLLER_PATTERN) {
     super();
     
     if (params) {
+      this.controller = params.controller;
       this.jointPatterns = params.jointPatterns;
       this.limbPatterns = params.limbPatterns;
       this.patternSpeed = params.patternSpeed;
       this.bodyPlanSeed = params.bodyPlanSeed;
+      this.jointMasses = params.jointMasses;
+      this.limbStiffness = params.limbStiffness;
+      this.contractRatios = params.contractRatios;
+      this.extendRatios = params.extendRatios;
+      this.limbAmplitudes = params.limbAmplitudes;
+      this.limbFrequencies = params.limbFrequencies;
+      this.limbPhases = params.limbPhases;
+      this.coupling = params.coupling;
+      this.neuralWeights = params.neuralWeights;
+      this.bodyGraph = params.bodyGraph;
     } else {
+      this.controller = controller;
       // Default: Create random patterns
-      this.jointPatterns = this.createRandomPatterns(3);  // 3 different joint patterns
-      this.limbPatterns = this.createRandomPatterns(2);   // 2 different limb patterns
-      this.patternSpeed = 0.2 + Math.random() * 3.8;     // Wide range of speeds (0.2-4.0)
-      this.bodyPlanSeed = Math.random();                 // Seed for body plan generation
+      this.jointPatterns = this.createRandomPatterns(3, rng);  // 3 different joint patterns
+      this.limbPatterns = this.createRandomPatterns(2, rng);   // 2 different limb patterns
+      this.patternSpeed = 0.2 + rng.next() * 3.8;             // Wide range of speeds (0.2-4.0)
+      this.bodyPlanSeed = rng.next();                         // Seed for body plan generation
+      this.jointMasses = this.createRandomGenes(MAX_JOINT_COUNT, MIN_JOINT_MASS, MAX_JOINT_MASS, rng);
+      this.limbStiffness = this.createRandomGenes(MAX_LIMB_COUNT, MIN_LIMB_STIFFNESS, MAX_LIMB_STIFFNESS, rng);
+      this.contractRatios = this.createRandomGenes(MAX_LIMB_COUNT, MIN_CONTRACT_RATIO, MAX_CONTRACT_RATIO, rng);
+      this.extendRatios = this.createRandomGenes(MAX_LIMB_COUNT, MIN_EXTEND_RATIO, MAX_EXTEND_RATIO, rng);
+      
+      // Controller genes come last so pattern genomes draw the same numbers as before
+      Object.assign(this, NO_CONTROLLER_GENES);
+      this.bodyGraph = null; // Set by EvolutionSystem for runs with evolvable bodies
+      if (controller === CONTROLLER_CPG) {
+        this.limbAmplitudes = this.createRandomGenes(MAX_LIMB_COUNT, MIN_CPG_AMPLITUDE, MAX_CPG_AMPLITUDE, rng);
+        this.limbFrequencies = this.createRandomGenes(MAX_LIMB_COUNT, MIN_CPG_FREQUENCY, MAX_CPG_FREQUENCY, rng);
+        this.limbPhases = this.createRandomGenes(MAX_LIMB_COUNT, 0, TWO_PI, rng);
+        this.coupling = rng.next() * MAX_CPG_COUPLING;
+      } else if (controller === CONTROLLER_NEURAL) {
+        this.neuralWeights = this.createRandomGenes(NEURAL_WEIGHT_COUNT, -NEURAL_MAX_WEIGHT, NEURAL_MAX_WEIGHT, rng);
+      }
+    }
+    
+    if (![CONTROLLER_PATTERN, CONTROLLER_CPG, CONTROLLER_NEURAL].includes(this.controller)) {
+      throw new Error(`Unknown controller: ${this.controller}`);
     }
   }
 
   /**
    * Create random binary patterns for states
    * @param {number} count - Number of patterns to create
+   * @param {RandomStream} rng - Random stream to draw from
    * @returns {Array} - Array of binary pattern arrays
    */
-  createRandomPatterns(count) {
+  createRandomPatterns(count, rng) {
     const patterns = [];
     
     for (let i = 0; i < count; i++) {
       // Create pattern of length 8-16 steps
-      const patternLength = 8 + Math.floor(Math.random() * 9);
+      const patternLength = 8 + Math.floor(rng.next() * 9);
       const pattern = [];
       
       for (let j = 0; j < patternLength; j++) {
         // Binary state: 0 or 1
-        pattern.push(Math.random() < 0.5 ? 0 : 1);
+        pattern.push(rng.next() < 0.5 ? 0 : 1);
       }
       
       patterns.push(pattern);
@@ -55,12 +151,53 @@ export class GeneticComponent extends Component {
     return patterns;
   }
 
+  /**
+   * Create random numeric genes
+   * @param {number} count - Number of genes to create
+   * @param {number} min - Lowest value
+   * @param {number} max - Highest value
+   * @param {RandomStream} rng - Random stream to draw from
+   * @returns {number[]} - Genes spread evenly between min and max
+   */
+  createRandomGenes(count, min, max, rng) {
+    const genes = [];
+    for (let i = 0; i < count; i++) {
+      genes.push(min + rng.next() * (max - min));
+    }
+    return genes;
+  }
+
+  /**
+   * Create a mutated copy of numeric genes
+   * Each gene mutates with the given rate, moving by up to a quarter of its range
+   * @param {number[]} genes - Genes to copy
+   * @param {number} rate - Mutation rate
+   * @param {number} min - Lowest value
+   * @param {number} max - Highest value
+   * @param {RandomStream} rng - Random stream to draw from
+   * @param {boolean} wrap - Wrap values around the range instead of clamping them, as for phases
+   * @returns {number[]} - The mutated copy
+   */
+  mutateGenes(genes, rate, min, max, rng, wrap = false) {
+    return genes.map((gene) => {
+      if (rng.next() >= rate) return gene;
+      
+      const mutated = gene + (rng.next() * 2 - 1) * (max - min) * 0.25;
+      if (wrap) {
+        const range = max - min;
+        return min + (((mutated - min) % range) + range) % range;
+      }
+      return Math.max(min, Math.min(max, mutated));
+    });
+  }
+
   /**
    * Create a mutated copy with small changes to patterns
    * @param {number} rate - Mutation rate
+   * @param {RandomStream} rng - Random stream to draw from
    * @returns {GeneticComponent} - A new genetic component with mutations
    */
-  mutate(rate) {
+  mutate(rate, rng) {
     // Clone patterns
     const newJointPatterns = this.jointPatterns.map(pattern => [...pattern]);
     const newLimbPatterns = this.limbPatterns.map(pattern => [...pattern]);
@@ -69,21 +206,21 @@ export class GeneticComponent extends Component {
     for (let i = 0; i < newJointPatterns.length; i++) {
       for (let j = 0; j < newJointPatterns[i].length; j++) {
         // Chance to flip a bit
-        if (Math.random() < rate) {
+        if (rng.next() < rate) {
           newJointPatterns[i][j] = 1 - newJointPatterns[i][j]; // Flip 0->1 or 1->0
         }
       }
       
       // Small chance to add/remove a step in the pattern
-      if (Math.random() < rate * 0.5) {
-        if (Math.random() < 0.5 && newJointPatterns[i].length > 4) {
+      if (rng.next() < rate * 0.5) {
+        if (rng.next() < 0.5 && newJointPatterns[i].length > 4) {
           // Remove a random step
-          const removeIndex = Math.floor(Math.random() * newJointPatterns[i].length);
+          const removeIndex = Math.floor(rng.next() * newJointPatterns[i].length);
           newJointPatterns[i].splice(removeIndex, 1);
         } else {
           // Add a random step
-          const addIndex = Math.floor(Math.random() * newJointPatterns[i].length);
-          const newValue = Math.random() < 0.5 ? 0 : 1;
+          const addIndex = Math.floor(rng.next() * newJointPatterns[i].length);
+          const newValue = rng.next() < 0.5 ? 0 : 1;
           newJointPatterns[i].splice(addIndex, 0, newValue);
         }
       }
@@ -92,29 +229,29 @@ export class GeneticComponent extends Component {
     // Mutate limb patterns (same as joint patterns)
     for (let i = 0; i < newLimbPatterns.length; i++) {
       for (let j = 0; j < newLimbPatterns[i].length; j++) {
-        if (Math.random() < rate) {
+        if (rng.next() < rate) {
           newLimbPatterns[i][j] = 1 - newLimbPatterns[i][j];
         }
       }
       
-      if (Math.random() < rate * 0.5) {
-        if (Math.random() < 0.5 && newLimbPatterns[i].length > 4) {
-          const removeIndex = Math.floor(Math.random() * newLimbPatterns[i].length);
+      if (rng.next() < rate * 0.5) {
+        if (rng.next() < 0.5 && newLimbPatterns[i].length > 4) {
+          const removeIndex = Math.floor(rng.next() * newLimbPatterns[i].length);
           newLimbPatterns[i].splice(removeIndex, 1);
         } else {
-          const addIndex = Math.floor(Math.random() * newLimbPatterns[i].length);
-          const newValue = Math.random() < 0.5 ? 0 : 1;
+          const addIndex = Math.floor(rng.next() * newLimbPatterns[i].length);
+          const newValue = rng.next() < 0.5 ? 0 : 1;
           newLimbPatterns[i].splice(addIndex, 0, newValue);
         }
       }
     }
     
     // Mutate pattern speed
-    let newPatternSpeed = this.patternSpeed + (Math.random() * 2 - 1) * rate * 2.0;
+    let newPatternSpeed = this.patternSpeed + (rng.next() * 2 - 1) * rate * 2.0;
     newPatternSpeed = Math.max(0.2, Math.min(4.0, newPatternSpeed)); // Clamp between 0.2-4.0
     
     // Mutate body plan seed (small changes)
-    let newBodyPlanSeed = this.bodyPlanSeed + (Math.random() * 2 - 1) * rate * 0.2;
+    let newBodyPlanSeed = this.bodyPlanSeed + (rng.next() * 2 - 1) * rate * 0.2;
     newBodyPlanSeed = Math.max(0, Math.min(1, newBodyPlanSeed)); // Clamp between 0-1
     
     // Create new component with mutated values
@@ -122,7 +259,215 @@ export class GeneticComponent extends Component {
       jointPatterns: newJointPatterns,
       limbPatterns: newLimbPatterns,
       patternSpeed: newPatternSpeed,
-      bodyPlanSeed: newBodyPlanSeed
+      bodyPlanSeed: newBodyPlanSeed,
+      jointMasses: this.mutateGenes(this.jointMasses, rate, MIN_JOINT_MASS, MAX_JOINT_MASS, rng),
+      limbStiffness: this.mutateGenes(this.limbStiffness, rate, MIN_LIMB_STIFFNESS, MAX_LIMB_STIFFNESS, rng),
+      contractRatios: this.mutateGenes(this.contractRatios, rate, MIN_CONTRACT_RATIO, MAX_CONTRACT_RATIO, rng),
+      extendRatios: this.mutateGenes(this.extendRatios, rate, MIN_EXTEND_RATIO, MAX_EXTEND_RATIO, rng),
+      ...this.mutateControllerGenes(rate, rng),
+      bodyGraph: this.bodyGraph && mutateBodyGraph(this.bodyGraph, rate, rng)
+    });
+  }
+  
+  /**
+   * Create mutated copies of the genes only some controllers have
+   * @param {number} rate - Mutation rate
+   * @param {RandomStream} rng - Random stream to draw from
+   * @returns {Object} - Controller and its genes for the constructor
+   * @private
+   */
+  mutateControllerGenes(rate, rng) {
+    if (this.controller === CONTROLLER_NEURAL) {
+      return {
+        ...NO_CONTROLLER_GENES,
+        controller: this.controller,
+        neuralWeights: this.mutateGenes(this.neuralWeights, rate, -NEURAL_MAX_WEIGHT, NEURAL_MAX_WEIGHT, rng)
+      };
+    }
+    if (this.controller !== CONTROLLER_CPG) {
+      return { ...NO_CONTROLLER_GENES, controller: this.controller };
+    }
+    
+    let coupling = this.coupling;
+    if (rng.next() < rate) {
+      coupling += (rng.next() * 2 - 1) * MAX_CPG_COUPLING * 0.25;
+      coupling = Math.max(0, Math.min(MAX_CPG_COUPLING, coupling));
+    }
+    
+    return {
+      ...NO_CONTROLLER_GENES,
+      controller: this.controller,
+      limbAmplitudes: this.mutateGenes(this.limbAmplitudes, rate, MIN_CPG_AMPLITUDE, MAX_CPG_AMPLITUDE, rng),
+      limbFrequencies: this.mutateGenes(this.limbFrequencies, rate, MIN_CPG_FREQUENCY, MAX_CPG_FREQUENCY, rng),
+      limbPhases: this.mutateGenes(this.limbPhases, rate, 0, TWO_PI, rng, true),
+      coupling
+    };
+  }
+  
+  /**
+   * Create a child genome combining this genome with another
+   * Timing patterns are combined with the given method; numeric gene lists are
+   * combined per gene the same way, except that pattern-wise crossover picks
+   * each of them uniformly. Pattern speed and body plan seed are blended at a
+   * random point between the parents, as is the oscillator coupling. The child
+   * encodes this parent's controller; network weights are combined like the
+   * other numeric genes. The body graph is this parent's, as bodies of different
+   * shapes do not line up, and so are the genes of its joints and limbs: masses,
+   * stiffnesses, ratios, oscillators and network weights.
+   * @param {GeneticComponent} other - The other parent's genome
+   * @param {string} method - 'single-point', 'uniform' or 'pattern'
+   * @param {RandomStream} rng - Random stream to draw from
+   * @returns {GeneticComponent} - A new genetic component
+   */
+  crossover(other, method, rng) {
+    if (method !== CROSSOVER_SINGLE_POINT && method !== CROSSOVER_UNIFORM && method !== CROSSOVER_PATTERN) {
+      throw new Error(`Unknown crossover method: ${method}`);
+    }
+    
+    const geneMethod = method === CROSSOVER_PATTERN ? CROSSOVER_UNIFORM : method;
+    const blend = (a, b) => a + (b - a) * rng.next();
+    const bodyParent = this.bodyGraph ? this : other;
+    
+    return new GeneticComponent({
+      jointPatterns: this.crossoverPatterns(this.jointPatterns, other.jointPatterns, method, rng),
+      limbPatterns: this.crossoverPatterns(this.limbPatterns, other.limbPatterns, method, rng),
+      patternSpeed: blend(this.patternSpeed, other.patternSpeed),
+      bodyPlanSeed: blend(this.bodyPlanSeed, other.bodyPlanSeed),
+      jointMasses: this.crossoverSequence(this.jointMasses, bodyParent.jointMasses, geneMethod, rng),
+      limbStiffness: this.crossoverSequence(this.limbStiffness, bodyParent.limbStiffness, geneMethod, rng),
+      contractRatios: this.crossoverSequence(this.contractRatios, bodyParent.contractRatios, geneMethod, rng),
+      extendRatios: this.crossoverSequence(this.extendRatios, bodyParent.extendRatios, geneMethod, rng),
+      ...this.crossoverControllerGenes(other, geneMethod, blend, rng),
+      bodyGraph: this.bodyGraph && copyBodyGraph(this.bodyGraph)
+    });
+  }
+  
+  /**
+   * Combine the genes only some controllers have
+   * A parent with another controller passes on this parent's genes instead,
+   * and with a body graph the genes of its limbs and network are this parent's
+   * @param {GeneticComponent} other - The other parent's genome
+   * @param {string} method - 'single-point' or 'uniform'
+   * @param {Function} blend - Picks a random point between two values
+   * @param {RandomStream} rng - Random stream to draw from
+   * @returns {Object} - Controller and its genes for the constructor
+   * @private
+   */
+  crossoverControllerGenes(other, method, blend, rng) {
+    const parent = other.controller === this.controller ? other : this;
+    const bodyParent = this.bodyGraph ? this : parent;
+    
+    if (this.controller === CONTROLLER_NEURAL) {
+      return {
+        ...NO_CONTROLLER_GENES,
+        controller: this.controller,
+        neuralWeights: this.crossoverSequence(this.neuralWeights, bodyParent.neuralWeights, method, rng)
+      };
+    }
+    if (this.controller !== CONTROLLER_CPG) {
+      return { ...NO_CONTROLLER_GENES, controller: this.controller };
+    }
+    
+    return {
+      ...NO_CONTROLLER_GENES,
+      controller: this.controller,
+      limbAmplitudes: this.crossoverSequence(this.limbAmplitudes, bodyParent.limbAmplitudes, method, rng),
+      limbFrequencies: this.crossoverSequence(this.limbFrequencies, bodyParent.limbFrequencies, method, rng),
+      limbPhases: this.crossoverSequence(this.limbPhases, bodyParent.limbPhases, method, rng),
+      coupling: blend(this.coupling, parent.coupling)
+    };
+  }
+
+  /**
+   * Combine two lists of patterns
+   * The child has as many patterns as this parent; patterns the other parent
+   * lacks are copied from this one
+   * @param {Array} patterns - This parent's patterns
+   * @param {Array} otherPatterns - The other parent's patterns
+   * @param {string} method - 'single-point', 'uniform' or 'pattern'
+   * @param {RandomStream} rng - Random stream to draw from
+   * @returns {Array} - The child's patterns
+   * @private
+   */
+  crossoverPatterns(patterns, otherPatterns, method, rng) {
+    return patterns.map((pattern, i) => {
+      const otherPattern = otherPatterns[i];
+      if (!otherPattern) return [...pattern];
+      
+      if (method === CROSSOVER_PATTERN) {
+        return rng.chance(0.5) ? [...pattern] : [...otherPattern];
+      }
+      return this.crossoverSequence(pattern, otherPattern, method, rng);
+    });
+  }
+
+  /**
+   * Combine two gene sequences, which may differ in length
+   * Single-point crossover takes this parent's genes up to a random cut and the
+   * other's after it, so the child has the other's length. Uniform crossover
+   * takes each gene from either parent and the length from this one; genes
+   * only this parent has are kept.
+   * @param {Array} sequence - This parent's genes
+   * @param {Array} otherSequence - The other parent's genes
+   * @param {string} method - 'single-point' or 'uniform'
+   * @param {RandomStream} rng - Random stream to draw from
+   * @returns {Array} - The child's genes
+   * @private
+   */
+  crossoverSequence(sequence, otherSequence, method, rng) {
+    if (method === CROSSOVER_SINGLE_POINT) {
+      const cut = Math.floor(rng.next() * (Math.min(sequence.length, otherSequence.length) + 1));
+      return [...sequence.slice(0, cut), ...otherSequence.slice(cut)];
+    }
+    
+    return sequence.map((gene, i) => (
+      i < otherSequence.length && rng.chance(0.5) ? otherSequence[i] : gene
+    ));
+  }
+
+  /**
+   * Copy the genes into a plain, JSON-friendly object
+   * @returns {Object} - Genome data accepted by the constructor
+   */
+  serialize() {
+    return {
+      jointPatterns: this.jointPatterns.map(pattern => [...pattern]),
+      limbPatterns: this.limbPatterns.map(pattern => [...pattern]),
+      patternSpeed: this.patternSpeed,
+      bodyPlanSeed: this.bodyPlanSeed,
+      jointMasses: [...this.jointMasses],
+      limbStiffness: [...this.limbStiffness],
+      contractRatios: [...this.contractRatios],
+      extendRatios: [...this.extendRatios],
+      controller: this.controller,
+      limbAmplitudes: this.limbAmplitudes && [...this.limbAmplitudes],
+      limbFrequencies: this.limbFrequencies && [...this.limbFrequencies],
+      limbPhases: this.limbPhases && [...this.limbPhases],
+      coupling: this.coupling,
+      neuralWeights: this.neuralWeights && [...this.neuralWeights],
+      bodyGraph: this.bodyGraph && copyBodyGraph(this.bodyGraph)
+    };
+  }
+  
+  /**
+   * Rebuild a genetic component from data produced by serialize
+   * @param {Object} data - Genome data
+   * @returns {GeneticComponent} - The restored component
+   */
+  static deserialize(data) {
+    return new GeneticComponent({
+      ...data,
+      jointPatterns: data.jointPatterns.map(pattern => [...pattern]),
+      limbPatterns: data.limbPatterns.map(pattern => [...pattern]),
+      jointMasses: [...data.jointMasses],
+      limbStiffness: [...data.limbStiffness],
+      contractRatios: [...data.contractRatios],
+      extendRatios: [...data.extendRatios],
+      limbAmplitudes: data.limbAmplitudes && [...data.limbAmplitudes],
+      limbFrequencies: data.limbFrequencies && [...data.limbFrequencies],
+      limbPhases: data.limbPhases && [...data.limbPhases],
+      neuralWeights: data.neuralWeights && [...data.neuralWeights],
+      bodyGraph: data.bodyGraph && copyBodyGraph(data.bodyGraph)
     });
   }
   
@@ -159,6 +504,63 @@ export class GeneticComponent extends Component {
     
     return pattern[position];
   }
+  
+  /**
+   * Get the mass of a joint
+   * @param {number} jointIndex - Position of the joint in its organism
+   * @returns {number} - Joint mass
+   */
+  getJointMass(jointIndex) {
+    return this.jointMasses[jointIndex % this.jointMasses.length];
+  }
+  
+  /**
+   * Get the spring stiffness of a limb
+   * @param {number} limbIndex - Index of the limb
+   * @returns {number} - Limb stiffness
+   */
+  getLimbStiffness(limbIndex) {
+    return this.limbStiffness[limbIndex % this.limbStiffness.length];
+  }
+  
+  /**
+   * Get how long a limb is in a state, relative to its base length
+   * @param {number} limbIndex - Index of the limb
+   * @param {number} limbState - Limb state (0=contract, 1=extend)
+   * @returns {number} - Rest length factor
+   */
+  getLimbLengthFactor(limbIndex, limbState) {
+    const ratios = limbState === 0 ? this.contractRatios : this.extendRatios;
+    return ratios[limbIndex % ratios.length];
+  }
+  
+  /**
+   * Get how far a limb's oscillator swings, relative to its base length
+   * @param {number} limbIndex - Index of the limb
+   * @returns {number} - Oscillator amplitude
+   */
+  getLimbAmplitude(limbIndex) {
+    return this.limbAmplitudes[limbIndex % this.limbAmplitudes.length];
+  }
+  
+  /**
+   * Get how fast a limb's oscillator cycles
+   * @param {number} limbIndex - Index of the limb
+   * @returns {number} - Oscillator frequency in cycles per second
+   */
+  getLimbFrequency(limbIndex) {
+    return this.limbFrequencies[limbIndex % this.limbFrequencies.length];
+  }
+  
+  /**
+   * Get the starting phase of a limb's oscillator
+   * Coupled oscillators also keep the differences between these phases
+   * @param {number} limbIndex - Index of the limb
+   * @returns {number} - Phase in radians
+   */
+  getLimbPhase(limbIndex) {
+    return this.limbPhases[limbIndex % this.limbPhases.length];
+  }
 }
 
-export default GeneticComponent;
\ No newline at end of file
+export default GeneticComponent;
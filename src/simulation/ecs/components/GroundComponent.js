@@ -0,0 +1,20 @@
+// src/simulation/ecs/components/GroundComponent.js
+import { Component } from '../Component.js';
+
+/**
+ * Component that defines an entity as the ground of a side-view world
+ * The ground is a height profile: a line through points sorted by x, kept
+ * level beyond the first and last point. Everything below it is solid.
+ */
+export class GroundComponent extends Component {
+  /**
+   * Create a new ground component
+   * @param {number[]} points - Flat x, y pairs in world coordinates, sorted by x
+   */
+  constructor(points = []) {
+    super();
+    this.points = points;
+  }
+}
+
+export default GroundComponent;
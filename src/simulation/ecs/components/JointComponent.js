@@ -1,6 +1,7 @@
 // src/simulation/ecs/components/JointComponent.js
-import { Component } from '../Component';
-import { JOINT_RADIUS, JOINT_REST_LENGTH } from '../../constants';
+import { Component } from '../Component.js';
+import { OrganismComponent } from './OrganismComponent.js';
+import { JOINT_RADIUS, JOINT_REST_LENGTH } from '../../constants.js';
 
 /**
  * Component that defines an entity as a joint of an organism
@@ -13,12 +14,89 @@ export class JointComponent extends Component {
   constructor(organismId) {
     super();
     this.organismId = organismId;
-    this.isAnchored = false;
+    this.geneIndex = 0; // Index of the joint's genes in its organism's genome
+    this.isAnchored = false; // Down joints grip the ground, up joints slide; in the side view only on contact (see PhysicsSystem)
     this.connections = []; // Array of connected joint entity IDs
     this.restLengths = new Map(); // Map of entity ID to rest length
+    this.limbDamage = new Map(); // Map of entity ID to damage from overstraining (see LimbStrainSystem)
+    this.limbIndices = new Map(); // Map of entity ID to the limb's index in its organism's genes
+    this.limbStiffness = new Map(); // Map of entity ID to the limb's spring stiffness
     this.radius = JOINT_RADIUS;
     this.defaultRestLength = JOINT_REST_LENGTH;
   }
+
+  /**
+   * Drop the limbs connecting this joint to others and detach it from its organism
+   */
+  onDestroy() {
+    const world = this.entity.world;
+    const jointId = this.entity.id;
+    
+    for (const connectedJointId of this.connections) {
+      const connectedEntity = world.getEntity(connectedJointId);
+      if (!connectedEntity || !connectedEntity.hasComponent(JointComponent)) continue;
+      
+      connectedEntity.getComponent(JointComponent).removeLimb(jointId);
+    }
+    
+    const organismEntity = world.getEntity(this.organismId);
+    if (organismEntity && organismEntity.hasComponent(OrganismComponent)) {
+      const organism = organismEntity.getComponent(OrganismComponent);
+      organism.jointIds = organism.jointIds.filter(id => id !== jointId);
+    }
+  }
+
+  /**
+   * Forget the limb to another joint on this side
+   * The other joint keeps its side of the limb until it is removed there too
+   * @param {number} connectedJointId - ID of the joint at the other end of the limb
+   */
+  removeLimb(connectedJointId) {
+    this.connections = this.connections.filter(id => id !== connectedJointId);
+    this.restLengths.delete(connectedJointId);
+    this.limbDamage.delete(connectedJointId);
+    this.limbIndices.delete(connectedJointId);
+    this.limbStiffness.delete(connectedJointId);
+  }
+
+  /**
+   * Copy the joint into a plain object
+   * Per-limb values are stored as [jointId, value] pairs since JSON has no Map
+   * @returns {Object} - Serialized component data
+   */
+  serialize() {
+    return {
+      organismId: this.organismId,
+      geneIndex: this.geneIndex,
+      isAnchored: this.isAnchored,
+      connections: [...this.connections],
+      restLengths: [...this.restLengths],
+      limbDamage: [...this.limbDamage],
+      limbIndices: [...this.limbIndices],
+      limbStiffness: [...this.limbStiffness],
+      radius: this.radius,
+      defaultRestLength: this.defaultRestLength
+    };
+  }
+
+  /**
+   * Rebuild a joint component from serialized data
+   * @param {Object} data - Serialized component data
+   * @returns {JointComponent} - The restored component
+   */
+  static deserialize(data) {
+    const joint = new JointComponent(data.organismId);
+    joint.geneIndex = data.geneIndex;
+    joint.isAnchored = data.isAnchored;
+    joint.connections = [...data.connections];
+    joint.restLengths = new Map(data.restLengths);
+    joint.limbDamage = new Map(data.limbDamage);
+    joint.limbIndices = new Map(data.limbIndices);
+    joint.limbStiffness = new Map(data.limbStiffness);
+    joint.radius = data.radius;
+    joint.defaultRestLength = data.defaultRestLength;
+    return joint;
+  }
 }
 
 export default JointComponent;
@@ -0,0 +1,27 @@
+// src/simulation/ecs/components/ObstacleComponent.js
+import { Component } from '../Component.js';
+import { OBSTACLE_CIRCLE } from '../../constants.js';
+
+/**
+ * Component that defines an entity as a static obstacle
+ * The shape is described relative to the entity's PositionComponent:
+ * - 'circle': a disc of the given radius
+ * - 'wall': the segment between the two points, thickened by the radius
+ * - 'polygon': the closed outline through the points
+ */
+export class ObstacleComponent extends Component {
+  /**
+   * Create a new obstacle component
+   * @param {string} shape - 'circle', 'wall' or 'polygon'
+   * @param {number} radius - Circle radius, or half the thickness of a wall
+   * @param {number[]} points - Flat x, y pairs relative to the entity's position
+   */
+  constructor(shape = OBSTACLE_CIRCLE, radius = 0, points = []) {
+    super();
+    this.shape = shape;
+    this.radius = radius;
+    this.points = points;
+  }
+}
+
+export default ObstacleComponent;
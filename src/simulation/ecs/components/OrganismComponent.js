@@ -1,5 +1,5 @@
 // src/simulation/ecs/components/OrganismComponent.js
-import { Component } from '../Component';
+import { Component } from '../Component.js';
 
 /**
  * Component that defines an entity as an organism
@@ -11,6 +11,7 @@ export class OrganismComponent extends Component {
   constructor() {
     super();
     this.jointIds = []; // Array of joint entity IDs that make up this organism
+    this.oscillatorPhases = []; // Current oscillator phase of each limb, by limb index (see CPGController)
   }
 }
 
@@ -1,7 +1,7 @@
 // src/simulation/ecs/components/PhysicsComponent.js
-import { Component } from '../Component';
-import { Vector2 } from '../utils/Vector2';
-import { JOINT_STIFFNESS, JOINT_DAMPING } from '../../constants';
+import { Component } from '../Component.js';
+import { Vector2 } from '../utils/Vector2.js';
+import { JOINT_STIFFNESS, JOINT_DAMPING } from '../../constants.js';
 
 /**
  * Component that stores physics-related properties of an entity
@@ -18,6 +18,32 @@ export class PhysicsComponent extends Component {
     this.stiffness = JOINT_STIFFNESS;
     this.damping = JOINT_DAMPING;
   }
+
+  /**
+   * Copy the physics properties into a plain object
+   * @returns {Object} - Serialized component data
+   */
+  serialize() {
+    return {
+      force: { x: this.force.x, y: this.force.y },
+      mass: this.mass,
+      stiffness: this.stiffness,
+      damping: this.damping
+    };
+  }
+
+  /**
+   * Rebuild a physics component from serialized data
+   * @param {Object} data - Serialized component data
+   * @returns {PhysicsComponent} - The restored component
+   */
+  static deserialize(data) {
+    const physics = new PhysicsComponent(data.mass);
+    physics.force = new Vector2(data.force.x, data.force.y);
+    physics.stiffness = data.stiffness;
+    physics.damping = data.damping;
+    return physics;
+  }
 }
 
 export default PhysicsComponent;
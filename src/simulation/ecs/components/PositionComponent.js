@@ -1,6 +1,6 @@
 // src/simulation/ecs/components/PositionComponent.js
-import { Component } from '../Component';
-import { Vector2 } from '../utils/Vector2';
+import { Component } from '../Component.js';
+import { Vector2 } from '../utils/Vector2.js';
 
 /**
  * Component that stores the position of an entity in 2D space
@@ -15,6 +15,23 @@ export class PositionComponent extends Component {
     super();
     this.position = new Vector2(x, y);
   }
+
+  /**
+   * Copy the position into a plain object
+   * @returns {Object} - Serialized component data
+   */
+  serialize() {
+    return { x: this.position.x, y: this.position.y };
+  }
+
+  /**
+   * Rebuild a position component from serialized data
+   * @param {Object} data - Serialized component data
+   * @returns {PositionComponent} - The restored component
+   */
+  static deserialize(data) {
+    return new PositionComponent(data.x, data.y);
+  }
 }
 
 export default PositionComponent;
@@ -1,5 +1,5 @@
 // src/simulation/ecs/components/RenderComponent.js
-import { Component } from '../Component';
+import { Component } from '../Component.js';
 
 /**
  * Component that stores rendering information for an entity
@@ -1,6 +1,6 @@
 // src/simulation/ecs/components/VelocityComponent.js
-import { Component } from '../Component';
-import { Vector2 } from '../utils/Vector2';
+import { Component } from '../Component.js';
+import { Vector2 } from '../utils/Vector2.js';
 
 /**
  * Component that stores the velocity of an entity
@@ -15,6 +15,23 @@ export class VelocityComponent extends Component {
     super();
     this.velocity = new Vector2(x, y);
   }
+
+  /**
+   * Copy the velocity into a plain object
+   * @returns {Object} - Serialized component data
+   */
+  serialize() {
+    return { x: this.velocity.x, y: this.velocity.y };
+  }
+
+  /**
+   * Rebuild a velocity component from serialized data
+   * @param {Object} data - Serialized component data
+   * @returns {VelocityComponent} - The restored component
+   */
+  static deserialize(data) {
+    return new VelocityComponent(data.x, data.y);
+  }
 }
 
 export default VelocityComponent;
@@ -0,0 +1,34 @@
+// src/simulation/ecs/components/registerCoreComponents.js
+import { PositionComponent } from './PositionComponent.js';
+import { VelocityComponent } from './VelocityComponent.js';
+import { PhysicsComponent } from './PhysicsComponent.js';
+import { JointComponent } from './JointComponent.js';
+import { OrganismComponent } from './OrganismComponent.js';
+import { GeneticComponent } from './GeneticComponent.js';
+import { RenderComponent } from './RenderComponent.js';
+import { FitnessComponent } from './FitnessComponent.js';
+import { FoodComponent } from './FoodComponent.js';
+import { ObstacleComponent } from './ObstacleComponent.js';
+import { GroundComponent } from './GroundComponent.js';
+
+/**
+ * Register every built-in component type with a registry
+ * Names are spelled out rather than taken from constructor.name so they
+ * survive minification and stay valid in saved data
+ * @param {ComponentRegistry} registry - The registry to populate
+ */
+export function registerCoreComponents(registry) {
+  registry.register(PositionComponent, 'PositionComponent');
+  registry.register(VelocityComponent, 'VelocityComponent');
+  registry.register(PhysicsComponent, 'PhysicsComponent');
+  registry.register(JointComponent, 'JointComponent');
+  registry.register(OrganismComponent, 'OrganismComponent');
+  registry.register(GeneticComponent, 'GeneticComponent');
+  registry.register(RenderComponent, 'RenderComponent');
+  registry.register(FitnessComponent, 'FitnessComponent');
+  registry.register(FoodComponent, 'FoodComponent');
+  registry.register(ObstacleComponent, 'ObstacleComponent');
+  registry.register(GroundComponent, 'GroundComponent');
+}
+
+export default registerCoreComponents;
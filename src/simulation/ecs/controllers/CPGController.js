@@ -0,0 +1,106 @@
+// src/simulation/ecs/controllers/CPGController.js
+import { Controller } from './Controller.js';
+import { JointComponent } from '../components/JointComponent.js';
+import { OrganismComponent } from '../components/OrganismComponent.js';
+import { GeneticComponent } from '../components/GeneticComponent.js';
+import { forEachLimb } from '../utils/limbs.js';
+
+/**
+ * Controller driven by a central pattern generator (CPG)
+ * Every limb has a sine oscillator with its own amplitude, frequency and
+ * phase genes, and its rest length swings smoothly around the base length.
+ * With a coupling gene above zero, limbs that share a joint pull each other
+ * toward the phase offset their genes set, so neighbors settle into a common
+ * rhythm. Joints still go up and down with the joint patterns.
+ *
+ * Oscillator phases are kept on the OrganismComponent, indexed by limb
+ */
+export class CPGController extends Controller {
+  /**
+   * Advance the oscillators and set limb rest lengths from them
+   * @param {Entity} organismEntity - The organism entity
+   * @param {number} simulationTime - Simulation seconds since the run started
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  update(organismEntity, simulationTime, deltaTime) {
+    const organism = organismEntity.getComponent(OrganismComponent);
+    const genetics = organismEntity.getComponent(GeneticComponent);
+    
+    this.applyJointPatterns(organismEntity, simulationTime);
+    
+    const limbs = this.collectLimbs(organism);
+    const phases = organism.oscillatorPhases;
+    for (const { limbIndex } of limbs) {
+      if (phases[limbIndex] === undefined) {
+        phases[limbIndex] = genetics.getLimbPhase(limbIndex);
+      }
+    }
+    
+    // Every phase moves at its own frequency, plus the pull of its neighbors
+    const phaseSpeeds = new Map();
+    for (const { limbIndex } of limbs) {
+      phaseSpeeds.set(limbIndex, Math.PI * 2 * genetics.getLimbFrequency(limbIndex));
+    }
+    if (genetics.coupling > 0) {
+      this.addCoupling(organism, genetics, phaseSpeeds);
+    }
+    for (const [limbIndex, phaseSpeed] of phaseSpeeds) {
+      phases[limbIndex] = (phases[limbIndex] + phaseSpeed * deltaTime) % (Math.PI * 2);
+    }
+    
+    for (const { jointEntity, connectedJointId, limbIndex } of limbs) {
+      const baseLength = jointEntity.getComponent(JointComponent).defaultRestLength;
+      const extension = genetics.getLimbAmplitude(limbIndex) * Math.sin(phases[limbIndex]);
+      this.setRestLength(jointEntity, connectedJointId, baseLength * (1 + extension));
+    }
+  }
+  
+  /**
+   * List an organism's limbs, each once
+   * @param {OrganismComponent} organism - The organism component
+   * @returns {Object[]} - Limbs as { jointEntity, connectedJointId, limbIndex }
+   * @private
+   */
+  collectLimbs(organism) {
+    const limbs = [];
+    const jointEntities = organism.jointIds.map(jointId => this.world.getEntity(jointId));
+    forEachLimb(this.world, jointEntities, (jointEntity, connectedEntity, joint) => {
+      limbs.push({
+        jointEntity,
+        connectedJointId: connectedEntity.id,
+        limbIndex: joint.limbIndices.get(connectedEntity.id) || 0
+      });
+    });
+    return limbs;
+  }
+  
+  /**
+   * Add the coupling between limbs that share a joint to their phase speeds
+   * Each pair is pulled toward the difference of their phase genes
+   * @param {OrganismComponent} organism - The organism component
+   * @param {GeneticComponent} genetics - The genetic component
+   * @param {Map<number, number>} phaseSpeeds - Phase speed by limb index, changed in place
+   * @private
+   */
+  addCoupling(organism, genetics, phaseSpeeds) {
+    const phases = organism.oscillatorPhases;
+    
+    for (const jointId of organism.jointIds) {
+      const jointEntity = this.world.getEntity(jointId);
+      if (!jointEntity) continue;
+      
+      const limbIndices = [...jointEntity.getComponent(JointComponent).limbIndices.values()];
+      for (const a of limbIndices) {
+        for (const b of limbIndices) {
+          if (a === b) continue;
+          
+          const targetOffset = genetics.getLimbPhase(b) - genetics.getLimbPhase(a);
+          const pull = genetics.coupling * Math.sin(phases[b] - phases[a] - targetOffset);
+          phaseSpeeds.set(a, phaseSpeeds.get(a) + pull);
+        }
+      }
+    }
+  }
+}
+
+export default CPGController;
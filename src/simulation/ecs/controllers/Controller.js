@@ -0,0 +1,65 @@
+// src/simulation/ecs/controllers/Controller.js
+import { JointComponent } from '../components/JointComponent.js';
+import { OrganismComponent } from '../components/OrganismComponent.js';
+import { GeneticComponent } from '../components/GeneticComponent.js';
+
+/**
+ * Base class for organism controllers
+ * A controller turns an organism's genes into joint up/down states and limb
+ * rest lengths every update. StateSystem picks the controller a genome names.
+ */
+export class Controller {
+  /**
+   * Create a new controller
+   * @param {World} world - Reference to the world
+   */
+  constructor(world) {
+    this.world = world;
+  }
+  
+  /**
+   * Set the joint states and limb rest lengths of one organism
+   * Override in derived controllers, which are called with the organism
+   * entity, the simulation time and the time elapsed since the last update
+   */
+  update() {
+    // Override in derived controllers
+  }
+  
+  /**
+   * Raise and lower joints following the genome's joint patterns
+   * @param {Entity} organismEntity - The organism entity
+   * @param {number} simulationTime - Simulation seconds since the run started
+   */
+  applyJointPatterns(organismEntity, simulationTime) {
+    const organism = organismEntity.getComponent(OrganismComponent);
+    const genetics = organismEntity.getComponent(GeneticComponent);
+    
+    for (const jointId of organism.jointIds) {
+      const jointEntity = this.world.getEntity(jointId);
+      if (!jointEntity) continue;
+      
+      // Set joint state (0=down/anchored, 1=up/mobile)
+      // In the side view a down joint is a foot that grips while it touches the ground
+      const joint = jointEntity.getComponent(JointComponent);
+      joint.isAnchored = genetics.getJointState(joint.geneIndex, simulationTime) === 0;
+    }
+  }
+  
+  /**
+   * Set the rest length of a limb on both of its joints
+   * @param {Entity} jointEntity - Joint at one end of the limb
+   * @param {number} connectedJointId - ID of the joint at the other end
+   * @param {number} restLength - New rest length
+   */
+  setRestLength(jointEntity, connectedJointId, restLength) {
+    jointEntity.getComponent(JointComponent).restLengths.set(connectedJointId, restLength);
+    
+    const connectedEntity = this.world.getEntity(connectedJointId);
+    if (connectedEntity && connectedEntity.hasComponent(JointComponent)) {
+      connectedEntity.getComponent(JointComponent).restLengths.set(jointEntity.id, restLength);
+    }
+  }
+}
+
+export default Controller;
@@ -0,0 +1,190 @@
+// src/simulation/ecs/controllers/NeuralController.js
+import { Controller } from './Controller.js';
+import { JointComponent } from '../components/JointComponent.js';
+import { OrganismComponent } from '../components/OrganismComponent.js';
+import { GeneticComponent } from '../components/GeneticComponent.js';
+import { PositionComponent } from '../components/PositionComponent.js';
+import { VelocityComponent } from '../components/VelocityComponent.js';
+import { WorldBoundary } from '../../WorldBoundary.js';
+import {
+  MAX_JOINT_COUNT,
+  MAX_LIMB_COUNT,
+  NEURAL_INPUT_COUNT,
+  NEURAL_HIDDEN_COUNT,
+  NEURAL_OUTPUT_COUNT,
+  NEURAL_SENSOR_RANGE,
+  NEURAL_VELOCITY_SCALE
+} from '../../constants.js';
+
+/**
+ * Controller driven by a small neural network
+ * Every update the organism senses the direction and distance to the nearest
+ * food, its own velocity, a clock at the genome's pattern speed and which of
+ * its joints are down. A network with one tanh hidden layer, weighted by the
+ * genome, turns that into an output per joint, which lowers the joint when
+ * above zero, and an output per limb, which sets its length between the
+ * limb's contracted and extended lengths.
+ *
+ * Inputs, in order: food direction x and y, food distance, velocity x and y,
+ * clock sine and cosine, a constant bias, then the state of every joint by
+ * its gene index
+ */
+export class NeuralController extends Controller {
+  /**
+   * Create a new neural controller
+   * @param {World} world - Reference to the world
+   * @param {SpatialHashGrid|null} foodIndex - Spatial index of food entity positions
+   * @param {WorldBoundary} boundary - Shape of the world, for food sensed across a wrapping edge
+   */
+  constructor(world, foodIndex = null, boundary = new WorldBoundary()) {
+    super(world);
+    this.foodIndex = foodIndex;
+    this.boundary = boundary;
+    
+    // Reused for every organism to avoid allocating each update
+    this.inputs = new Float64Array(NEURAL_INPUT_COUNT);
+    this.hidden = new Float64Array(NEURAL_HIDDEN_COUNT);
+    this.outputs = new Float64Array(NEURAL_OUTPUT_COUNT);
+  }
+  
+  /**
+   * Sense, run the network and apply its outputs to joints and limbs
+   * @param {Entity} organismEntity - The organism entity
+   * @param {number} simulationTime - Simulation seconds since the run started
+   */
+  update(organismEntity, simulationTime) {
+    const organism = organismEntity.getComponent(OrganismComponent);
+    const genetics = organismEntity.getComponent(GeneticComponent);
+    
+    this.readSensors(organism, genetics, simulationTime);
+    this.evaluate(genetics.neuralWeights);
+    
+    for (const jointId of organism.jointIds) {
+      const jointEntity = this.world.getEntity(jointId);
+      if (!jointEntity) continue;
+      
+      const jointComponent = jointEntity.getComponent(JointComponent);
+      jointComponent.isAnchored = this.outputs[jointComponent.geneIndex % MAX_JOINT_COUNT] > 0;
+      
+      for (const connectedJointId of jointComponent.connections) {
+        const limbIndex = jointComponent.limbIndices.get(connectedJointId) || 0;
+        
+        // Map the output from -1..1 onto the limb's contracted..extended lengths
+        const extension = (this.outputs[MAX_JOINT_COUNT + limbIndex % MAX_LIMB_COUNT] + 1) / 2;
+        const contracted = genetics.getLimbLengthFactor(limbIndex, 0);
+        const extended = genetics.getLimbLengthFactor(limbIndex, 1);
+        const extensionFactor = contracted + (extended - contracted) * extension;
+        this.setRestLength(jointEntity, connectedJointId, jointComponent.defaultRestLength * extensionFactor);
+      }
+    }
+  }
+  
+  /**
+   * Fill the input layer from the organism's senses
+   * Positions are measured from the first joint, so a body straddling a
+   * wrapping edge is not averaged to the middle of the world
+   * @param {OrganismComponent} organism - The organism component
+   * @param {GeneticComponent} genetics - The genetic component
+   * @param {number} simulationTime - Simulation seconds since the run started
+   * @private
+   */
+  readSensors(organism, genetics, simulationTime) {
+    const inputs = this.inputs;
+    inputs.fill(0);
+    
+    let firstPosition = null;
+    let offsetX = 0;
+    let offsetY = 0;
+    let velocityX = 0;
+    let velocityY = 0;
+    let count = 0;
+    
+    for (const jointId of organism.jointIds) {
+      const jointEntity = this.world.getEntity(jointId);
+      if (!jointEntity) continue;
+      
+      const joint = jointEntity.getComponent(JointComponent);
+      const position = jointEntity.getComponent(PositionComponent).position;
+      const velocity = jointEntity.getComponent(VelocityComponent).velocity;
+      if (firstPosition === null) firstPosition = position;
+      offsetX += this.boundary.deltaX(firstPosition.x, position.x);
+      offsetY += this.boundary.deltaY(firstPosition.y, position.y);
+      velocityX += velocity.x;
+      velocityY += velocity.y;
+      count++;
+      
+      if (joint.geneIndex < MAX_JOINT_COUNT && joint.isAnchored) {
+        inputs[8 + joint.geneIndex] = 1;
+      }
+    }
+    
+    // Without joints or food in range the food sensors read as far away
+    inputs[2] = 1;
+    if (count > 0) {
+      const centerX = firstPosition.x + offsetX / count;
+      const centerY = firstPosition.y + offsetY / count;
+      this.senseFood(centerX, centerY);
+      
+      inputs[3] = Math.tanh(velocityX / count / NEURAL_VELOCITY_SCALE);
+      inputs[4] = Math.tanh(velocityY / count / NEURAL_VELOCITY_SCALE);
+    }
+    
+    const clockAngle = Math.PI * 2 * genetics.patternSpeed * simulationTime;
+    inputs[5] = Math.sin(clockAngle);
+    inputs[6] = Math.cos(clockAngle);
+    inputs[7] = 1;
+  }
+  
+  /**
+   * Fill the food sensors with the direction and distance to the nearest food
+   * @param {number} x - X of the organism's center
+   * @param {number} y - Y of the organism's center
+   * @private
+   */
+  senseFood(x, y) {
+    if (!this.foodIndex) return;
+    
+    const nearest = this.boundary.nearest(this.foodIndex, x, y, NEURAL_SENSOR_RANGE);
+    if (!nearest) return;
+    
+    const foodEntity = this.world.getEntity(nearest.id);
+    if (!foodEntity) return;
+    
+    const foodPosition = foodEntity.getComponent(PositionComponent).position;
+    if (nearest.distance > 0) {
+      this.inputs[0] = this.boundary.deltaX(x, foodPosition.x) / nearest.distance;
+      this.inputs[1] = this.boundary.deltaY(y, foodPosition.y) / nearest.distance;
+    }
+    this.inputs[2] = nearest.distance / NEURAL_SENSOR_RANGE;
+  }
+  
+  /**
+   * Run the network on the current inputs
+   * Weights hold each hidden neuron's input weights, then each output's hidden
+   * weights followed by its bias
+   * @param {number[]} weights - Network weights from the genome
+   * @private
+   */
+  evaluate(weights) {
+    let w = 0;
+    
+    for (let h = 0; h < NEURAL_HIDDEN_COUNT; h++) {
+      let sum = 0;
+      for (let i = 0; i < NEURAL_INPUT_COUNT; i++) {
+        sum += weights[w++] * this.inputs[i];
+      }
+      this.hidden[h] = Math.tanh(sum);
+    }
+    
+    for (let o = 0; o < NEURAL_OUTPUT_COUNT; o++) {
+      let sum = 0;
+      for (let h = 0; h < NEURAL_HIDDEN_COUNT; h++) {
+        sum += weights[w++] * this.hidden[h];
+      }
+      sum += weights[w++];
+      this.outputs[o] = Math.tanh(sum);
+    }
+  }
+}
+
+export default NeuralController;
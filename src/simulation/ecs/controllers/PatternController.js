@@ -0,0 +1,46 @@
+// src/simulation/ecs/controllers/PatternController.js
+import { Controller } from './Controller.js';
+import { JointComponent } from '../components/JointComponent.js';
+import { OrganismComponent } from '../components/OrganismComponent.js';
+import { GeneticComponent } from '../components/GeneticComponent.js';
+
+/**
+ * Controller that steps through binary patterns
+ * Joints switch between down and up, and limbs jump between their contracted
+ * and extended lengths, as the genome's patterns are played back over time
+ */
+export class PatternController extends Controller {
+  /**
+   * Set joint states and limb rest lengths from the patterns at this time
+   * @param {Entity} organismEntity - The organism entity
+   * @param {number} simulationTime - Simulation seconds since the run started
+   */
+  update(organismEntity, simulationTime) {
+    const organism = organismEntity.getComponent(OrganismComponent);
+    const genetics = organismEntity.getComponent(GeneticComponent);
+    
+    this.applyJointPatterns(organismEntity, simulationTime);
+    
+    for (const jointId of organism.jointIds) {
+      const jointEntity = this.world.getEntity(jointId);
+      if (!jointEntity) continue;
+      
+      const jointComponent = jointEntity.getComponent(JointComponent);
+      
+      // Update each connection (limb) state
+      for (const connectedJointId of jointComponent.connections) {
+        // The factory numbers every limb of an organism, and both joints store the number
+        const limbIndex = jointComponent.limbIndices.get(connectedJointId) || 0;
+        
+        // Get limb state (extend/contract) based on genetic pattern
+        const limbState = genetics.getLimbState(limbIndex, simulationTime);
+        
+        // Contracted and extended lengths are genes of each limb, relative to the base length
+        const extensionFactor = genetics.getLimbLengthFactor(limbIndex, limbState);
+        this.setRestLength(jointEntity, connectedJointId, jointComponent.defaultRestLength * extensionFactor);
+      }
+    }
+  }
+}
+
+export default PatternController;
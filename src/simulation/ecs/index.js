@@ -1,36 +1,61 @@
 // src/simulation/ecs/index.js
-import World from './World';
-import Entity from './Entity';
-import Component from './Component';
-import System from './System';
-import EntityFactory from './EntityFactory';
+import World from './World.js';
+import Entity from './Entity.js';
+import Query from './Query.js';
+import CommandBuffer from './CommandBuffer.js';
+import ComponentRegistry from './ComponentRegistry.js';
+import Profiler from './Profiler.js';
+import Component from './Component.js';
+import System from './System.js';
+import EntityFactory from './EntityFactory.js';
 
 // Components
-import PositionComponent from './components/PositionComponent';
-import VelocityComponent from './components/VelocityComponent';
-import PhysicsComponent from './components/PhysicsComponent';
-import JointComponent from './components/JointComponent';
-import OrganismComponent from './components/OrganismComponent';
-import GeneticComponent from './components/GeneticComponent';
-import RenderComponent from './components/RenderComponent';
-import FitnessComponent from './components/FitnessComponent';
-import FoodComponent from './components/FoodComponent';
+import PositionComponent from './components/PositionComponent.js';
+import VelocityComponent from './components/VelocityComponent.js';
+import PhysicsComponent from './components/PhysicsComponent.js';
+import JointComponent from './components/JointComponent.js';
+import OrganismComponent from './components/OrganismComponent.js';
+import GeneticComponent from './components/GeneticComponent.js';
+import RenderComponent from './components/RenderComponent.js';
+import FitnessComponent from './components/FitnessComponent.js';
+import FoodComponent from './components/FoodComponent.js';
+import ObstacleComponent from './components/ObstacleComponent.js';
+import GroundComponent from './components/GroundComponent.js';
+import registerCoreComponents from './components/registerCoreComponents.js';
 
 // Systems
-import PhysicsSystem from './systems/PhysicsSystem';
-import JointConnectionSystem from './systems/JointConnectionSystem';
-import FoodSystem from './systems/FoodSystem';
-import StateSystem from './systems/StateSystem';
-import RenderSystem from './systems/RenderSystem';
-import EvolutionSystem from './systems/EvolutionSystem';
+import PhysicsSystem from './systems/PhysicsSystem.js';
+import JointConnectionSystem from './systems/JointConnectionSystem.js';
+import FoodSystem from './systems/FoodSystem.js';
+import StateSystem from './systems/StateSystem.js';
+import RenderSystem from './systems/RenderSystem.js';
+import EvolutionSystem from './systems/EvolutionSystem.js';
+import SpatialIndexSystem from './systems/SpatialIndexSystem.js';
+import CollisionSystem from './systems/CollisionSystem.js';
+import ObstacleSystem from './systems/ObstacleSystem.js';
+import DistanceFitnessSystem from './systems/DistanceFitnessSystem.js';
+import FluidDragSystem from './systems/FluidDragSystem.js';
+import LimbStrainSystem from './systems/LimbStrainSystem.js';
+
+// Controllers
+import Controller from './controllers/Controller.js';
+import PatternController from './controllers/PatternController.js';
+import CPGController from './controllers/CPGController.js';
+import NeuralController from './controllers/NeuralController.js';
 
 // Utils
-import Vector2 from './utils/Vector2';
+import Vector2 from './utils/Vector2.js';
+import SpatialHashGrid from './utils/SpatialHashGrid.js';
+import RandomService, { RandomStream, createRandomSeed } from './utils/Random.js';
 
 export {
   // Core
   World,
   Entity,
+  Query,
+  CommandBuffer,
+  ComponentRegistry,
+  Profiler,
   Component,
   System,
   EntityFactory,
@@ -45,6 +70,9 @@ export {
   RenderComponent,
   FitnessComponent,
   FoodComponent,
+  ObstacleComponent,
+  GroundComponent,
+  registerCoreComponents,
   
   // Systems
   PhysicsSystem,
@@ -53,7 +81,23 @@ export {
   StateSystem,
   RenderSystem,
   EvolutionSystem,
+  SpatialIndexSystem,
+  CollisionSystem,
+  ObstacleSystem,
+  DistanceFitnessSystem,
+  FluidDragSystem,
+  LimbStrainSystem,
+  
+  // Controllers
+  Controller,
+  PatternController,
+  CPGController,
+  NeuralController,
   
   // Utils
-  Vector2
+  Vector2,
+  SpatialHashGrid,
+  RandomService,
+  RandomStream,
+  createRandomSeed
 };
@@ -0,0 +1,141 @@
+// src/simulation/ecs/systems/CollisionSystem.js
+import { System } from '../System.js';
+import { JointComponent } from '../components/JointComponent.js';
+import { PositionComponent } from '../components/PositionComponent.js';
+import { VelocityComponent } from '../components/VelocityComponent.js';
+import { PhysicsComponent } from '../components/PhysicsComponent.js';
+import { WorldBoundary } from '../../WorldBoundary.js';
+import { DEFAULT_RESTITUTION } from '../../constants.js';
+
+/**
+ * System that keeps joints from overlapping
+ * Joints are treated as discs of JointComponent.radius. Overlapping pairs are
+ * pushed apart in proportion to their inverse masses, and approaching pairs
+ * bounce off each other with the configured restitution. By default only
+ * joints of different organisms collide; with self-collision on, joints of
+ * the same organism do too, except those directly connected by a limb.
+ */
+export class CollisionSystem extends System {
+  /**
+   * Create a new collision system
+   * @param {World} world - Reference to the world
+   * @param {SpatialHashGrid} jointIndex - Spatial index of joint positions
+   * @param {WorldBoundary} boundary - Shape of the world, for joints touching across a wrapping edge
+   */
+  constructor(world, jointIndex, boundary = new WorldBoundary()) {
+    super(world);
+    this.jointIndex = jointIndex;
+    this.boundary = boundary;
+    this.enabled = false;
+    this.selfCollision = false;
+    this.restitution = DEFAULT_RESTITUTION;
+    this.jointQuery = world.query(JointComponent, PositionComponent, VelocityComponent, PhysicsComponent);
+  }
+  
+  /**
+   * Change the collision settings
+   * @param {Object} settings - Collision settings
+   * @param {boolean} settings.enabled - Whether joints collide at all
+   * @param {boolean} settings.selfCollision - Whether joints of the same organism collide
+   * @param {number} settings.restitution - Bounciness of collisions, 0-1
+   */
+  configure({ enabled, selfCollision, restitution }) {
+    this.enabled = enabled;
+    this.selfCollision = selfCollision;
+    this.restitution = Math.max(0, Math.min(1, restitution));
+  }
+  
+  /**
+   * Find and resolve overlapping joints
+   */
+  update() {
+    if (!this.enabled) return;
+    
+    let maxRadius = 0;
+    for (const entity of this.jointQuery) {
+      maxRadius = Math.max(maxRadius, entity.getComponent(JointComponent).radius);
+    }
+    
+    const nearbyIds = [];
+    for (const entity of this.jointQuery) {
+      const joint = entity.getComponent(JointComponent);
+      const position = entity.getComponent(PositionComponent).position;
+      
+      nearbyIds.length = 0;
+      this.boundary.queryRadius(this.jointIndex, position.x, position.y, joint.radius + maxRadius, nearbyIds);
+      
+      for (const otherId of nearbyIds) {
+        // Handle each pair once, from its lower ID
+        if (otherId <= entity.id) continue;
+        
+        const otherEntity = this.world.getEntity(otherId);
+        if (!otherEntity || !this.canCollide(entity, joint, otherEntity)) continue;
+        
+        this.resolvePair(entity, otherEntity);
+      }
+    }
+  }
+  
+  /**
+   * Check whether two joints are allowed to collide
+   * @param {Entity} entity - The first joint entity
+   * @param {JointComponent} joint - The first joint's component
+   * @param {Entity} otherEntity - The second joint entity
+   * @returns {boolean} - True if the pair should be resolved
+   * @private
+   */
+  canCollide(entity, joint, otherEntity) {
+    const otherJoint = otherEntity.getComponent(JointComponent);
+    if (otherJoint.organismId !== joint.organismId) return true;
+    
+    // Connected joints are held apart by their limb already
+    return this.selfCollision && !joint.connections.includes(otherEntity.id);
+  }
+  
+  /**
+   * Separate two overlapping joints and reflect their approaching velocity
+   * @param {Entity} entityA - The first joint entity
+   * @param {Entity} entityB - The second joint entity
+   * @private
+   */
+  resolvePair(entityA, entityB) {
+    const positionA = entityA.getComponent(PositionComponent).position;
+    const positionB = entityB.getComponent(PositionComponent).position;
+    const minDistance = entityA.getComponent(JointComponent).radius + entityB.getComponent(JointComponent).radius;
+    
+    const dx = this.boundary.deltaX(positionA.x, positionB.x);
+    const dy = this.boundary.deltaY(positionA.y, positionB.y);
+    const distanceSquared = dx * dx + dy * dy;
+    if (distanceSquared >= minDistance * minDistance) return;
+    
+    // Joints exactly on top of each other are separated along the x axis
+    const distance = Math.sqrt(distanceSquared);
+    const normalX = distance > 0 ? dx / distance : 1;
+    const normalY = distance > 0 ? dy / distance : 0;
+    
+    const inverseMassA = 1 / entityA.getComponent(PhysicsComponent).mass;
+    const inverseMassB = 1 / entityB.getComponent(PhysicsComponent).mass;
+    const totalInverseMass = inverseMassA + inverseMassB;
+    
+    // Push the joints apart until they just touch
+    const overlap = (minDistance - distance) / totalInverseMass;
+    positionA.x -= normalX * overlap * inverseMassA;
+    positionA.y -= normalY * overlap * inverseMassA;
+    positionB.x += normalX * overlap * inverseMassB;
+    positionB.y += normalY * overlap * inverseMassB;
+    
+    // Bounce only if the joints are still moving toward each other
+    const velocityA = entityA.getComponent(VelocityComponent).velocity;
+    const velocityB = entityB.getComponent(VelocityComponent).velocity;
+    const approachSpeed = (velocityB.x - velocityA.x) * normalX + (velocityB.y - velocityA.y) * normalY;
+    if (approachSpeed >= 0) return;
+    
+    const impulse = -(1 + this.restitution) * approachSpeed / totalInverseMass;
+    velocityA.x -= normalX * impulse * inverseMassA;
+    velocityA.y -= normalY * impulse * inverseMassA;
+    velocityB.x += normalX * impulse * inverseMassB;
+    velocityB.y += normalY * impulse * inverseMassB;
+  }
+}
+
+export default CollisionSystem;
@@ -0,0 +1,73 @@
+// src/simulation/ecs/systems/DistanceFitnessSystem.js
+import { System } from '../System.js';
+import { OrganismComponent } from '../components/OrganismComponent.js';
+import { FitnessComponent } from '../components/FitnessComponent.js';
+import { PositionComponent } from '../components/PositionComponent.js';
+import { WorldBoundary } from '../../WorldBoundary.js';
+
+/**
+ * System that scores organisms by the horizontal distance they walk
+ * Each update adds how far an organism's center moved to the right, so laps
+ * of a wrapping world keep counting; fitness is the total, floored at zero,
+ * minus any penalty for broken limbs
+ */
+export class DistanceFitnessSystem extends System {
+  /**
+   * Create a new distance fitness system
+   * @param {World} world - Reference to the world
+   * @param {WorldBoundary} boundary - Shape of the world, for movement across a wrapping edge
+   */
+  constructor(world, boundary = new WorldBoundary()) {
+    super(world);
+    this.boundary = boundary;
+    this.enabled = false;
+    this.organismQuery = world.query(OrganismComponent, FitnessComponent);
+  }
+  
+  /**
+   * Add each organism's movement since the last update to its distance
+   */
+  update() {
+    if (!this.enabled) return;
+    
+    for (const organismEntity of this.organismQuery) {
+      const centerX = this.getCenterX(organismEntity);
+      if (centerX === null) continue;
+      
+      const fitness = organismEntity.getComponent(FitnessComponent);
+      if (fitness.lastX !== null) {
+        fitness.distance += this.boundary.deltaX(fitness.lastX, centerX);
+      }
+      fitness.lastX = centerX;
+      fitness.fitness = Math.round(Math.max(0, fitness.distance) * 10) / 10 - fitness.penalty;
+    }
+  }
+  
+  /**
+   * Calculate the horizontal center of an organism's joints
+   * Joints are measured from the first one, so a body straddling a wrapping
+   * edge is not averaged to the middle of the world
+   * @param {Entity} organismEntity - The organism entity
+   * @returns {number|null} - Center x, or null for an organism without joints
+   * @private
+   */
+  getCenterX(organismEntity) {
+    let firstX = null;
+    let totalOffset = 0;
+    let count = 0;
+    
+    for (const jointId of organismEntity.getComponent(OrganismComponent).jointIds) {
+      const jointEntity = this.world.getEntity(jointId);
+      if (!jointEntity) continue;
+      
+      const x = jointEntity.getComponent(PositionComponent).position.x;
+      if (firstX === null) firstX = x;
+      totalOffset += this.boundary.deltaX(firstX, x);
+      count++;
+    }
+    
+    return count === 0 ? null : firstX + totalOffset / count;
+  }
+}
+
+export default DistanceFitnessSystem;
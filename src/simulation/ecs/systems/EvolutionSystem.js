@@ -1,17 +1,40 @@
 // src/simulation/ecs/systems/EvolutionSystem.js
-import { System } from '../System';
-import { OrganismComponent } from '../components/OrganismComponent';
-import { FitnessComponent } from '../components/FitnessComponent';
-import { PositionComponent } from '../components/PositionComponent';
-import { GeneticComponent } from '../components/GeneticComponent';
-import { FoodComponent } from '../components/FoodComponent';
-import { Vector2 } from '../utils/Vector2';
+import { System } from '../System.js';
+import { OrganismComponent } from '../components/OrganismComponent.js';
+import { FitnessComponent } from '../components/FitnessComponent.js';
+import { PositionComponent } from '../components/PositionComponent.js';
+import { GeneticComponent } from '../components/GeneticComponent.js';
+import { FoodComponent } from '../components/FoodComponent.js';
+import { ObstacleComponent } from '../components/ObstacleComponent.js';
+import { GroundComponent } from '../components/GroundComponent.js';
+import { Vector2 } from '../utils/Vector2.js';
+import { getObstacleContact, getGroundHeight } from '../utils/obstacleGeometry.js';
+import { createPlanGraph, removeDuplicateLimbs } from '../utils/bodyGraph.js';
+import { WorldBoundary } from '../../WorldBoundary.js';
+import { buildObstacleMap } from '../../maps/ObstacleMap.js';
 import { 
-  CANVAS_WIDTH, 
-  CANVAS_HEIGHT, 
   MIN_JOINT_COUNT, 
-  MAX_JOINT_COUNT 
-} from '../../constants';
+  MAX_JOINT_COUNT,
+  BOUNDARY_OPEN,
+  FOOD_RADIUS,
+  SPAWN_CLEARANCE,
+  MAX_SPAWN_ATTEMPTS,
+  CANVAS_WIDTH,
+  ENVIRONMENT_SIDEVIEW,
+  DEFAULT_ENVIRONMENT,
+  FITNESS_FOOD,
+  DEFAULT_FITNESS_MODE,
+  DEFAULT_CROSSOVER_RATE,
+  DEFAULT_CROSSOVER_METHOD,
+  DEFAULT_CONTROLLER,
+  BODY_ENCODING_GRAPH,
+  DEFAULT_BODY_ENCODING,
+  GROUND_LEVEL,
+  SIDEVIEW_SPAWN_HEIGHT,
+  SIDEVIEW_FOOD_HEIGHT
+} from '../../constants.js';
+
+const FLAT_GROUND = [[0, GROUND_LEVEL], [CANVAS_WIDTH, GROUND_LEVEL]]; // Side-view ground of maps without their own
 
 /**
  * System that handles organism reproduction and evolution
@@ -25,10 +48,12 @@ export class EvolutionSystem extends System {
    * @param {number} foodAmount - Amount of food to create
    * @param {number} populationSize - Size of the population
    * @param {number} mutationRate - Rate of genetic mutation
+   * @param {WorldBoundary} boundary - Shape of the world, which sets where things spawn
    */
-  constructor(world, entityFactory, foodAmount, populationSize, mutationRate) {
+  constructor(world, entityFactory, foodAmount, populationSize, mutationRate, boundary = new WorldBoundary()) {
     super(world);
     this.entityFactory = entityFactory;
+    this.boundary = boundary;
     this.foodAmount = foodAmount;
     this.populationSize = populationSize;
     this.mutationRate = mutationRate;
@@ -40,6 +65,24 @@ export class EvolutionSystem extends System {
       avgJoints: 0
     };
     this.generationCount = 0;
+    this.bestGenome = null; // Genome of the fittest organism of the last generation
+    this.obstacleMap = null; // Obstacle layout rebuilt with every first generation
+    this.environment = DEFAULT_ENVIRONMENT;
+    this.fitnessMode = DEFAULT_FITNESS_MODE;
+    this.crossoverRate = DEFAULT_CROSSOVER_RATE;
+    this.crossoverMethod = DEFAULT_CROSSOVER_METHOD;
+    this.controller = DEFAULT_CONTROLLER;
+    this.bodyEncoding = DEFAULT_BODY_ENCODING;
+    
+    // Separate streams so spawning or food placement never shifts genetic outcomes
+    this.geneticsRandom = this.random.stream('genetics');
+    this.spawnRandom = this.random.stream('spawning');
+    this.foodRandom = this.random.stream('food');
+    
+    this.organismQuery = world.query(OrganismComponent, FitnessComponent, GeneticComponent);
+    this.foodQuery = world.query(FoodComponent);
+    this.obstacleQuery = world.query(ObstacleComponent, PositionComponent);
+    this.groundQuery = world.query(GroundComponent);
   }
 
   /**
@@ -62,6 +105,58 @@ export class EvolutionSystem extends System {
     this.mutationRate = mutationRate;
   }
 
+  /**
+   * Set the obstacle layout used from the next first generation on
+   * @param {Object|null} map - Obstacle map in the format of ObstacleMap.js, or null for none
+   */
+  setObstacleMap(map) {
+    this.obstacleMap = map;
+  }
+
+  /**
+   * Set the environment used from the next first generation on
+   * @param {string} environment - 'topdown', 'fluid', or 'sideview' to add a ground line
+   */
+  setEnvironment(environment) {
+    this.environment = environment;
+  }
+
+  /**
+   * Set what fitness is measured by
+   * Food is only placed when fitness comes from eating it
+   * @param {string} fitnessMode - 'food' or 'distance'
+   */
+  setFitnessMode(fitnessMode) {
+    this.fitnessMode = fitnessMode;
+  }
+
+  /**
+   * Set how often and how children combine two parents' genomes
+   * @param {number} rate - Chance that a child has two parents, 0-1
+   * @param {string} method - Crossover method of GeneticComponent.crossover
+   */
+  setCrossover(rate, method) {
+    this.crossoverRate = rate;
+    this.crossoverMethod = method;
+  }
+
+  /**
+   * Set the controller that genomes of the next first generation encode
+   * Children keep their parents' controller
+   * @param {string} controller - 'pattern', 'cpg' or 'neural'
+   */
+  setController(controller) {
+    this.controller = controller;
+  }
+
+  /**
+   * Set how genomes of the next first generation describe bodies
+   * @param {string} bodyEncoding - 'plan' for the seeded body plans or 'graph' for evolvable body graphs
+   */
+  setBodyEncoding(bodyEncoding) {
+    this.bodyEncoding = bodyEncoding;
+  }
+
   /**
    * Initialize the first generation of organisms
    */
@@ -69,19 +164,31 @@ export class EvolutionSystem extends System {
     // Clear existing entities
     this.world.clear();
     this.generationCount = 0;
+    this.bestGenome = null;
+    this.calculateStats([]);
+    
+    // Obstacles stay for the whole run, so everything else spawns around them
+    if (this.obstacleMap) {
+      buildObstacleMap(this.entityFactory, this.obstacleMap);
+    }
+    if (this.environment === ENVIRONMENT_SIDEVIEW) {
+      this.entityFactory.createGround((this.obstacleMap && this.obstacleMap.ground) || FLAT_GROUND);
+    }
     
     // Create initial organisms with random positions
     for (let i = 0; i < this.populationSize; i++) {
-      const pos = new Vector2(
-        Math.random() * CANVAS_WIDTH,
-        Math.random() * CANVAS_HEIGHT
-      );
+      const pos = this.findSpawnPoint(this.spawnRandom, SPAWN_CLEARANCE);
       
       // Random joint count
-      const jointCount = MIN_JOINT_COUNT + Math.floor(Math.random() * (MAX_JOINT_COUNT - MIN_JOINT_COUNT + 1));
+      const jointCount = this.geneticsRandom.int(MIN_JOINT_COUNT, MAX_JOINT_COUNT);
       
       // Create organism with new genetic component
-      this.entityFactory.createOrganism(pos.x, pos.y, jointCount, new GeneticComponent());
+      const genetics = new GeneticComponent(null, this.geneticsRandom, this.controller);
+      if (this.bodyEncoding === BODY_ENCODING_GRAPH) {
+        // Body graphs start out as the body plan the seed picks, then evolve freely
+        genetics.bodyGraph = removeDuplicateLimbs(createPlanGraph(genetics.bodyPlanSeed, jointCount));
+      }
+      this.entityFactory.createOrganism(pos.x, pos.y, jointCount, genetics);
     }
     
     // Create food
@@ -92,6 +199,8 @@ export class EvolutionSystem extends System {
    * Initialize food for a new generation
    */
   initializeFood() {
+    if (this.fitnessMode !== FITNESS_FOOD) return;
+    
     for (let i = 0; i < this.foodAmount; i++) {
       this.createFoodEntity();
     }
@@ -99,28 +208,88 @@ export class EvolutionSystem extends System {
 
   /**
    * Create a single food entity at a random position
+   * @param {Vector2} center - Center of the spawn region in an open world
    * @returns {Entity} - The created food entity
    */
-  createFoodEntity() {
-    const pos = new Vector2(
-      Math.random() * CANVAS_WIDTH,
-      Math.random() * CANVAS_HEIGHT
-    );
+  createFoodEntity(center = null) {
+    const pos = this.findSpawnPoint(this.foodRandom, FOOD_RADIUS, center, FOOD_RADIUS, SIDEVIEW_FOOD_HEIGHT);
     
     return this.entityFactory.createFood(pos.x, pos.y);
   }
 
+  /**
+   * Pick a random spawn point clear of obstacles
+   * Gives up after MAX_SPAWN_ATTEMPTS and uses the last point tried, so a
+   * crowded map slows spawning down rather than blocking it
+   * In a side-view world the point is lifted to a height above the ground
+   * @param {RandomStream} random - Stream to draw from
+   * @param {number} clearance - Distance to keep from every obstacle
+   * @param {Vector2} center - Center of the spawn region in an open world
+   * @param {number} minHeight - Lowest height above the ground in a side-view world
+   * @param {number} heightRange - Random extra height above minHeight in a side-view world
+   * @returns {{x: number, y: number}} - The spawn point
+   */
+  findSpawnPoint(random, clearance, center = null, minHeight = SIDEVIEW_SPAWN_HEIGHT, heightRange = 0) {
+    const ground = this.getGround();
+    let point = null;
+    for (let attempt = 0; attempt < MAX_SPAWN_ATTEMPTS; attempt++) {
+      point = center
+        ? this.boundary.randomPoint(random, center.x, center.y)
+        : this.boundary.randomPoint(random);
+      if (ground) {
+        point.y = getGroundHeight(ground, point.x) - minHeight - random.next() * heightRange;
+      }
+      if (!this.isNearObstacle(point.x, point.y, clearance)) break;
+    }
+    return point;
+  }
+
+  /**
+   * Get the ground line of a side-view world
+   * @returns {number[]|null} - Flat x, y pairs of the ground, or null in a top-down world
+   */
+  getGround() {
+    for (const groundEntity of this.groundQuery) {
+      return groundEntity.getComponent(GroundComponent).points;
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a point is inside or close to any obstacle
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {number} clearance - Distance that counts as close
+   * @returns {boolean} - True if an obstacle is within the clearance
+   */
+  isNearObstacle(x, y, clearance) {
+    for (const obstacleEntity of this.obstacleQuery) {
+      const position = obstacleEntity.getComponent(PositionComponent).position;
+      const contact = getObstacleContact(
+        obstacleEntity.getComponent(ObstacleComponent),
+        this.boundary.deltaX(position.x, x),
+        this.boundary.deltaY(position.y, y)
+      );
+      if (contact.distance < clearance) return true;
+    }
+    return false;
+  }
+
   /**
    * Replenish food in the simulation
    * @param {number} amount - Amount of food to add
    */
   replenishFood(amount) {
-    const foodEntities = this.world.getEntitiesWithComponent(FoodComponent);
-    const currentFoodCount = foodEntities.length;
+    if (this.fitnessMode !== FITNESS_FOOD) return;
+    
+    const currentFoodCount = this.foodQuery.size;
     const foodToAdd = Math.min(amount, this.foodAmount - currentFoodCount);
+    if (foodToAdd <= 0) return;
     
+    // In an open world the population wanders off, so new food follows it
+    const center = this.boundary.mode === BOUNDARY_OPEN ? this.getPopulationPosition() : null;
     for (let i = 0; i < foodToAdd; i++) {
-      this.createFoodEntity();
+      this.createFoodEntity(center);
     }
   }
 
@@ -132,7 +301,7 @@ export class EvolutionSystem extends System {
     this.generationCount++;
     
     // Get all organisms
-    const organismEntities = this.world.getEntitiesWithComponent(OrganismComponent);
+    const organismEntities = this.organismQuery.toArray();
     
     // Sort by fitness
     organismEntities.sort((a, b) => {
@@ -143,26 +312,23 @@ export class EvolutionSystem extends System {
     
     // Calculate fitness stats
     this.calculateStats(organismEntities);
+    this.bestGenome = organismEntities.length > 0
+      ? this.describeGenome(organismEntities[0])
+      : null;
     
     // Select top organisms for reproduction (50% selection pressure)
     const selectionRatio = 0.5; // Top 50% are selected
     const numSurvivors = Math.max(2, Math.floor(organismEntities.length * selectionRatio));
     const survivors = organismEntities.slice(0, numSurvivors);
     
-    // Store IDs of all entities to be removed
-    const entitiesToRemove = new Set();
-    
-    // Mark all current organisms and their joints for removal
+    // Queue removal of the current organisms; their joints go with them
     for (const organismEntity of organismEntities) {
-      const organism = organismEntity.getComponent(OrganismComponent);
-      
-      // Mark all joints for removal
-      for (const jointId of organism.jointIds) {
-        entitiesToRemove.add(jointId);
-      }
-      
-      // Mark organism for removal
-      entitiesToRemove.add(organismEntity.id);
+      this.world.commands.destroyEntity(organismEntity.id);
+    }
+    
+    // Queue removal of all food
+    for (const foodEntity of this.foodQuery) {
+      this.world.commands.destroyEntity(foodEntity.id);
     }
     
     // Create new generation
@@ -179,20 +345,17 @@ export class EvolutionSystem extends System {
       // Select parent based on fitness (tournament selection)
       const parent = this.selectParentWeighted(survivors);
       
+      // Some children get a second parent to combine genomes with
+      const otherParent = this.crossoverRate > 0 && this.geneticsRandom.chance(this.crossoverRate)
+        ? this.selectParentWeighted(survivors)
+        : null;
+      
       // Reproduce with normal mutation rate
-      newGeneration.push(this.reproduceOrganism(parent, this.mutationRate));
+      newGeneration.push(this.reproduceOrganism(parent, this.mutationRate, otherParent));
     }
     
-    // Remove old entities
-    for (const entityId of entitiesToRemove) {
-      this.world.removeEntity(entityId);
-    }
-    
-    // Remove all food
-    const foodEntities = this.world.getEntitiesWithComponent(FoodComponent);
-    for (const foodEntity of foodEntities) {
-      this.world.removeEntity(foodEntity.id);
-    }
+    // This runs outside world.update, so apply the removals now
+    this.world.flushCommands();
     
     // Create new food
     this.initializeFood();
@@ -213,7 +376,7 @@ export class EvolutionSystem extends System {
       return sum + Math.max(0.1, org.getComponent(FitnessComponent).fitness);
     }, 0);
     
-    let selectionPoint = Math.random() * totalFitness;
+    let selectionPoint = this.geneticsRandom.next() * totalFitness;
     let runningTotal = 0;
     
     for (const organism of organisms) {
@@ -231,36 +394,84 @@ export class EvolutionSystem extends System {
 
   /**
    * Create a child organism from a parent with mutations
+   * With a second parent the genomes are crossed over before mutating; the
+   * body's joint count still comes from the first parent. Bodies from a body
+   * graph change through the graph's mutations instead.
    * @param {Entity} organismEntity - The parent organism entity
    * @param {number} mutationRate - Rate of genetic mutation
+   * @param {Entity} otherParentEntity - Second parent organism entity, or null
    * @returns {Entity} - The newly created child organism
    */
-  reproduceOrganism(organismEntity, mutationRate) {
-    const genetics = organismEntity.getComponent(GeneticComponent);
+  reproduceOrganism(organismEntity, mutationRate, otherParentEntity = null) {
+    let genetics = organismEntity.getComponent(GeneticComponent);
     
-    // Random position anywhere on the canvas
-    const pos = new Vector2(
-      Math.random() * CANVAS_WIDTH,
-      Math.random() * CANVAS_HEIGHT
-    );
+    // Random position anywhere in the spawn area, clear of obstacles
+    const pos = this.findSpawnPoint(this.spawnRandom, SPAWN_CLEARANCE);
+    
+    if (otherParentEntity) {
+      genetics = genetics.crossover(
+        otherParentEntity.getComponent(GeneticComponent),
+        this.crossoverMethod,
+        this.geneticsRandom
+      );
+    }
     
     // Mutate genes
-    const childGenetics = genetics.mutate(mutationRate);
+    const childGenetics = genetics.mutate(mutationRate, this.geneticsRandom);
     
     // Number of joints can sometimes change (modifying the body plan)
     const organism = organismEntity.getComponent(OrganismComponent);
     let childJointCount = organism.jointIds.length;
     
     // 10% chance to change joint count
-    if (Math.random() < 0.1) {
+    if (!childGenetics.bodyGraph && this.geneticsRandom.chance(0.1)) {
       // Add or remove 1 joint
-      childJointCount += Math.random() < 0.5 ? -1 : 1;
+      childJointCount += this.geneticsRandom.chance(0.5) ? -1 : 1;
       childJointCount = Math.max(MIN_JOINT_COUNT, Math.min(MAX_JOINT_COUNT, childJointCount));
     }
     
     return this.entityFactory.createOrganism(pos.x, pos.y, childJointCount, childGenetics);
   }
 
+  /**
+   * Describe an organism's genome as plain data
+   * @param {Entity} organismEntity - The organism entity
+   * @returns {Object} - Genes plus the body's joint count and fitness
+   */
+  describeGenome(organismEntity) {
+    return {
+      ...organismEntity.getComponent(GeneticComponent).serialize(),
+      jointCount: organismEntity.getComponent(OrganismComponent).jointIds.length,
+      fitness: organismEntity.getComponent(FitnessComponent).fitness
+    };
+  }
+
+  /**
+   * Capture the generation counter, parameters and last generation's results
+   * @returns {Object} - JSON-friendly state
+   */
+  serialize() {
+    return {
+      generationCount: this.generationCount,
+      foodAmount: this.foodAmount,
+      populationSize: this.populationSize,
+      mutationRate: this.mutationRate,
+      stats: { ...this.stats },
+      bestGenome: this.bestGenome
+    };
+  }
+
+  /**
+   * Restore state captured by serialize
+   * @param {Object} state - State produced by serialize
+   */
+  deserialize(state) {
+    this.generationCount = state.generationCount;
+    this.setParams(state.foodAmount, state.populationSize, state.mutationRate);
+    this.stats = { ...state.stats };
+    this.bestGenome = state.bestGenome;
+  }
+
   /**
    * Calculate the center position of an organism
    * @param {Entity} organismEntity - The organism entity
@@ -287,6 +498,21 @@ export class EvolutionSystem extends System {
     return new Vector2(totalX / count, totalY / count);
   }
 
+  /**
+   * Calculate the average center position of all organisms
+   * @returns {Vector2|null} - The population center, or null without organisms
+   */
+  getPopulationPosition() {
+    if (this.organismQuery.size === 0) return null;
+    
+    let total = new Vector2(0, 0);
+    for (const organismEntity of this.organismQuery) {
+      total = total.add(this.getOrganismPosition(organismEntity));
+    }
+    
+    return total.multiply(1 / this.organismQuery.size);
+  }
+
   /**
    * Calculate statistics for the current generation
    * @param {Entity[]} organismEntities - Array of organism entities
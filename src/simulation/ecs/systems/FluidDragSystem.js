@@ -0,0 +1,81 @@
+// src/simulation/ecs/systems/FluidDragSystem.js
+import { System } from '../System.js';
+import { JointComponent } from '../components/JointComponent.js';
+import { PositionComponent } from '../components/PositionComponent.js';
+import { VelocityComponent } from '../components/VelocityComponent.js';
+import { PhysicsComponent } from '../components/PhysicsComponent.js';
+import { Vector2 } from '../utils/Vector2.js';
+import { forEachLimb } from '../utils/limbs.js';
+import { WorldBoundary } from '../../WorldBoundary.js';
+import { FLUID_NORMAL_DRAG, FLUID_TANGENTIAL_DRAG } from '../../constants.js';
+
+/**
+ * System that makes limbs push against a surrounding fluid
+ * Each limb is a thin segment: moving broadside through the fluid meets much
+ * more drag than sliding along its length. The drag on each half of a limb
+ * is added to the force of the joint at that end, so a limb sweeping sideways
+ * pushes its body the other way, and undulating limbs swim.
+ *
+ * Runs between JointConnectionSystem and PhysicsSystem and only adds forces,
+ * so it works with either integrator
+ */
+export class FluidDragSystem extends System {
+  /**
+   * Create a new fluid drag system
+   * @param {World} world - Reference to the world
+   * @param {WorldBoundary} boundary - Shape of the world, for limbs that cross a wrapping edge
+   */
+  constructor(world, boundary = new WorldBoundary()) {
+    super(world);
+    this.boundary = boundary;
+    this.enabled = false;
+    this.jointQuery = world.query(JointComponent, PositionComponent, VelocityComponent, PhysicsComponent);
+  }
+  
+  /**
+   * Add the fluid drag on every limb to the forces of its joints
+   */
+  update() {
+    if (!this.enabled) return;
+    
+    forEachLimb(this.world, this.jointQuery, (jointEntity, connectedEntity) => {
+      if (!connectedEntity.hasComponent(VelocityComponent)) return;
+      
+      const position = jointEntity.getComponent(PositionComponent).position;
+      const connectedPosition = connectedEntity.getComponent(PositionComponent).position;
+      const dx = this.boundary.deltaX(position.x, connectedPosition.x);
+      const dy = this.boundary.deltaY(position.y, connectedPosition.y);
+      const length = Math.sqrt(dx * dx + dy * dy);
+      if (length < 1e-6) return;
+      
+      const tangent = new Vector2(dx / length, dy / length);
+      const halfLength = length / 2;
+      this.applyDrag(jointEntity, tangent, halfLength);
+      this.applyDrag(connectedEntity, tangent, halfLength);
+    });
+  }
+  
+  /**
+   * Add the drag on one half of a limb to the force of the joint at its end
+   * @param {Entity} jointEntity - Joint at the end of the limb
+   * @param {Vector2} tangent - Unit vector along the limb
+   * @param {number} length - Length of the limb's half
+   * @private
+   */
+  applyDrag(jointEntity, tangent, length) {
+    const velocity = jointEntity.getComponent(VelocityComponent).velocity;
+    const physics = jointEntity.getComponent(PhysicsComponent);
+    
+    // Split the velocity into its parts along and across the limb
+    const tangentialSpeed = velocity.x * tangent.x + velocity.y * tangent.y;
+    const normalX = velocity.x - tangent.x * tangentialSpeed;
+    const normalY = velocity.y - tangent.y * tangentialSpeed;
+    
+    physics.force = physics.force.add(new Vector2(
+      -(normalX * FLUID_NORMAL_DRAG + tangent.x * tangentialSpeed * FLUID_TANGENTIAL_DRAG) * length,
+      -(normalY * FLUID_NORMAL_DRAG + tangent.y * tangentialSpeed * FLUID_TANGENTIAL_DRAG) * length
+    ));
+  }
+}
+
+export default FluidDragSystem;
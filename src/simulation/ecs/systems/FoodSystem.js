@@ -1,11 +1,11 @@
 // src/simulation/ecs/systems/FoodSystem.js
-import { System } from '../System';
-import { FoodComponent } from '../components/FoodComponent';
-import { JointComponent } from '../components/JointComponent';
-import { OrganismComponent } from '../components/OrganismComponent';
-import { FitnessComponent } from '../components/FitnessComponent';
-import { PositionComponent } from '../components/PositionComponent';
-import { EATING_DISTANCE, FOOD_VALUE } from '../../constants';
+import { System } from '../System.js';
+import { JointComponent } from '../components/JointComponent.js';
+import { OrganismComponent } from '../components/OrganismComponent.js';
+import { FitnessComponent } from '../components/FitnessComponent.js';
+import { PositionComponent } from '../components/PositionComponent.js';
+import { WorldBoundary } from '../../WorldBoundary.js';
+import { EATING_DISTANCE, FOOD_VALUE } from '../../constants.js';
 
 /**
  * System that handles food consumption and tracks fitness
@@ -14,11 +14,17 @@ export class FoodSystem extends System {
   /**
    * Create a new food system
    * @param {World} world - Reference to the world
+   * @param {SpatialHashGrid} foodIndex - Spatial index of food entity positions
+   * @param {WorldBoundary} boundary - Shape of the world, for food reached across a wrapping edge
    */
-  constructor(world) {
+  constructor(world, foodIndex, boundary = new WorldBoundary()) {
     super(world);
+    this.foodIndex = foodIndex;
+    this.boundary = boundary;
     this.foodsEaten = 0;
     this.accumulatedTime = 0; // Track time for survival bonus
+    this.enabled = true; // Off when fitness is measured by distance instead
+    this.organismQuery = world.query(OrganismComponent, FitnessComponent);
   }
 
   /**
@@ -27,19 +33,16 @@ export class FoodSystem extends System {
    * @returns {number} - Number of food items eaten in this update
    */
   update(deltaTime) {
-    this.accumulatedTime += deltaTime;
     this.foodsEaten = 0;
+    if (!this.enabled) return 0;
     
-    // Get all food entities
-    const foodEntities = this.world.getEntitiesWithComponent(FoodComponent);
-    
-    // Get all organism entities
-    const organismEntities = this.world.getEntitiesWithComponent(OrganismComponent);
+    this.accumulatedTime += deltaTime;
     
     // Check for food consumption by each organism
-    const entitiesToRemove = [];
+    const eatenFoodIds = new Set();
+    const nearbyFoodIds = [];
     
-    for (const organismEntity of organismEntities) {
+    for (const organismEntity of this.organismQuery) {
       const organism = organismEntity.getComponent(OrganismComponent);
       const fitness = organismEntity.getComponent(FitnessComponent);
       
@@ -49,37 +52,44 @@ export class FoodSystem extends System {
         this.accumulatedTime = 0;
       }
       
-      for (const foodEntity of foodEntities) {
-        if (entitiesToRemove.includes(foodEntity.id)) continue; // Skip if already marked for removal
+      // Eat any food close to any joint of the organism
+      for (const jointId of organism.jointIds) {
+        const jointEntity = this.world.getEntity(jointId);
+        if (!jointEntity) continue;
         
-        const foodPosition = foodEntity.getComponent(PositionComponent);
+        const jointPosition = jointEntity.getComponent(PositionComponent).position;
+        nearbyFoodIds.length = 0;
+        this.boundary.queryRadius(this.foodIndex, jointPosition.x, jointPosition.y, EATING_DISTANCE, nearbyFoodIds);
         
-        // Check if any joint of the organism is close to the food
-        for (const jointId of organism.jointIds) {
-          const jointEntity = this.world.getEntity(jointId);
-          if (!jointEntity) continue;
-          
-          const jointPosition = jointEntity.getComponent(PositionComponent);
+        for (const foodId of nearbyFoodIds) {
+          if (eatenFoodIds.has(foodId)) continue; // Skip if already eaten this update
           
-          if (jointPosition.position.distanceTo(foodPosition.position) < EATING_DISTANCE) {
-            // Eat the food
-            fitness.fitness += FOOD_VALUE;
-            fitness.foodEaten++;
-            entitiesToRemove.push(foodEntity.id);
-            this.foodsEaten++;
-            break;
-          }
+          fitness.fitness += FOOD_VALUE;
+          fitness.foodEaten++;
+          eatenFoodIds.add(foodId);
+          this.foodsEaten++;
         }
       }
     }
     
-    // Remove eaten food
-    for (const entityId of entitiesToRemove) {
-      this.world.removeEntity(entityId);
+    // Remove eaten food at the next sync point
+    for (const entityId of eatenFoodIds) {
+      this.world.commands.destroyEntity(entityId);
     }
     
     return this.foodsEaten;
   }
+
+  /**
+   * Capture the survival bonus timer and the last update's food count
+   * @returns {Object} - JSON-friendly state
+   */
+  serialize() {
+    return {
+      foodsEaten: this.foodsEaten,
+      accumulatedTime: this.accumulatedTime
+    };
+  }
 }
 
 export default FoodSystem;
\ No newline at end of file
@@ -1,9 +1,11 @@
 // src/simulation/ecs/systems/JointConnectionSystem.js
-import { System } from '../System';
-import { JointComponent } from '../components/JointComponent';
-import { PositionComponent } from '../components/PositionComponent';
-import { PhysicsComponent } from '../components/PhysicsComponent';
-import { Vector2 } from '../utils/Vector2';
+import { System } from '../System.js';
+import { JointComponent } from '../components/JointComponent.js';
+import { PositionComponent } from '../components/PositionComponent.js';
+import { PhysicsComponent } from '../components/PhysicsComponent.js';
+import { Vector2 } from '../utils/Vector2.js';
+import { forEachLimb } from '../utils/limbs.js';
+import { WorldBoundary } from '../../WorldBoundary.js';
 
 /**
  * System that handles connections between joints with simple extend/contract behavior
@@ -12,63 +14,59 @@ export class JointConnectionSystem extends System {
   /**
    * Create a new joint connection system
    * @param {World} world - Reference to the world
+   * @param {WorldBoundary} boundary - Shape of the world, for limbs that cross a wrapping edge
    */
-  constructor(world) {
+  constructor(world, boundary = new WorldBoundary()) {
     super(world);
+    this.boundary = boundary;
+    this.springsEnabled = true; // Off when the physics system solves limbs as constraints
+    this.jointQuery = world.query(JointComponent, PositionComponent, PhysicsComponent);
   }
 
   /**
    * Update joint connections with simple spring forces based on states
+   * Every limb pushes or pulls both of its joints equally, whatever their
+   * up/down state; traction comes from ground friction in PhysicsSystem
    * @param {number} deltaTime - Time elapsed since last update
    */
   update(deltaTime) {
-    // Get all joint entities
-    const jointEntities = this.world.getEntitiesWithComponent(JointComponent);
+    if (!this.springsEnabled) return;
     
-    // Process each joint
-    for (const jointEntity of jointEntities) {
-      const jointComponent = jointEntity.getComponent(JointComponent);
-      
-      // Skip if this joint is anchored (down state)
-      if (jointComponent.isAnchored) continue;
-      
+    // Process each limb
+    forEachLimb(this.world, this.jointQuery, (jointEntity, connectedEntity, jointComponent) => {
       const jointPosition = jointEntity.getComponent(PositionComponent);
       const jointPhysics = jointEntity.getComponent(PhysicsComponent);
+      const connectedPosition = connectedEntity.getComponent(PositionComponent);
+      const connectedPhysics = connectedEntity.hasComponent(PhysicsComponent) ? 
+                            connectedEntity.getComponent(PhysicsComponent) : null;
+      
+      // Get the current rest length for this connection
+      // This changes based on whether the limb is extending or contracting
+      const restLength = jointComponent.restLengths.get(connectedEntity.id) || 
+                       jointComponent.defaultRestLength;
+      
+      // Calculate spring force direction
+      const direction = new Vector2(
+        this.boundary.deltaX(jointPosition.position.x, connectedPosition.position.x),
+        this.boundary.deltaY(jointPosition.position.y, connectedPosition.position.y)
+      );
+      const distance = Math.max(0.1, Math.sqrt(direction.x * direction.x + direction.y * direction.y));
+      
+      // Calculate spring force magnitude (F = k * Δx)
+      // Limbs carry their own stiffness from the genes; the joint's is the fallback
+      const stiffness = jointComponent.limbStiffness.get(connectedEntity.id) || jointPhysics.stiffness;
+      const stretch = distance - restLength;
+      const forceMagnitude = stretch * stiffness;
+      
+      // Apply spring force in the direction of the connection
+      const springForce = direction.normalize().multiply(forceMagnitude);
+      jointPhysics.force = jointPhysics.force.add(springForce);
       
-      // Process each connection (limb)
-      for (const connectedJointId of jointComponent.connections) {
-        const connectedEntity = this.world.getEntity(connectedJointId);
-        if (!connectedEntity) continue;
-        
-        const connectedPosition = connectedEntity.getComponent(PositionComponent);
-        const connectedPhysics = connectedEntity.hasComponent(PhysicsComponent) ? 
-                              connectedEntity.getComponent(PhysicsComponent) : null;
-                              
-        const connectedJoint = connectedEntity.getComponent(JointComponent);
-        
-        // Get the current rest length for this connection
-        // This changes based on whether the limb is extending or contracting
-        const restLength = jointComponent.restLengths.get(connectedJointId) || 
-                         jointComponent.defaultRestLength;
-        
-        // Calculate spring force direction
-        const direction = connectedPosition.position.subtract(jointPosition.position);
-        const distance = Math.max(0.1, jointPosition.position.distanceTo(connectedPosition.position));
-        
-        // Calculate spring force magnitude (F = k * Δx)
-        const stretch = distance - restLength;
-        const forceMagnitude = stretch * jointPhysics.stiffness;
-        
-        // Apply spring force in the direction of the connection
-        const springForce = direction.normalize().multiply(forceMagnitude);
-        jointPhysics.force = jointPhysics.force.add(springForce);
-        
-        // Apply equal and opposite force to connected joint (Newton's 3rd law)
-        if (connectedPhysics && !connectedJoint.isAnchored) {
-          connectedPhysics.force = connectedPhysics.force.add(springForce.multiply(-1));
-        }
+      // Apply equal and opposite force to connected joint (Newton's 3rd law)
+      if (connectedPhysics) {
+        connectedPhysics.force = connectedPhysics.force.add(springForce.multiply(-1));
       }
-    }
+    });
   }
 }
 
@@ -0,0 +1,96 @@
+// src/simulation/ecs/systems/LimbStrainSystem.js
+import { System } from '../System.js';
+import { JointComponent } from '../components/JointComponent.js';
+import { PositionComponent } from '../components/PositionComponent.js';
+import { FitnessComponent } from '../components/FitnessComponent.js';
+import { forEachLimb } from '../utils/limbs.js';
+import { WorldBoundary } from '../../WorldBoundary.js';
+import {
+  LIMB_DAMAGE_STRAIN,
+  LIMB_MAX_STRAIN,
+  LIMB_BREAK_DAMAGE,
+  BROKEN_LIMB_PENALTY
+} from '../../constants.js';
+
+/**
+ * System that breaks limbs strained past their limits
+ * A limb's strain is how far its length is from its rest length, relative to
+ * the rest length. Above LIMB_DAMAGE_STRAIN a limb takes damage for the excess
+ * strain every second, and it breaks once the damage reaches LIMB_BREAK_DAMAGE
+ * or its strain reaches LIMB_MAX_STRAIN. A broken limb is removed from both
+ * joints and costs its organism BROKEN_LIMB_PENALTY fitness, so evolution
+ * favors bodies that do not tear themselves apart.
+ *
+ * The pieces of a broken body stay one organism
+ */
+export class LimbStrainSystem extends System {
+  /**
+   * Create a new limb strain system
+   * @param {World} world - Reference to the world
+   * @param {WorldBoundary} boundary - Shape of the world, for limbs that cross a wrapping edge
+   */
+  constructor(world, boundary = new WorldBoundary()) {
+    super(world);
+    this.boundary = boundary;
+    this.enabled = false;
+    this.jointQuery = world.query(JointComponent, PositionComponent);
+  }
+  
+  /**
+   * Damage overstrained limbs and break the ones past their limits
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  update(deltaTime) {
+    if (!this.enabled) return;
+    
+    const brokenLimbs = [];
+    forEachLimb(this.world, this.jointQuery, (jointEntity, connectedEntity, joint) => {
+      const position = jointEntity.getComponent(PositionComponent).position;
+      const connectedPosition = connectedEntity.getComponent(PositionComponent).position;
+      const length = Math.sqrt(
+        this.boundary.deltaX(position.x, connectedPosition.x) ** 2 +
+        this.boundary.deltaY(position.y, connectedPosition.y) ** 2
+      );
+      const restLength = joint.restLengths.get(connectedEntity.id) || joint.defaultRestLength;
+      const strain = Math.abs(length - restLength) / restLength;
+      if (strain <= LIMB_DAMAGE_STRAIN) return;
+      
+      const damage = (joint.limbDamage.get(connectedEntity.id) || 0) + (strain - LIMB_DAMAGE_STRAIN) * deltaTime;
+      if (damage >= LIMB_BREAK_DAMAGE || strain >= LIMB_MAX_STRAIN) {
+        brokenLimbs.push([jointEntity, connectedEntity]);
+      } else {
+        joint.limbDamage.set(connectedEntity.id, damage);
+        connectedEntity.getComponent(JointComponent).limbDamage.set(jointEntity.id, damage);
+      }
+    });
+    
+    // Break limbs after the scan, so no connection list changes while it is read
+    for (const [jointEntity, connectedEntity] of brokenLimbs) {
+      this.breakLimb(jointEntity, connectedEntity);
+    }
+  }
+  
+  /**
+   * Remove a limb from both of its joints and penalize its organism
+   * @param {Entity} jointEntity - Joint at one end of the limb
+   * @param {Entity} connectedEntity - Joint at the other end
+   * @private
+   */
+  breakLimb(jointEntity, connectedEntity) {
+    const joint = jointEntity.getComponent(JointComponent);
+    if (!joint.connections.includes(connectedEntity.id)) return; // Listed twice and already broken
+    
+    joint.removeLimb(connectedEntity.id);
+    connectedEntity.getComponent(JointComponent).removeLimb(jointEntity.id);
+    
+    const organismEntity = this.world.getEntity(joint.organismId);
+    if (!organismEntity || !organismEntity.hasComponent(FitnessComponent)) return;
+    
+    const fitness = organismEntity.getComponent(FitnessComponent);
+    fitness.brokenLimbs++;
+    fitness.penalty += BROKEN_LIMB_PENALTY;
+    fitness.fitness -= BROKEN_LIMB_PENALTY;
+  }
+}
+
+export default LimbStrainSystem;
@@ -0,0 +1,91 @@
+// src/simulation/ecs/systems/ObstacleSystem.js
+import { System } from '../System.js';
+import { ObstacleComponent } from '../components/ObstacleComponent.js';
+import { JointComponent } from '../components/JointComponent.js';
+import { PositionComponent } from '../components/PositionComponent.js';
+import { VelocityComponent } from '../components/VelocityComponent.js';
+import { getObstacleBoundingRadius, getObstacleContact } from '../utils/obstacleGeometry.js';
+import { WorldBoundary } from '../../WorldBoundary.js';
+import { OBSTACLE_RESTITUTION } from '../../constants.js';
+
+const JOINT_SEARCH_MARGIN = 20; // Covers joint radii plus movement since the joint index was refreshed
+
+/**
+ * System that keeps joints out of static obstacles
+ * Obstacles are few and large, so each one looks up the joints near it in the
+ * joint spatial index. A joint found overlapping an obstacle is pushed out
+ * along the surface normal and loses the velocity it had into the surface,
+ * apart from a small bounce.
+ */
+export class ObstacleSystem extends System {
+  /**
+   * Create a new obstacle system
+   * @param {World} world - Reference to the world
+   * @param {SpatialHashGrid} jointIndex - Spatial index of joint positions
+   * @param {WorldBoundary} boundary - Shape of the world, for joints touching across a wrapping edge
+   */
+  constructor(world, jointIndex, boundary = new WorldBoundary()) {
+    super(world);
+    this.jointIndex = jointIndex;
+    this.boundary = boundary;
+    this.obstacleQuery = world.query(ObstacleComponent, PositionComponent);
+  }
+  
+  /**
+   * Push joints out of every obstacle they overlap
+   */
+  update() {
+    if (this.obstacleQuery.size === 0) return;
+    
+    const nearbyIds = [];
+    for (const obstacleEntity of this.obstacleQuery) {
+      const obstacle = obstacleEntity.getComponent(ObstacleComponent);
+      const position = obstacleEntity.getComponent(PositionComponent).position;
+      
+      // Joints may have moved a little since the index was refreshed, so search generously
+      const searchRadius = getObstacleBoundingRadius(obstacle) + JOINT_SEARCH_MARGIN;
+      nearbyIds.length = 0;
+      this.boundary.queryRadius(this.jointIndex, position.x, position.y, searchRadius, nearbyIds);
+      
+      for (const jointId of nearbyIds) {
+        const jointEntity = this.world.getEntity(jointId);
+        if (jointEntity) {
+          this.resolveJoint(obstacle, position, jointEntity);
+        }
+      }
+    }
+  }
+  
+  /**
+   * Push one joint out of an obstacle if they overlap
+   * @param {ObstacleComponent} obstacle - The obstacle
+   * @param {Vector2} obstaclePosition - Position the obstacle's shape is relative to
+   * @param {Entity} jointEntity - The joint
+   * @private
+   */
+  resolveJoint(obstacle, obstaclePosition, jointEntity) {
+    const radius = jointEntity.getComponent(JointComponent).radius;
+    const position = jointEntity.getComponent(PositionComponent).position;
+    const contact = getObstacleContact(
+      obstacle,
+      this.boundary.deltaX(obstaclePosition.x, position.x),
+      this.boundary.deltaY(obstaclePosition.y, position.y)
+    );
+    
+    const penetration = radius - contact.distance;
+    if (penetration <= 0) return;
+    
+    position.x += contact.normalX * penetration;
+    position.y += contact.normalY * penetration;
+    
+    // Only velocity into the surface is reflected; sliding along it is kept
+    const velocity = jointEntity.getComponent(VelocityComponent).velocity;
+    const normalSpeed = velocity.x * contact.normalX + velocity.y * contact.normalY;
+    if (normalSpeed < 0) {
+      velocity.x -= (1 + OBSTACLE_RESTITUTION) * normalSpeed * contact.normalX;
+      velocity.y -= (1 + OBSTACLE_RESTITUTION) * normalSpeed * contact.normalY;
+    }
+  }
+}
+
+export default ObstacleSystem;
@@ -1,100 +1,503 @@
 // src/simulation/ecs/systems/PhysicsSystem.js
-import { System } from '../System';
-import { PositionComponent } from '../components/PositionComponent';
-import { VelocityComponent } from '../components/VelocityComponent';
-import { PhysicsComponent } from '../components/PhysicsComponent';
-import { JointComponent } from '../components/JointComponent';
-import { Vector2 } from '../utils/Vector2';
-import { CANVAS_WIDTH, CANVAS_HEIGHT } from '../../constants';
+import { System } from '../System.js';
+import { PositionComponent } from '../components/PositionComponent.js';
+import { VelocityComponent } from '../components/VelocityComponent.js';
+import { PhysicsComponent } from '../components/PhysicsComponent.js';
+import { JointComponent } from '../components/JointComponent.js';
+import { GroundComponent } from '../components/GroundComponent.js';
+import { Vector2 } from '../utils/Vector2.js';
+import { getGroundHeight } from '../utils/obstacleGeometry.js';
+import { forEachLimb } from '../utils/limbs.js';
+import { WorldBoundary } from '../../WorldBoundary.js';
+import {
+  INTEGRATOR_EULER,
+  INTEGRATOR_VERLET,
+  DEFAULT_INTEGRATOR,
+  DEFAULT_PHYSICS_SUBSTEPS,
+  DEFAULT_CONSTRAINT_ITERATIONS,
+  DAMPING_TIME_STEP,
+  MAX_LIMB_SPEED,
+  GROUND_NORMAL_ACCELERATION,
+  DOWN_STATIC_FRICTION,
+  DOWN_KINETIC_FRICTION,
+  UP_STATIC_FRICTION,
+  UP_KINETIC_FRICTION,
+  GROUND_CONTACT_TOLERANCE,
+  JOINT_STIFFNESS
+} from '../../constants.js';
+
+const BOUNCE_RESTITUTION = 0.8; // Fraction of speed kept when bouncing off a wall
 
 /**
  * System that handles physics calculations and movement
  * Simplified to deterministic physics without randomness
+ *
+ * Joints rub on the ground with Coulomb friction: down joints grip hard and
+ * up joints slide easily, so organisms move by traction rather than pinning
+ *
+ * In a side-view world (one with a GroundComponent) bodies fall under gravity
+ * and rest on the ground line instead. Friction then only acts on joints that
+ * touch the ground, along it: down joints become planted feet, up joints
+ * lifted or sliding ones
+ *
+ * In a fluid there is no ground to rub on: ground friction is turned off and
+ * FluidDragSystem adds the fluid's drag to the forces instead
+ *
+ * Two integrators are available:
+ * - 'euler': explicit Euler on accumulated forces; limbs are springs applied
+ *   by JointConnectionSystem
+ * - 'verlet': position-based Verlet with substeps; limbs are distance
+ *   constraints solved here, so JointConnectionSystem's springs are skipped.
+ *   Limbs at least as stiff as JOINT_STIFFNESS are rigid, softer ones give
+ *
+ * Bodies bounce off the walls of a walled world and are wrapped back into the
+ * area of a wrapping one; limb lengths use the boundary's nearest-image offsets
  */
 export class PhysicsSystem extends System {
   /**
    * Create a new physics system
    * @param {World} world - Reference to the world
+   * @param {WorldBoundary} boundary - Shape of the world
    */
-  constructor(world) {
+  constructor(world, boundary = new WorldBoundary()) {
     super(world);
+    this.boundary = boundary;
+    this.integrator = DEFAULT_INTEGRATOR;
+    this.substeps = DEFAULT_PHYSICS_SUBSTEPS;
+    this.constraintIterations = DEFAULT_CONSTRAINT_ITERATIONS;
+    this.gravity = new Vector2(0, 0);
+    this.groundFriction = true;
+    this.bodyQuery = world.query(PositionComponent, VelocityComponent, PhysicsComponent);
+    this.groundQuery = world.query(GroundComponent);
   }
 
   /**
-   * Update physics with deterministic movement based on forces
+   * Choose the integration method
+   * @param {Object} settings - Physics settings
+   * @param {string} settings.integrator - 'euler' or 'verlet'
+   * @param {number} settings.substeps - Verlet substeps per update
+   * @param {number} settings.constraintIterations - Verlet constraint passes per substep
+   * @param {Vector2} settings.gravity - Acceleration applied to every body
+   * @param {boolean} settings.groundFriction - Whether joints rub on the ground
+   */
+  configure({ integrator, substeps, constraintIterations, gravity = new Vector2(0, 0), groundFriction = true }) {
+    if (integrator !== INTEGRATOR_EULER && integrator !== INTEGRATOR_VERLET) {
+      throw new Error(`Unknown integrator: ${integrator}`);
+    }
+    
+    this.integrator = integrator;
+    this.substeps = Math.max(1, Math.floor(substeps));
+    this.constraintIterations = Math.max(1, Math.floor(constraintIterations));
+    this.gravity = gravity;
+    this.groundFriction = groundFriction;
+  }
+
+  /**
+   * Advance every body with the configured integrator
    * @param {number} deltaTime - Time elapsed since last update
    */
   update(deltaTime) {
-    // Get entities with position, velocity, and physics components
-    const entities = this.world.entities.values();
-    
-    for (const entity of entities) {
-      if (
-        entity.hasComponent(PositionComponent) &&
-        entity.hasComponent(VelocityComponent) &&
-        entity.hasComponent(PhysicsComponent)
-      ) {
-        const position = entity.getComponent(PositionComponent);
-        const velocity = entity.getComponent(VelocityComponent);
-        const physics = entity.getComponent(PhysicsComponent);
+    if (this.integrator === INTEGRATOR_VERLET) {
+      this.updateVerlet(deltaTime);
+    } else {
+      this.updateEuler(deltaTime);
+    }
+  }
+
+  /**
+   * Update physics with deterministic movement based on forces
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  updateEuler(deltaTime) {
+    const ground = this.getGround();
+    
+    for (const entity of this.bodyQuery) {
+      const position = entity.getComponent(PositionComponent);
+      const velocity = entity.getComponent(VelocityComponent);
+      const physics = entity.getComponent(PhysicsComponent);
+      
+      // Calculate acceleration (F = ma)
+      const acceleration = physics.force.multiply(1 / physics.mass).add(this.gravity);
+      
+      // Update velocity with acceleration
+      velocity.velocity = velocity.velocity.add(acceleration.multiply(deltaTime));
+      
+      // Ground friction removes up to its share of the velocity, or all of it when gripping
+      // (with a ground line, friction is applied on contact instead)
+      const friction = ground ? null : this.getFriction(entity);
+      if (friction) {
+        const speed = Math.sqrt(velocity.velocity.x ** 2 + velocity.velocity.y ** 2);
+        const newSpeed = this.applyFriction(speed, friction, deltaTime);
+        velocity.velocity = speed > 0 ? velocity.velocity.multiply(newSpeed / speed) : velocity.velocity;
+      }
+      
+      // Apply damping (friction)
+      velocity.velocity = velocity.velocity.multiply(physics.damping);
+      
+      // Apply velocity limit to prevent extreme stretching
+      const maxVelocity = 30.0;
+      const currentSpeed = Math.sqrt(
+        velocity.velocity.x * velocity.velocity.x + 
+        velocity.velocity.y * velocity.velocity.y
+      );
+      
+      if (currentSpeed > maxVelocity) {
+        const scale = maxVelocity / currentSpeed;
+        velocity.velocity = velocity.velocity.multiply(scale);
+      }
+      
+      // Update position with velocity
+      position.position = position.position.add(velocity.velocity.multiply(deltaTime));
+      
+      if (ground) {
+        this.applyGroundContact(entity, position.position, velocity.velocity, ground, deltaTime);
+      }
+      
+      // Check for boundary collisions
+      if (this.boundary.hasWalls) {
+        const { minX, maxX, minY, maxY } = this.boundary;
         
-        // Skip if entity is joint that is anchored (down state)
-        if (entity.hasComponent(JointComponent) && entity.getComponent(JointComponent).isAnchored) {
-          velocity.velocity = new Vector2(0, 0);
-          physics.force = new Vector2(0, 0);
-          continue;
+        // Simple boundary collision handling
+        if (position.position.x < minX) {
+          position.position.x = minX;
+          velocity.velocity.x *= -BOUNCE_RESTITUTION; // Lose some energy on bounce
         }
-        
-        // Calculate acceleration (F = ma)
-        const acceleration = physics.force.multiply(1 / physics.mass);
-        
-        // Update velocity with acceleration
-        velocity.velocity = velocity.velocity.add(acceleration.multiply(deltaTime));
-        
-        // Apply damping (friction)
-        velocity.velocity = velocity.velocity.multiply(physics.damping);
-        
-        // Apply velocity limit to prevent extreme stretching
-        const maxVelocity = 30.0;
-        const currentSpeed = Math.sqrt(
-          velocity.velocity.x * velocity.velocity.x + 
-          velocity.velocity.y * velocity.velocity.y
-        );
-        
-        if (currentSpeed > maxVelocity) {
-          const scale = maxVelocity / currentSpeed;
-          velocity.velocity = velocity.velocity.multiply(scale);
+        else if (position.position.x > maxX) {
+          position.position.x = maxX;
+          velocity.velocity.x *= -BOUNCE_RESTITUTION;
         }
         
-        // Update position with velocity
-        position.position = position.position.add(velocity.velocity.multiply(deltaTime));
-        
-        // Check for boundary collisions
-        const padding = 10;
-        
-        // Simple boundary collision handling
-        if (position.position.x < padding) {
-          position.position.x = padding;
-          velocity.velocity.x *= -0.8; // Lose some energy on bounce
+        if (position.position.y < minY) {
+          position.position.y = minY;
+          velocity.velocity.y *= -BOUNCE_RESTITUTION;
         }
-        else if (position.position.x > CANVAS_WIDTH - padding) {
-          position.position.x = CANVAS_WIDTH - padding;
-          velocity.velocity.x *= -0.8;
+        else if (position.position.y > maxY) {
+          position.position.y = maxY;
+          velocity.velocity.y *= -BOUNCE_RESTITUTION;
         }
-        
-        if (position.position.y < padding) {
-          position.position.y = padding;
-          velocity.velocity.y *= -0.8;
+      }
+      this.boundary.wrapPosition(position.position);
+      
+      // Reset force for next update
+      physics.force = new Vector2(0, 0);
+    }
+  }
+
+  /**
+   * Get the ground line of a side-view world
+   * @returns {number[]|null} - Flat x, y pairs of the ground, or null in a top-down world
+   * @private
+   */
+  getGround() {
+    for (const entity of this.groundQuery) {
+      return entity.getComponent(GroundComponent).points;
+    }
+    return null;
+  }
+
+  /**
+   * Get the radius a body rests on the ground with
+   * @param {Entity} entity - The body
+   * @returns {number} - Joint radius, or 0 for other bodies
+   * @private
+   */
+  getContactRadius(entity) {
+    return entity.hasComponent(JointComponent) ? entity.getComponent(JointComponent).radius : 0;
+  }
+
+  /**
+   * Keep an Euler body on or above the ground line
+   * A body touching the ground loses its downward speed, and friction acts on
+   * its horizontal speed
+   * @param {Entity} entity - The body
+   * @param {Vector2} position - Position of the body, changed in place
+   * @param {Vector2} velocity - Velocity of the body, changed in place
+   * @param {number[]} ground - Ground line from getGround
+   * @param {number} deltaTime - Time elapsed since last update
+   * @private
+   */
+  applyGroundContact(entity, position, velocity, ground, deltaTime) {
+    const floor = getGroundHeight(ground, position.x) - this.getContactRadius(entity);
+    if (position.y < floor - GROUND_CONTACT_TOLERANCE) return;
+    
+    position.y = Math.min(position.y, floor);
+    velocity.y = Math.min(velocity.y, 0);
+    
+    const friction = this.getFriction(entity);
+    if (friction) {
+      const speed = Math.abs(velocity.x);
+      velocity.x = Math.sign(velocity.x) * this.applyFriction(speed, friction, deltaTime);
+    }
+  }
+
+  /**
+   * Get the ground friction coefficients of a body
+   * @param {Entity} entity - The body
+   * @returns {{staticFriction: number, kineticFriction: number}|null} - Coefficients, or null for bodies off the ground
+   */
+  getFriction(entity) {
+    if (!this.groundFriction || !entity.hasComponent(JointComponent)) return null;
+    
+    // Down joints press into the ground and grip; up joints barely touch it
+    return entity.getComponent(JointComponent).isAnchored
+      ? { staticFriction: DOWN_STATIC_FRICTION, kineticFriction: DOWN_KINETIC_FRICTION }
+      : { staticFriction: UP_STATIC_FRICTION, kineticFriction: UP_KINETIC_FRICTION };
+  }
+
+  /**
+   * Apply Coulomb friction to a speed over one time step
+   * A body stays put if static friction can cancel its whole speed change;
+   * otherwise kinetic friction slows it, never past zero
+   * @param {number} speed - Speed after the other forces were applied
+   * @param {Object} friction - Coefficients from getFriction
+   * @param {number} stepTime - Duration of the time step
+   * @returns {number} - Remaining speed
+   */
+  applyFriction(speed, friction, stepTime) {
+    const staticLimit = friction.staticFriction * GROUND_NORMAL_ACCELERATION * stepTime;
+    if (speed <= staticLimit) return 0;
+    
+    const kineticLoss = friction.kineticFriction * GROUND_NORMAL_ACCELERATION * stepTime;
+    return Math.max(0, speed - kineticLoss);
+  }
+
+  /**
+   * Update physics with position-based Verlet integration
+   * The previous position is reconstructed from the stored velocity, so the
+   * state stays just position and velocity for both integrators
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  updateVerlet(deltaTime) {
+    const stepTime = deltaTime / this.substeps;
+    const ground = this.getGround();
+    const bodies = this.collectBodies(stepTime);
+    const constraints = this.collectConstraints(bodies, deltaTime);
+    
+    for (let substep = 0; substep < this.substeps; substep++) {
+      for (const body of bodies) {
+        this.integrateBody(body, stepTime);
+      }
+      
+      for (let iteration = 0; iteration < this.constraintIterations; iteration++) {
+        for (const constraint of constraints) {
+          this.solveConstraint(constraint);
         }
-        else if (position.position.y > CANVAS_HEIGHT - padding) {
-          position.position.y = CANVAS_HEIGHT - padding;
-          velocity.velocity.y *= -0.8;
+      }
+      
+      for (const body of bodies) {
+        if (ground) {
+          this.applyVerletGroundContact(body, ground, stepTime);
+        } else {
+          this.applyVerletFriction(body, stepTime);
+        }
+        if (this.boundary.hasWalls) {
+          this.keepInBounds(body);
         }
-        
-        // Reset force for next update
-        physics.force = new Vector2(0, 0);
       }
     }
+    
+    // Write the implied velocities back and clear forces for the next update
+    // Wrapping waits until now, so positions stay continuous across substeps
+    for (const body of bodies) {
+      const velocity = body.velocity.velocity;
+      velocity.x = (body.position.x - body.previousX) / stepTime;
+      velocity.y = (body.position.y - body.previousY) / stepTime;
+      body.physics.force = new Vector2(0, 0);
+      this.boundary.wrapPosition(body.position);
+    }
+  }
+
+  /**
+   * Gather the per-update integration state of every body
+   * @param {number} stepTime - Duration of one substep
+   * @returns {Object[]} - Bodies with position, previous position and mass data
+   * @private
+   */
+  collectBodies(stepTime) {
+    const bodies = [];
+    
+    for (const entity of this.bodyQuery) {
+      const position = entity.getComponent(PositionComponent).position;
+      const velocity = entity.getComponent(VelocityComponent);
+      const physics = entity.getComponent(PhysicsComponent);
+      
+      bodies.push({
+        entity,
+        position,
+        velocity,
+        physics,
+        previousX: position.x - velocity.velocity.x * stepTime,
+        previousY: position.y - velocity.velocity.y * stepTime,
+        inverseMass: 1 / physics.mass,
+        radius: this.getContactRadius(entity),
+        friction: this.getFriction(entity),
+        // Damping is defined per DAMPING_TIME_STEP, so it does not depend on the substep count
+        retention: Math.pow(physics.damping, stepTime / DAMPING_TIME_STEP)
+      });
+    }
+    
+    return bodies;
+  }
+
+  /**
+   * Build one distance constraint per limb
+   * A rigid constraint would snap a limb to a new rest length within one
+   * substep, so the target length may only move MAX_LIMB_SPEED per second away
+   * from the limb's current length
+   * @param {Object[]} bodies - Bodies from collectBodies
+   * @param {number} deltaTime - Time elapsed since last update
+   * @returns {Object[]} - Constraints between pairs of bodies
+   * @private
+   */
+  collectConstraints(bodies, deltaTime) {
+    const maxChange = MAX_LIMB_SPEED * deltaTime;
+    const bodiesById = new Map();
+    for (const body of bodies) {
+      bodiesById.set(body.entity.id, body);
+    }
+    
+    const constraints = [];
+    forEachLimb(this.world, bodies.map(body => body.entity), (jointEntity, connectedEntity, joint) => {
+      const body = bodiesById.get(jointEntity.id);
+      const connectedBody = bodiesById.get(connectedEntity.id);
+      if (!connectedBody) return;
+      
+      const restLength = joint.restLengths.get(connectedEntity.id) || joint.defaultRestLength;
+      const length = Math.sqrt(
+        this.boundary.deltaX(body.position.x, connectedBody.position.x) ** 2 +
+        this.boundary.deltaY(body.position.y, connectedBody.position.y) ** 2
+      );
+      
+      const stiffness = joint.limbStiffness.get(connectedEntity.id) || body.physics.stiffness;
+      constraints.push({
+        a: body,
+        b: connectedBody,
+        restLength: Math.max(length - maxChange, Math.min(length + maxChange, restLength)),
+        strength: Math.min(1, stiffness / JOINT_STIFFNESS) // Share of the error corrected per pass
+      });
+    });
+    
+    return constraints;
+  }
+
+  /**
+   * Move a body by its implied velocity plus the acceleration from accumulated forces
+   * @param {Object} body - Body from collectBodies
+   * @param {number} stepTime - Duration of one substep
+   * @private
+   */
+  integrateBody(body, stepTime) {
+    const { position, physics } = body;
+    const stepTimeSquared = stepTime * stepTime;
+    const currentX = position.x;
+    const currentY = position.y;
+    
+    const accelerationX = physics.force.x * body.inverseMass + this.gravity.x;
+    const accelerationY = physics.force.y * body.inverseMass + this.gravity.y;
+    
+    position.x += (currentX - body.previousX) * body.retention + accelerationX * stepTimeSquared;
+    position.y += (currentY - body.previousY) * body.retention + accelerationY * stepTimeSquared;
+    body.previousX = currentX;
+    body.previousY = currentY;
+    body.substepStartX = currentX;
+    body.substepStartY = currentY;
+  }
+
+  /**
+   * Apply ground friction to a body's movement over one substep
+   * Runs after the constraints, so friction acts on the limbs' pull as well
+   * @param {Object} body - Body from collectBodies
+   * @param {number} stepTime - Duration of one substep
+   * @private
+   */
+  applyVerletFriction(body, stepTime) {
+    if (!body.friction) return;
+    
+    const { position } = body;
+    const dx = position.x - body.substepStartX;
+    const dy = position.y - body.substepStartY;
+    const speed = Math.sqrt(dx * dx + dy * dy) / stepTime;
+    if (speed === 0) return;
+    
+    const scale = this.applyFriction(speed, body.friction, stepTime) / speed;
+    position.x = body.substepStartX + dx * scale;
+    position.y = body.substepStartY + dy * scale;
+  }
+
+  /**
+   * Keep a Verlet body on or above the ground line over one substep
+   * A body touching the ground loses its downward movement, and friction acts
+   * on its horizontal movement
+   * @param {Object} body - Body from collectBodies
+   * @param {number[]} ground - Ground line from getGround
+   * @param {number} stepTime - Duration of one substep
+   * @private
+   */
+  applyVerletGroundContact(body, ground, stepTime) {
+    const { position } = body;
+    const floor = getGroundHeight(ground, position.x) - body.radius;
+    if (position.y < floor - GROUND_CONTACT_TOLERANCE) return;
+    
+    if (position.y > floor) {
+      position.y = floor;
+    }
+    if (position.y > body.previousY) {
+      body.previousY = position.y;
+    }
+    
+    if (!body.friction) return;
+    
+    const dx = position.x - body.substepStartX;
+    const speed = Math.abs(dx) / stepTime;
+    if (speed === 0) return;
+    
+    position.x = body.substepStartX + dx * this.applyFriction(speed, body.friction, stepTime) / speed;
+  }
+
+  /**
+   * Move two bodies so their distance matches the limb's rest length
+   * The correction is shared in proportion to each body's inverse mass, and
+   * soft limbs only correct part of the error
+   * @param {Object} constraint - Constraint from collectConstraints
+   * @private
+   */
+  solveConstraint({ a, b, restLength, strength }) {
+    const totalInverseMass = a.inverseMass + b.inverseMass;
+    if (totalInverseMass === 0) return;
+    
+    const dx = this.boundary.deltaX(a.position.x, b.position.x);
+    const dy = this.boundary.deltaY(a.position.y, b.position.y);
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    if (distance < 1e-6) return;
+    
+    const correction = (distance - restLength) * strength / (distance * totalInverseMass);
+    a.position.x += dx * correction * a.inverseMass;
+    a.position.y += dy * correction * a.inverseMass;
+    b.position.x -= dx * correction * b.inverseMass;
+    b.position.y -= dy * correction * b.inverseMass;
+  }
+
+  /**
+   * Keep a body inside the walls, bouncing it off them
+   * A bounce rewrites the previous position so the implied velocity is reflected
+   * @param {Object} body - Body from collectBodies
+   * @private
+   */
+  keepInBounds(body) {
+    const { position } = body;
+    const { minX, maxX, minY, maxY } = this.boundary;
+    
+    if (position.x < minX || position.x > maxX) {
+      const velocityX = position.x - body.previousX;
+      position.x = Math.max(minX, Math.min(maxX, position.x));
+      body.previousX = position.x + velocityX * BOUNCE_RESTITUTION;
+    }
+    
+    if (position.y < minY || position.y > maxY) {
+      const velocityY = position.y - body.previousY;
+      position.y = Math.max(minY, Math.min(maxY, position.y));
+      body.previousY = position.y + velocityY * BOUNCE_RESTITUTION;
+    }
   }
 }
 
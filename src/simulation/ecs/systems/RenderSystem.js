@@ -1,122 +1,310 @@
 // src/simulation/ecs/systems/RenderSystem.js
-import { System } from '../System';
-import { RenderComponent } from '../components/RenderComponent';
-import { PositionComponent } from '../components/PositionComponent';
-import { JointComponent } from '../components/JointComponent';
-import { OrganismComponent } from '../components/OrganismComponent';
-import { FitnessComponent } from '../components/FitnessComponent';
-import { FoodComponent } from '../components/FoodComponent';
+import { System } from '../System.js';
+import { createRenderSnapshot, ORGANISM_STRIDE } from '../../RenderSnapshot.js';
+import { BOUNDARY_WRAP, BOUNDARY_OPEN, OBSTACLE_WALL, OBSTACLE_CIRCLE } from '../../constants.js';
+
+const CAMERA_EASING = 0.1; // Fraction of the way the open-world camera moves toward its target per frame
+const GRID_SPACING = 100;  // Distance between the open-world background grid lines
+const LABEL_MARGIN = 25;   // Room kept around an organism for its text labels
+const GROUND_EXTENT = 100000; // How far the ground is drawn past its end points, which it stays level beyond
 
 /**
  * System that handles rendering entities on the canvas
+ * Everything is drawn from a render snapshot, so the same system can draw a
+ * local world or snapshots posted from a simulation Worker
+ *
+ * Organisms straddling the edge of a wrapping world are drawn on both sides;
+ * an open world is drawn through a camera that follows the population
  */
 export class RenderSystem extends System {
   /**
    * Create a new render system
-   * @param {World} world - Reference to the world
+   * @param {World|null} world - World to render, or null when only drawing snapshots
    * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   * @param {WorldBoundary} boundary - Shape of the local world, if there is one
    */
-  constructor(world, ctx) {
+  constructor(world, ctx, boundary = null) {
     super(world);
     this.ctx = ctx;
+    this.boundary = boundary;
+    this.camera = null; // Open-world view center, or null until the first open-world frame
   }
-
+  
   /**
-   * Render all entities on the canvas
+   * Render all entities of the world on the canvas
    * @param {number} deltaTime - Time elapsed since last update
    */
   update(deltaTime) {
+    if (!this.world) return;
+    
+    this.draw(createRenderSnapshot(this.world, this.boundary));
+  }
+  
+  /**
+   * Draw a render snapshot on the canvas
+   * @param {Object} snapshot - Snapshot created by createRenderSnapshot
+   */
+  draw(snapshot) {
     if (!this.ctx) return;
     
+    const { organisms } = snapshot;
+    const mode = snapshot.boundary ? snapshot.boundary.mode : null;
+    
     // Clear canvas
     this.ctx.fillStyle = '#000033';
     this.ctx.fillRect(0, 0, this.ctx.canvas.width, this.ctx.canvas.height);
     
+    this.ctx.save();
+    if (mode === BOUNDARY_OPEN) {
+      this.updateCamera(snapshot);
+      this.ctx.translate(
+        this.ctx.canvas.width / 2 - this.camera.x,
+        this.ctx.canvas.height / 2 - this.camera.y
+      );
+      this.drawGrid();
+    } else {
+      this.camera = null;
+    }
+    
+    if (snapshot.ground) {
+      this.drawGround(snapshot.ground);
+    }
+    this.drawObstacles(snapshot.obstacles);
+    
     // Draw food
-    const foodEntities = this.world.getEntitiesWithComponent(FoodComponent);
-    for (const foodEntity of foodEntities) {
-      const position = foodEntity.getComponent(PositionComponent);
-      const render = foodEntity.getComponent(RenderComponent);
-      
+    this.ctx.fillStyle = snapshot.foodColor;
+    for (let f = 0; f < snapshot.foodRadii.length; f++) {
       this.ctx.beginPath();
-      this.ctx.arc(position.position.x, position.position.y, render.radius, 0, Math.PI * 2);
-      this.ctx.fillStyle = render.color;
+      this.ctx.arc(snapshot.foodPositions[f * 2], snapshot.foodPositions[f * 2 + 1], snapshot.foodRadii[f], 0, Math.PI * 2);
       this.ctx.fill();
       this.ctx.closePath();
     }
     
-    // Draw organisms and joints
-    const organismEntities = this.world.getEntitiesWithComponent(OrganismComponent);
-    
-    for (const organismEntity of organismEntities) {
-      const organism = organismEntity.getComponent(OrganismComponent);
-      const fitness = organismEntity.getComponent(FitnessComponent);
-      
-      // Calculate organism center position (average of joint positions)
-      let centerX = 0;
-      let centerY = 0;
-      const jointEntities = [];
-      
-      for (const jointId of organism.jointIds) {
-        const jointEntity = this.world.getEntity(jointId);
-        if (!jointEntity) continue;
-        
-        jointEntities.push(jointEntity);
-        const position = jointEntity.getComponent(PositionComponent);
-        centerX += position.position.x;
-        centerY += position.position.y;
-      }
-      
-      if (jointEntities.length === 0) continue;
+    // Draw organisms, repeated across the edges of a wrapping world
+    for (let o = 0; o < organisms.length; o += ORGANISM_STRIDE) {
+      if (organisms[o + 4] === 0) continue;
       
-      centerX /= jointEntities.length;
-      centerY /= jointEntities.length;
-      
-      // Draw connections between joints
-      for (const jointEntity of jointEntities) {
-        const joint = jointEntity.getComponent(JointComponent);
-        const position = jointEntity.getComponent(PositionComponent);
-        
-        // Draw connections
-        this.ctx.beginPath();
-        for (const connectedJointId of joint.connections) {
-          const connectedEntity = this.world.getEntity(connectedJointId);
-          if (!connectedEntity) continue;
-          
-          const connectedPosition = connectedEntity.getComponent(PositionComponent);
-          
-          this.ctx.moveTo(position.position.x, position.position.y);
-          this.ctx.lineTo(connectedPosition.position.x, connectedPosition.position.y);
+      if (mode === BOUNDARY_WRAP) {
+        for (const [offsetX, offsetY] of this.getWrapOffsets(snapshot, o)) {
+          this.ctx.save();
+          this.ctx.translate(offsetX, offsetY);
+          this.drawOrganism(snapshot, o);
+          this.ctx.restore();
         }
-        this.ctx.strokeStyle = '#ffffff';
-        this.ctx.lineWidth = 2;
+      } else {
+        this.drawOrganism(snapshot, o);
+      }
+    }
+    
+    this.ctx.restore();
+  }
+  
+  /**
+   * Draw the ground of a side-view world, filled down from its surface line
+   * @param {{points: number[], color: string}} ground - Ground description from the snapshot
+   * @private
+   */
+  drawGround({ points, color }) {
+    const lastIndex = points.length - 2;
+    let lowestY = points[1];
+    
+    this.ctx.beginPath();
+    this.ctx.moveTo(points[0] - GROUND_EXTENT, points[1]);
+    for (let i = 0; i < points.length; i += 2) {
+      this.ctx.lineTo(points[i], points[i + 1]);
+      lowestY = Math.max(lowestY, points[i + 1]);
+    }
+    this.ctx.lineTo(points[lastIndex] + GROUND_EXTENT, points[lastIndex + 1]);
+    this.ctx.lineTo(points[lastIndex] + GROUND_EXTENT, lowestY + GROUND_EXTENT);
+    this.ctx.lineTo(points[0] - GROUND_EXTENT, lowestY + GROUND_EXTENT);
+    this.ctx.closePath();
+    this.ctx.fillStyle = color;
+    this.ctx.fill();
+  }
+  
+  /**
+   * Draw the static obstacles
+   * @param {Object[]} obstacles - Obstacle descriptions from the snapshot
+   * @private
+   */
+  drawObstacles(obstacles) {
+    for (const { shape, x, y, radius, points, color } of obstacles) {
+      this.ctx.beginPath();
+      if (shape === OBSTACLE_CIRCLE) {
+        this.ctx.arc(x, y, radius, 0, Math.PI * 2);
+        this.ctx.fillStyle = color;
+        this.ctx.fill();
+      } else if (shape === OBSTACLE_WALL) {
+        // A wall is its segment stroked as wide as the wall, with round ends
+        this.ctx.moveTo(x + points[0], y + points[1]);
+        this.ctx.lineTo(x + points[2], y + points[3]);
+        this.ctx.lineWidth = radius * 2;
+        this.ctx.lineCap = 'round';
+        this.ctx.strokeStyle = color;
         this.ctx.stroke();
-        this.ctx.closePath();
-        
-        // Draw joint
-        this.ctx.beginPath();
-        this.ctx.arc(position.position.x, position.position.y, joint.radius, 0, Math.PI * 2);
-        
-        // Different colors for anchored vs. moving
-        if (joint.isAnchored) {
-          this.ctx.fillStyle = '#ff0000'; // Red for anchored
-        } else {
-          this.ctx.fillStyle = '#00ff00'; // Green for moving
+        this.ctx.lineCap = 'butt';
+      } else {
+        this.ctx.moveTo(x + points[0], y + points[1]);
+        for (let i = 2; i < points.length; i += 2) {
+          this.ctx.lineTo(x + points[i], y + points[i + 1]);
         }
+        this.ctx.fillStyle = color;
         this.ctx.fill();
-        this.ctx.closePath();
       }
+      this.ctx.closePath();
+    }
+  }
+  
+  /**
+   * Draw one organism's limbs, joints and labels
+   * @param {Object} snapshot - Snapshot created by createRenderSnapshot
+   * @param {number} o - Offset of the organism in snapshot.organisms
+   * @private
+   */
+  drawOrganism(snapshot, o) {
+    const { jointPositions, jointRadii, anchored, limbPairs, organisms } = snapshot;
+    const centerX = organisms[o];
+    const centerY = organisms[o + 1];
+    const fitness = organisms[o + 2];
+    const firstJoint = organisms[o + 3];
+    const jointCount = organisms[o + 4];
+    const firstLimb = organisms[o + 5];
+    const limbCount = organisms[o + 6];
+    
+    // Draw connections between joints
+    this.ctx.beginPath();
+    for (let l = firstLimb; l < firstLimb + limbCount; l++) {
+      const a = limbPairs[l * 2];
+      const b = limbPairs[l * 2 + 1];
+      this.ctx.moveTo(jointPositions[a * 2], jointPositions[a * 2 + 1]);
+      this.ctx.lineTo(jointPositions[b * 2], jointPositions[b * 2 + 1]);
+    }
+    this.ctx.strokeStyle = '#ffffff';
+    this.ctx.lineWidth = 2;
+    this.ctx.stroke();
+    this.ctx.closePath();
+    
+    // Draw joints
+    for (let j = firstJoint; j < firstJoint + jointCount; j++) {
+      this.ctx.beginPath();
+      this.ctx.arc(jointPositions[j * 2], jointPositions[j * 2 + 1], jointRadii[j], 0, Math.PI * 2);
       
-      // Draw fitness value above organism
-      this.ctx.fillStyle = 'white';
-      this.ctx.textAlign = 'center';
-      this.ctx.font = '10px Arial';
-      this.ctx.fillText(fitness.fitness, centerX, centerY - 20);
+      // Different colors for anchored vs. moving
+      if (anchored[j]) {
+        this.ctx.fillStyle = '#ff0000'; // Red for anchored
+      } else {
+        this.ctx.fillStyle = '#00ff00'; // Green for moving
+      }
+      this.ctx.fill();
+      this.ctx.closePath();
+    }
+    
+    // Draw fitness value above organism
+    this.ctx.fillStyle = 'white';
+    this.ctx.textAlign = 'center';
+    this.ctx.font = '10px Arial';
+    // Snapshots carry fitness as a float32; fitness never has more than one decimal
+    this.ctx.fillText(Math.round(fitness * 10) / 10, centerX, centerY - 20);
+    
+    // Draw joint count below organism
+    this.ctx.fillStyle = '#8AF';
+    this.ctx.fillText(jointCount + " joints", centerX, centerY + 20);
+  }
+  
+  /**
+   * List the offsets at which an organism must be drawn in a wrapping world
+   * One copy is drawn in place, plus one across every edge it reaches past
+   * @param {Object} snapshot - Snapshot created by createRenderSnapshot
+   * @param {number} o - Offset of the organism in snapshot.organisms
+   * @returns {number[][]} - [x, y] offsets
+   * @private
+   */
+  getWrapOffsets(snapshot, o) {
+    const { jointPositions, organisms } = snapshot;
+    const { width, height } = snapshot.boundary;
+    const firstJoint = organisms[o + 3];
+    const jointCount = organisms[o + 4];
+    
+    let minX = Infinity;
+    let maxX = -Infinity;
+    let minY = Infinity;
+    let maxY = -Infinity;
+    for (let j = firstJoint; j < firstJoint + jointCount; j++) {
+      minX = Math.min(minX, jointPositions[j * 2]);
+      maxX = Math.max(maxX, jointPositions[j * 2]);
+      minY = Math.min(minY, jointPositions[j * 2 + 1]);
+      maxY = Math.max(maxY, jointPositions[j * 2 + 1]);
+    }
+    
+    const offsetsX = [0];
+    if (minX - LABEL_MARGIN < 0) offsetsX.push(width);
+    if (maxX + LABEL_MARGIN > width) offsetsX.push(-width);
+    const offsetsY = [0];
+    if (minY - LABEL_MARGIN < 0) offsetsY.push(height);
+    if (maxY + LABEL_MARGIN > height) offsetsY.push(-height);
+    
+    const offsets = [];
+    for (const offsetX of offsetsX) {
+      for (const offsetY of offsetsY) {
+        offsets.push([offsetX, offsetY]);
+      }
+    }
+    return offsets;
+  }
+  
+  /**
+   * Ease the open-world camera toward the center of the population
+   * @param {Object} snapshot - Snapshot created by createRenderSnapshot
+   * @private
+   */
+  updateCamera(snapshot) {
+    const { organisms } = snapshot;
+    let totalX = 0;
+    let totalY = 0;
+    let count = 0;
+    for (let o = 0; o < organisms.length; o += ORGANISM_STRIDE) {
+      if (organisms[o + 4] === 0) continue;
       
-      // Draw joint count below organism
-      this.ctx.fillStyle = '#8AF';
-      this.ctx.fillText(organism.jointIds.length + " joints", centerX, centerY + 20);
+      totalX += organisms[o];
+      totalY += organisms[o + 1];
+      count++;
+    }
+    
+    if (!this.camera) {
+      this.camera = { x: snapshot.boundary.width / 2, y: snapshot.boundary.height / 2 };
+    }
+    if (count === 0) return;
+    
+    this.camera.x += (totalX / count - this.camera.x) * CAMERA_EASING;
+    this.camera.y += (totalY / count - this.camera.y) * CAMERA_EASING;
+  }
+  
+  /**
+   * Draw background grid lines over the visible part of an open world
+   * Called with the camera transform applied, so the grid shows movement
+   * @private
+   */
+  drawGrid() {
+    const halfWidth = this.ctx.canvas.width / 2;
+    const halfHeight = this.ctx.canvas.height / 2;
+    const startX = Math.floor((this.camera.x - halfWidth) / GRID_SPACING) * GRID_SPACING;
+    const startY = Math.floor((this.camera.y - halfHeight) / GRID_SPACING) * GRID_SPACING;
+    const endX = this.camera.x + halfWidth;
+    const endY = this.camera.y + halfHeight;
+    
+    this.ctx.beginPath();
+    for (let x = startX; x <= endX; x += GRID_SPACING) {
+      this.ctx.moveTo(x, startY);
+      this.ctx.lineTo(x, endY);
+    }
+    for (let y = startY; y <= endY; y += GRID_SPACING) {
+      this.ctx.moveTo(startX, y);
+      this.ctx.lineTo(endX, y);
     }
+    this.ctx.strokeStyle = '#1a1a4d';
+    this.ctx.lineWidth = 1;
+    this.ctx.stroke();
+    this.ctx.closePath();
   }
 }
 
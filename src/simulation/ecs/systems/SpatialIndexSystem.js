@@ -0,0 +1,66 @@
+// src/simulation/ecs/systems/SpatialIndexSystem.js
+import { System } from '../System.js';
+import { PositionComponent } from '../components/PositionComponent.js';
+import { SpatialHashGrid } from '../utils/SpatialHashGrid.js';
+
+/**
+ * System that keeps a spatial hash grid in sync with the positions of a set of entities
+ * Entities enter and leave the grid as they enter and leave the query; moving
+ * entities are re-bucketed every update, static ones only when they are added
+ */
+export class SpatialIndexSystem extends System {
+  /**
+   * Create a new spatial index system
+   * @param {World} world - Reference to the world
+   * @param {Function|string} componentClass - Component that selects the indexed entities
+   * @param {Object} options - Index options
+   * @param {number} options.cellSize - Grid cell size
+   * @param {boolean} options.isStatic - True if indexed entities never move
+   */
+  constructor(world, componentClass, { cellSize, isStatic = false }) {
+    super(world);
+    this.grid = new SpatialHashGrid(cellSize);
+    this.isStatic = isStatic;
+    this.query = world.query(PositionComponent, componentClass);
+    
+    // Index whatever already exists, then follow the query
+    for (const entity of this.query) {
+      this.insertEntity(entity);
+    }
+    this.unsubscribe = this.query.subscribe({
+      added: (entity) => this.insertEntity(entity),
+      removed: (entity) => this.grid.remove(entity.id)
+    });
+  }
+
+  /**
+   * Insert or move an entity in the grid
+   * @param {Entity} entity - Entity with a PositionComponent
+   * @private
+   */
+  insertEntity(entity) {
+    const position = entity.getComponent(PositionComponent).position;
+    this.grid.insert(entity.id, position.x, position.y);
+  }
+
+  /**
+   * Re-bucket moving entities after physics has updated their positions
+   */
+  update() {
+    if (this.isStatic) return;
+    
+    for (const entity of this.query) {
+      this.insertEntity(entity);
+    }
+  }
+
+  /**
+   * Stop following the query
+   */
+  dispose() {
+    this.unsubscribe();
+    this.grid.clear();
+  }
+}
+
+export default SpatialIndexSystem;
@@ -1,25 +1,37 @@
 // src/simulation/ecs/systems/StateSystem.js
-import { System } from '../System';
-import { JointComponent } from '../components/JointComponent';
-import { OrganismComponent } from '../components/OrganismComponent';
-import { GeneticComponent } from '../components/GeneticComponent';
+import { System } from '../System.js';
+import { OrganismComponent } from '../components/OrganismComponent.js';
+import { GeneticComponent } from '../components/GeneticComponent.js';
+import { PatternController } from '../controllers/PatternController.js';
+import { CPGController } from '../controllers/CPGController.js';
+import { NeuralController } from '../controllers/NeuralController.js';
+import { WorldBoundary } from '../../WorldBoundary.js';
+import { CONTROLLER_PATTERN, CONTROLLER_CPG, CONTROLLER_NEURAL } from '../../constants.js';
 
 /**
- * System that determines joint states based on genetics
- * Simplified to use deterministic binary states
+ * System that determines joint states and limb lengths based on genetics
+ * Each organism is driven by the controller its genome encodes
  */
 export class StateSystem extends System {
   /**
    * Create a new state system
    * @param {World} world - Reference to the world
+   * @param {SpatialHashGrid|null} foodIndex - Spatial index of food entity positions, for neural sensors
+   * @param {WorldBoundary} boundary - Shape of the world, for food sensed across a wrapping edge
    */
-  constructor(world) {
+  constructor(world, foodIndex = null, boundary = new WorldBoundary()) {
     super(world);
     this.simulationTime = 0;
+    this.organismQuery = world.query(OrganismComponent, GeneticComponent);
+    this.controllers = {
+      [CONTROLLER_PATTERN]: new PatternController(world),
+      [CONTROLLER_CPG]: new CPGController(world),
+      [CONTROLLER_NEURAL]: new NeuralController(world, foodIndex, boundary)
+    };
   }
-
+  
   /**
-   * Update states of joints based on genetic patterns
+   * Update states of joints and limbs through each organism's controller
    * @param {number} deltaTime - Time elapsed since last update
    */
   update(deltaTime) {
@@ -27,59 +39,19 @@ export class StateSystem extends System {
     this.simulationTime += deltaTime;
     
     // Process each organism
-    const organismEntities = this.world.getEntitiesWithComponent(OrganismComponent);
-    
-    for (const organismEntity of organismEntities) {
-      const organism = organismEntity.getComponent(OrganismComponent);
+    for (const organismEntity of this.organismQuery) {
       const genetics = organismEntity.getComponent(GeneticComponent);
-      
-      // Update each joint state
-      for (let i = 0; i < organism.jointIds.length; i++) {
-        const jointId = organism.jointIds[i];
-        const jointEntity = this.world.getEntity(jointId);
-        
-        if (!jointEntity) continue;
-        
-        const jointComponent = jointEntity.getComponent(JointComponent);
-        
-        // Determine joint state (up/down) based on genetic pattern
-        const jointState = genetics.getJointState(i, this.simulationTime);
-        
-        // Set joint state (0=down/anchored, 1=up/mobile)
-        jointComponent.isAnchored = (jointState === 0);
-        
-        // Update each connection (limb) state
-        for (let j = 0; j < jointComponent.connections.length; j++) {
-          const connectedJointId = jointComponent.connections[j];
-          
-          // Create a unique limb index based on the two joint IDs
-          // This ensures each limb has a consistent index regardless of which joint we're processing
-          const limbIndex = Math.min(jointId, connectedJointId) * 1000 + Math.max(jointId, connectedJointId);
-          
-          // Get limb state (extend/contract) based on genetic pattern
-          const limbState = genetics.getLimbState(limbIndex % 1000, this.simulationTime);
-          
-          // Calculate limb length based on state
-          // Base rest length defined in JointComponent
-          const baseLength = jointComponent.defaultRestLength;
-          
-          // Determine current extension factor (0=contracted, 1=extended)
-          // Contract to 70% of base length, extend to 130% of base length
-          const extensionFactor = limbState === 0 ? 0.7 : 1.3;
-          
-          // Set the rest length for this connection
-          jointComponent.restLengths.set(connectedJointId, baseLength * extensionFactor);
-          
-          // Update the corresponding connection in the connected joint too
-          const connectedEntity = this.world.getEntity(connectedJointId);
-          if (connectedEntity && connectedEntity.hasComponent(JointComponent)) {
-            const connectedJoint = connectedEntity.getComponent(JointComponent);
-            connectedJoint.restLengths.set(jointId, baseLength * extensionFactor);
-          }
-        }
-      }
+      this.controllers[genetics.controller].update(organismEntity, this.simulationTime, deltaTime);
     }
   }
+  
+  /**
+   * Capture the pattern clock
+   * @returns {Object} - JSON-friendly state
+   */
+  serialize() {
+    return { simulationTime: this.simulationTime };
+  }
 }
 
-export default StateSystem;
\ No newline at end of file
+export default StateSystem;
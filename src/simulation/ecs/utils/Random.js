@@ -0,0 +1,157 @@
+// src/simulation/ecs/utils/Random.js
+
+/**
+ * Hash a string into a 32-bit unsigned integer (FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {number} - 32-bit hash
+ */
+function hashString(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Pick a fresh seed for a new run
+ * This is the only place the simulation touches Math.random
+ * @returns {number} - A 32-bit unsigned seed
+ */
+export function createRandomSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * A single seeded pseudo-random number stream (mulberry32)
+ * The whole state is one 32-bit integer, so it is cheap to save and restore
+ */
+export class RandomStream {
+  /**
+   * Create a new stream
+   * @param {number} seed - 32-bit seed
+   */
+  constructor(seed) {
+    this.state = seed >>> 0;
+  }
+
+  /**
+   * Get the next number in [0, 1)
+   * @returns {number} - Uniformly distributed number
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Get a number in [min, max)
+   * @param {number} min - Lower bound (inclusive)
+   * @param {number} max - Upper bound (exclusive)
+   * @returns {number} - Uniformly distributed number
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Get an integer in [min, max]
+   * @param {number} min - Lower bound (inclusive)
+   * @param {number} max - Upper bound (inclusive)
+   * @returns {number} - Uniformly distributed integer
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * Return true with the given probability
+   * @param {number} probability - Chance of returning true, 0-1
+   * @returns {boolean}
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+}
+
+/**
+ * Seeded random number service owned by the World
+ * Hands out independent named streams (genetics, spawning, food, ...) so that
+ * drawing more numbers in one part of the simulation never shifts another
+ */
+export class RandomService {
+  /**
+   * Create a new random service
+   * @param {number} seed - Seed for the whole run
+   */
+  constructor(seed) {
+    this.streams = new Map();
+    this.setSeed(seed);
+  }
+
+  /**
+   * Reseed every stream in place
+   * Existing stream references stay valid and restart from the new seed
+   * @param {number} seed - Seed for the whole run
+   */
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    for (const [name, stream] of this.streams) {
+      stream.state = this.deriveSeed(name);
+    }
+  }
+
+  /**
+   * Get (or create) a named stream
+   * @param {string} name - Stream name, e.g. 'genetics'
+   * @returns {RandomStream} - The stream
+   */
+  stream(name) {
+    let stream = this.streams.get(name);
+    if (!stream) {
+      stream = new RandomStream(this.deriveSeed(name));
+      this.streams.set(name, stream);
+    }
+    return stream;
+  }
+
+  /**
+   * Capture the seed and the current state of every stream
+   * @returns {Object} - Plain data accepted by restore
+   */
+  serialize() {
+    const streams = {};
+    for (const [name, stream] of this.streams) {
+      streams[name] = stream.state;
+    }
+    return { seed: this.seed, streams };
+  }
+
+  /**
+   * Continue exactly where a serialized service left off
+   * Existing stream references stay valid
+   * @param {Object} data - Data produced by serialize
+   */
+  restore(data) {
+    this.setSeed(data.seed);
+    for (const [name, state] of Object.entries(data.streams)) {
+      this.stream(name).state = state >>> 0;
+    }
+  }
+
+  /**
+   * Derive the starting state of a named stream from the run seed
+   * @param {string} name - Stream name
+   * @returns {number} - 32-bit stream seed
+   * @private
+   */
+  deriveSeed(name) {
+    return (hashString(name) ^ Math.imul(this.seed, 0x9E3779B1)) >>> 0;
+  }
+}
+
+export default RandomService;
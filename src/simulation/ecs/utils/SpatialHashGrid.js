@@ -0,0 +1,269 @@
+// src/simulation/ecs/utils/SpatialHashGrid.js
+
+/**
+ * Offset that keeps cell coordinates positive when packing them into one key
+ */
+const CELL_OFFSET = 32768;
+
+/**
+ * Uniform grid spatial index for points
+ * Items are identified by ID (usually an entity ID) and bucketed into square
+ * cells, so radius and nearest-neighbour queries only look at nearby cells
+ */
+export class SpatialHashGrid {
+  /**
+   * Create a new, empty grid
+   * @param {number} cellSize - Width and height of each cell
+   */
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // Cell key to Set of item IDs
+    this.items = new Map(); // Item ID to { x, y, cellKey }
+  }
+  
+  /**
+   * Number of items in the grid
+   * @type {number}
+   */
+  get size() {
+    return this.items.size;
+  }
+  
+  /**
+   * Get the cell coordinate containing a world coordinate
+   * @param {number} value - World coordinate
+   * @returns {number} - Cell coordinate
+   * @private
+   */
+  toCell(value) {
+    return Math.floor(value / this.cellSize);
+  }
+  
+  /**
+   * Pack two cell coordinates into one numeric key
+   * @param {number} cellX - Cell column
+   * @param {number} cellY - Cell row
+   * @returns {number} - Cell key
+   * @private
+   */
+  cellKey(cellX, cellY) {
+    return (cellX + CELL_OFFSET) * 65536 + (cellY + CELL_OFFSET);
+  }
+  
+  /**
+   * Insert an item, or move it if it is already in the grid
+   * @param {number} id - Item ID
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   */
+  insert(id, x, y) {
+    const cellKey = this.cellKey(this.toCell(x), this.toCell(y));
+    const item = this.items.get(id);
+    
+    if (item) {
+      item.x = x;
+      item.y = y;
+      if (item.cellKey === cellKey) return;
+      
+      this.removeFromCell(id, item.cellKey);
+      item.cellKey = cellKey;
+    } else {
+      this.items.set(id, { x, y, cellKey });
+    }
+    
+    if (!this.cells.has(cellKey)) {
+      this.cells.set(cellKey, new Set());
+    }
+    this.cells.get(cellKey).add(id);
+  }
+  
+  /**
+   * Update an item's position
+   * Only touches the cell buckets when the item crosses into another cell
+   * @param {number} id - Item ID
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   */
+  update(id, x, y) {
+    this.insert(id, x, y);
+  }
+  
+  /**
+   * Remove an item
+   * @param {number} id - Item ID
+   */
+  remove(id) {
+    const item = this.items.get(id);
+    if (!item) return;
+    
+    this.removeFromCell(id, item.cellKey);
+    this.items.delete(id);
+  }
+  
+  /**
+   * Remove an item ID from a cell bucket, dropping the bucket when empty
+   * @param {number} id - Item ID
+   * @param {number} cellKey - Cell key
+   * @private
+   */
+  removeFromCell(id, cellKey) {
+    const cell = this.cells.get(cellKey);
+    if (!cell) return;
+    
+    cell.delete(id);
+    if (cell.size === 0) {
+      this.cells.delete(cellKey);
+    }
+  }
+  
+  /**
+   * Check whether an item is in the grid
+   * @param {number} id - Item ID
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.items.has(id);
+  }
+  
+  /**
+   * Remove every item
+   */
+  clear() {
+    this.cells.clear();
+    this.items.clear();
+  }
+  
+  /**
+   * Find all items within a radius of a point
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {number} radius - Search radius
+   * @param {number[]} out - Optional array to append results to
+   * @returns {number[]} - IDs of items strictly closer than the radius
+   */
+  queryRadius(x, y, radius, out = []) {
+    const radiusSquared = radius * radius;
+    const minCellX = this.toCell(x - radius);
+    const maxCellX = this.toCell(x + radius);
+    const minCellY = this.toCell(y - radius);
+    const maxCellY = this.toCell(y + radius);
+    
+    for (let cellX = minCellX; cellX <= maxCellX; cellX++) {
+      for (let cellY = minCellY; cellY <= maxCellY; cellY++) {
+        const cell = this.cells.get(this.cellKey(cellX, cellY));
+        if (!cell) continue;
+        
+        for (const id of cell) {
+          const item = this.items.get(id);
+          const dx = item.x - x;
+          const dy = item.y - y;
+          if (dx * dx + dy * dy < radiusSquared) {
+            out.push(id);
+          }
+        }
+      }
+    }
+    
+    return out;
+  }
+  
+  /**
+   * Find the item nearest to a point
+   * Searches rings of cells outward from the point until no closer item can exist
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {number} maxRadius - Ignore items at or beyond this distance
+   * @param {Function} filter - Optional predicate on item IDs
+   * @returns {{id: number, distance: number}|null} - The nearest item or null if none
+   */
+  nearest(x, y, maxRadius = Infinity, filter = null) {
+    if (this.items.size === 0) return null;
+    
+    const centerX = this.toCell(x);
+    const centerY = this.toCell(y);
+    
+    // Never search further than the items could possibly be
+    let maxRing = Math.ceil(maxRadius / this.cellSize) + 1;
+    if (!Number.isFinite(maxRing)) {
+      maxRing = this.getMaxRing(centerX, centerY);
+    }
+    
+    let bestId = null;
+    let bestDistanceSquared = maxRadius * maxRadius;
+    
+    for (let ring = 0; ring <= maxRing; ring++) {
+      // Anything in this ring or beyond is at least (ring - 1) cells away
+      const ringDistance = (ring - 1) * this.cellSize;
+      if (ring > 0 && bestId !== null && ringDistance * ringDistance >= bestDistanceSquared) break;
+      
+      this.forEachRingCell(centerX, centerY, ring, (cell) => {
+        for (const id of cell) {
+          if (filter && !filter(id)) continue;
+          
+          const item = this.items.get(id);
+          const dx = item.x - x;
+          const dy = item.y - y;
+          const distanceSquared = dx * dx + dy * dy;
+          if (distanceSquared < bestDistanceSquared) {
+            bestDistanceSquared = distanceSquared;
+            bestId = id;
+          }
+        }
+      });
+    }
+    
+    if (bestId === null) return null;
+    return { id: bestId, distance: Math.sqrt(bestDistanceSquared) };
+  }
+  
+  /**
+   * Visit the occupied cells on the outer edge of a square ring around a cell
+   * @param {number} centerX - Center cell column
+   * @param {number} centerY - Center cell row
+   * @param {number} ring - Chebyshev distance of the ring from the center
+   * @param {Function} callback - Called with each occupied cell's Set of IDs
+   * @private
+   */
+  forEachRingCell(centerX, centerY, ring, callback) {
+    const visit = (cellX, cellY) => {
+      const cell = this.cells.get(this.cellKey(cellX, cellY));
+      if (cell) callback(cell);
+    };
+    
+    if (ring === 0) {
+      visit(centerX, centerY);
+      return;
+    }
+    
+    // Top and bottom rows, then the left and right columns between them
+    for (let cellX = centerX - ring; cellX <= centerX + ring; cellX++) {
+      visit(cellX, centerY - ring);
+      visit(cellX, centerY + ring);
+    }
+    for (let cellY = centerY - ring + 1; cellY <= centerY + ring - 1; cellY++) {
+      visit(centerX - ring, cellY);
+      visit(centerX + ring, cellY);
+    }
+  }
+  
+  /**
+   * Ring count needed to cover every occupied cell from a center cell
+   * @param {number} centerX - Center cell column
+   * @param {number} centerY - Center cell row
+   * @returns {number} - Largest Chebyshev distance to an item's cell
+   * @private
+   */
+  getMaxRing(centerX, centerY) {
+    let maxRing = 0;
+    for (const item of this.items.values()) {
+      const ring = Math.max(
+        Math.abs(this.toCell(item.x) - centerX),
+        Math.abs(this.toCell(item.y) - centerY)
+      );
+      maxRing = Math.max(maxRing, ring);
+    }
+    return maxRing;
+  }
+}
+
+export default SpatialHashGrid;
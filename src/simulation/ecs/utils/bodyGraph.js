@@ -0,0 +1,319 @@
+// src/simulation/ecs/utils/bodyGraph.js
+import {
+  MIN_JOINT_COUNT,
+  MAX_JOINT_COUNT,
+  MAX_LIMB_COUNT,
+  BODY_GRAPH_LIMB_LENGTH,
+  BODY_GRAPH_MAX_LIMB_LENGTH,
+  BODY_GRAPH_MIN_SPACING,
+  BODY_GRAPH_MOVE_DISTANCE,
+  BODY_GRAPH_MAX_REACH,
+  BODY_GRAPH_MAX_DEPTH
+} from '../../constants.js';
+
+/**
+ * Body graphs describe a body as plain data:
+ * { joints: [[x, y], ...], limbs: [[a, b], ...], jointSlots: [...], limbSlots: [...] }
+ * Joint positions are relative to the spawn point and limbs join two joints
+ * by their index. The slot lists give every joint and limb the index of its
+ * genes. Indices shift as joints and limbs are removed, but slots stay with
+ * their joint or limb, so mutations leave the rest of the body's genes in place.
+ */
+
+const PLAN_RADIUS = 30;  // Distance of the outer joints from the center of a radial plan
+const PLAN_SPACING = 25; // Distance between neighboring joints of chain and tree plans
+
+/**
+ * Describe one of the fixed body plans as a body graph
+ * @param {number} bodyPlanSeed - Seed gene picking the plan: radial, chain or tree
+ * @param {number} numJoints - Number of joints
+ * @returns {Object} - The body graph
+ */
+export function createPlanGraph(bodyPlanSeed, numJoints) {
+  let graph;
+  if (bodyPlanSeed < 0.33) graph = createRadialGraph(numJoints);
+  else if (bodyPlanSeed < 0.66) graph = createChainGraph(numJoints);
+  else graph = createTreeGraph(numJoints);
+  
+  // Plans number their genes in the order joints and limbs are made
+  graph.jointSlots = graph.joints.map((joint, i) => i);
+  graph.limbSlots = graph.limbs.map((limb, i) => i);
+  return graph;
+}
+
+/**
+ * Joints in a circle around a center joint, each tied to the center and to its neighbors
+ * @param {number} numJoints - Number of joints
+ * @returns {Object} - The body graph
+ */
+function createRadialGraph(numJoints) {
+  const joints = [[0, 0]];
+  const limbs = [];
+  const outerCount = numJoints - 1;
+  
+  for (let i = 0; i < outerCount; i++) {
+    const angle = (i / outerCount) * Math.PI * 2;
+    joints.push([Math.cos(angle) * PLAN_RADIUS, Math.sin(angle) * PLAN_RADIUS]);
+  }
+  for (let i = 1; i <= outerCount; i++) {
+    limbs.push([0, i]);
+  }
+  for (let i = 0; i < outerCount; i++) {
+    limbs.push([1 + i, 1 + (i + 1) % outerCount]);
+  }
+  
+  return { joints, limbs };
+}
+
+/**
+ * Joints in a line, each tied to the next
+ * @param {number} numJoints - Number of joints
+ * @returns {Object} - The body graph
+ */
+function createChainGraph(numJoints) {
+  const joints = [];
+  const limbs = [];
+  
+  for (let i = 0; i < numJoints; i++) {
+    joints.push([i * PLAN_SPACING, 0]);
+  }
+  for (let i = 0; i < numJoints - 1; i++) {
+    limbs.push([i, i + 1]);
+  }
+  
+  return { joints, limbs };
+}
+
+/**
+ * A vertical trunk with branches to the left and right of its joints
+ * @param {number} numJoints - Number of joints
+ * @returns {Object} - The body graph
+ */
+function createTreeGraph(numJoints) {
+  const trunkLength = Math.min(Math.floor(numJoints / 2), 4);
+  const joints = [];
+  const limbs = [];
+  
+  for (let i = 0; i < trunkLength; i++) {
+    joints.push([0, i * PLAN_SPACING]);
+  }
+  for (let i = 0; i < trunkLength - 1; i++) {
+    limbs.push([i, i + 1]);
+  }
+  
+  // Branch from each trunk joint except the last until the joints run out
+  for (let i = 0; i < trunkLength - 1 && joints.length < numJoints; i++) {
+    for (const side of [-1, 1]) {
+      if (joints.length >= numJoints) break;
+      
+      limbs.push([i, joints.length]);
+      joints.push([side * PLAN_SPACING, i * PLAN_SPACING]);
+    }
+  }
+  
+  return { joints, limbs };
+}
+
+/**
+ * Copy a body graph
+ * @param {Object} graph - The body graph
+ * @returns {Object} - A copy sharing no arrays with the original
+ */
+export function copyBodyGraph(graph) {
+  return {
+    joints: graph.joints.map((joint) => [...joint]),
+    limbs: graph.limbs.map((limb) => [...limb]),
+    jointSlots: [...graph.jointSlots],
+    limbSlots: [...graph.limbSlots]
+  };
+}
+
+/**
+ * Drop limbs that join a joint to itself or repeat an earlier limb
+ * @param {Object} graph - The body graph, changed in place
+ * @returns {Object} - The same graph
+ */
+export function removeDuplicateLimbs(graph) {
+  const seen = new Set();
+  const kept = graph.limbs.map(([a, b]) => {
+    const key = Math.min(a, b) + ',' + Math.max(a, b);
+    if (a === b || seen.has(key)) return false;
+    
+    seen.add(key);
+    return true;
+  });
+  graph.limbs = graph.limbs.filter((limb, i) => kept[i]);
+  graph.limbSlots = graph.limbSlots.filter((slot, i) => kept[i]);
+  return graph;
+}
+
+/**
+ * Create a copy of a body graph with structural mutations
+ * Every joint may move; then, each with half the rate, a joint is added,
+ * a joint is removed, a limb is added and a limb is removed. Changes that
+ * would split the body, crowd joints or exceed the joint and limb limits are
+ * skipped.
+ * @param {Object} graph - The body graph
+ * @param {number} rate - Mutation rate
+ * @param {RandomStream} rng - Random stream to draw from
+ * @returns {Object} - The mutated copy
+ */
+export function mutateBodyGraph(graph, rate, rng) {
+  const mutated = copyBodyGraph(graph);
+  
+  for (let i = 0; i < mutated.joints.length; i++) {
+    if (rng.chance(rate)) moveJoint(mutated, i, rng);
+  }
+  if (rng.chance(rate * 0.5)) addJoint(mutated, rng);
+  if (rng.chance(rate * 0.5)) removeJoint(mutated, rng);
+  if (rng.chance(rate * 0.5)) addLimb(mutated, rng);
+  if (rng.chance(rate * 0.5)) removeLimb(mutated, rng);
+  
+  return mutated;
+}
+
+/**
+ * Shift a joint by a small random offset
+ * @param {Object} graph - The body graph, changed in place
+ * @param {number} index - Index of the joint
+ * @param {RandomStream} rng - Random stream to draw from
+ */
+function moveJoint(graph, index, rng) {
+  const [x, y] = graph.joints[index];
+  const newX = x + rng.range(-BODY_GRAPH_MOVE_DISTANCE, BODY_GRAPH_MOVE_DISTANCE);
+  const newY = y + rng.range(-BODY_GRAPH_MOVE_DISTANCE, BODY_GRAPH_MOVE_DISTANCE);
+  
+  if (canPlaceJoint(graph, newX, newY, index)) {
+    graph.joints[index] = [newX, newY];
+  }
+}
+
+/**
+ * Grow a new joint out of a random joint, tied to it by a limb
+ * @param {Object} graph - The body graph, changed in place
+ * @param {RandomStream} rng - Random stream to draw from
+ */
+function addJoint(graph, rng) {
+  const parent = rng.int(0, graph.joints.length - 1);
+  const angle = rng.next() * Math.PI * 2;
+  if (graph.joints.length >= MAX_JOINT_COUNT || graph.limbs.length >= MAX_LIMB_COUNT) return;
+  
+  const [parentX, parentY] = graph.joints[parent];
+  const x = parentX + Math.cos(angle) * BODY_GRAPH_LIMB_LENGTH;
+  const y = parentY + Math.sin(angle) * BODY_GRAPH_LIMB_LENGTH;
+  if (!canPlaceJoint(graph, x, y)) return;
+  
+  graph.limbs.push([parent, graph.joints.length]);
+  graph.limbSlots.push(lowestFreeSlot(graph.limbSlots));
+  graph.joints.push([x, y]);
+  graph.jointSlots.push(lowestFreeSlot(graph.jointSlots));
+}
+
+/**
+ * Remove a random joint and its limbs, unless that splits the body
+ * @param {Object} graph - The body graph, changed in place
+ * @param {RandomStream} rng - Random stream to draw from
+ */
+function removeJoint(graph, rng) {
+  const index = rng.int(0, graph.joints.length - 1);
+  if (graph.joints.length <= MIN_JOINT_COUNT) return;
+  
+  // Later joints move down one index
+  const kept = graph.limbs.map(([a, b]) => a !== index && b !== index);
+  const limbs = graph.limbs
+    .filter((limb, i) => kept[i])
+    .map((limb) => limb.map((joint) => (joint > index ? joint - 1 : joint)));
+  if (!isConnected(graph.joints.length - 1, limbs)) return;
+  
+  graph.joints.splice(index, 1);
+  graph.jointSlots.splice(index, 1);
+  graph.limbs = limbs;
+  graph.limbSlots = graph.limbSlots.filter((slot, i) => kept[i]);
+}
+
+/**
+ * Tie two random joints that are close enough and not yet tied
+ * @param {Object} graph - The body graph, changed in place
+ * @param {RandomStream} rng - Random stream to draw from
+ */
+function addLimb(graph, rng) {
+  const a = rng.int(0, graph.joints.length - 1);
+  const b = rng.int(0, graph.joints.length - 1);
+  if (a === b || graph.limbs.length >= MAX_LIMB_COUNT) return;
+  if (graph.limbs.some(([c, d]) => (c === a && d === b) || (c === b && d === a))) return;
+  
+  const [ax, ay] = graph.joints[a];
+  const [bx, by] = graph.joints[b];
+  if (Math.hypot(bx - ax, by - ay) > BODY_GRAPH_MAX_LIMB_LENGTH) return;
+  
+  graph.limbs.push([a, b]);
+  graph.limbSlots.push(lowestFreeSlot(graph.limbSlots));
+}
+
+/**
+ * Remove a random limb, unless that splits the body
+ * @param {Object} graph - The body graph, changed in place
+ * @param {RandomStream} rng - Random stream to draw from
+ */
+function removeLimb(graph, rng) {
+  const index = rng.int(0, graph.limbs.length - 1);
+  const limbs = graph.limbs.filter((limb, i) => i !== index);
+  if (!isConnected(graph.joints.length, limbs)) return;
+  
+  graph.limbs = limbs;
+  graph.limbSlots.splice(index, 1);
+}
+
+/**
+ * Find the lowest gene slot no joint or limb holds yet
+ * @param {number[]} slots - Slots in use
+ * @returns {number} - The free slot
+ */
+function lowestFreeSlot(slots) {
+  let slot = 0;
+  while (slots.includes(slot)) slot++;
+  return slot;
+}
+
+/**
+ * Whether a joint may sit at a position: within reach of the spawn point and
+ * not crowding the other joints
+ * @param {Object} graph - The body graph
+ * @param {number} x - X relative to the spawn point
+ * @param {number} y - Y relative to the spawn point
+ * @param {number} ignoreIndex - Joint to leave out of the spacing check, or -1
+ * @returns {boolean}
+ */
+function canPlaceJoint(graph, x, y, ignoreIndex = -1) {
+  if (Math.abs(x) > BODY_GRAPH_MAX_REACH || y < -BODY_GRAPH_MAX_REACH || y > BODY_GRAPH_MAX_DEPTH) {
+    return false;
+  }
+  
+  return graph.joints.every(([jointX, jointY], i) => (
+    i === ignoreIndex || Math.hypot(jointX - x, jointY - y) >= BODY_GRAPH_MIN_SPACING
+  ));
+}
+
+/**
+ * Whether limbs tie all joints into a single body
+ * @param {number} jointCount - Number of joints
+ * @param {number[][]} limbs - Limbs as pairs of joint indices
+ * @returns {boolean}
+ */
+function isConnected(jointCount, limbs) {
+  if (jointCount === 0) return true;
+  
+  const reached = new Set([0]);
+  const pending = [0];
+  while (pending.length > 0) {
+    const joint = pending.pop();
+    for (const [a, b] of limbs) {
+      const other = a === joint ? b : b === joint ? a : -1;
+      if (other !== -1 && !reached.has(other)) {
+        reached.add(other);
+        pending.push(other);
+      }
+    }
+  }
+  return reached.size === jointCount;
+}
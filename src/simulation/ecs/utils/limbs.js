@@ -0,0 +1,30 @@
+// src/simulation/ecs/utils/limbs.js
+import { JointComponent } from '../components/JointComponent.js';
+
+/**
+ * Call a function once for every limb of the given joints
+ * Limbs are listed on both of their joints, so each is visited from the joint
+ * with the lower ID. Missing entities, entities that are not joints and limbs
+ * to joints no longer in the world are skipped.
+ * @param {World} world - World the joints are in
+ * @param {Iterable<Entity>} jointEntities - Joints whose limbs to visit
+ * @param {Function} callback - Called with (jointEntity, connectedEntity, joint)
+ *   for each limb, where joint is jointEntity's JointComponent
+ */
+export function forEachLimb(world, jointEntities, callback) {
+  for (const jointEntity of jointEntities) {
+    if (!jointEntity || !jointEntity.hasComponent(JointComponent)) continue;
+    
+    const joint = jointEntity.getComponent(JointComponent);
+    for (const connectedJointId of joint.connections) {
+      if (connectedJointId < jointEntity.id) continue;
+      
+      const connectedEntity = world.getEntity(connectedJointId);
+      if (!connectedEntity) continue;
+      
+      callback(jointEntity, connectedEntity, joint);
+    }
+  }
+}
+
+export default forEachLimb;
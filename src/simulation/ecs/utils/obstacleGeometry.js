@@ -0,0 +1,129 @@
+// src/simulation/ecs/utils/obstacleGeometry.js
+import { OBSTACLE_WALL, OBSTACLE_POLYGON } from '../../constants.js';
+
+/**
+ * Distance from an obstacle's position to the furthest point of its shape
+ * @param {ObstacleComponent} obstacle - The obstacle
+ * @returns {number} - Radius of a circle around the position enclosing the shape
+ */
+export function getObstacleBoundingRadius(obstacle) {
+  let furthest = 0;
+  for (let i = 0; i < obstacle.points.length; i += 2) {
+    furthest = Math.max(furthest, Math.hypot(obstacle.points[i], obstacle.points[i + 1]));
+  }
+  return furthest + obstacle.radius;
+}
+
+/**
+ * Find how far a point is from an obstacle's surface, and in which direction
+ * @param {ObstacleComponent} obstacle - The obstacle
+ * @param {number} x - X of the point, relative to the obstacle's position
+ * @param {number} y - Y of the point, relative to the obstacle's position
+ * @returns {{distance: number, normalX: number, normalY: number}} - Signed
+ *   distance to the surface (negative inside) and the outward surface normal
+ */
+export function getObstacleContact(obstacle, x, y) {
+  if (obstacle.shape === OBSTACLE_POLYGON) {
+    return getPolygonContact(obstacle.points, x, y);
+  }
+  
+  // Circles and walls are both a thickened core: a point or a segment
+  let coreX = 0;
+  let coreY = 0;
+  if (obstacle.shape === OBSTACLE_WALL) {
+    [coreX, coreY] = closestPointOnSegment(obstacle.points, 0, 2, x, y);
+  }
+  
+  const dx = x - coreX;
+  const dy = y - coreY;
+  const length = Math.sqrt(dx * dx + dy * dy);
+  return {
+    distance: length - obstacle.radius,
+    // A point exactly on the core is pushed out upward
+    normalX: length > 0 ? dx / length : 0,
+    normalY: length > 0 ? dy / length : -1
+  };
+}
+
+/**
+ * Height of a ground profile at a horizontal position
+ * Interpolates between the surrounding points and stays level past either end
+ * @param {number[]} points - Flat x, y pairs of a GroundComponent, sorted by x
+ * @param {number} x - Horizontal position
+ * @returns {number} - Y of the ground surface
+ */
+export function getGroundHeight(points, x) {
+  if (x <= points[0]) return points[1];
+  
+  for (let i = 2; i < points.length; i += 2) {
+    if (x <= points[i]) {
+      const t = (x - points[i - 2]) / (points[i] - points[i - 2]);
+      return points[i - 1] + (points[i + 1] - points[i - 1]) * t;
+    }
+  }
+  return points[points.length - 1];
+}
+
+/**
+ * Find the closest point to (x, y) on the segment between two points of a flat list
+ * @param {number[]} points - Flat x, y pairs
+ * @param {number} a - Index of the segment's start x
+ * @param {number} b - Index of the segment's end x
+ * @param {number} x - X of the point
+ * @param {number} y - Y of the point
+ * @returns {number[]} - [x, y] of the closest point
+ */
+function closestPointOnSegment(points, a, b, x, y) {
+  const startX = points[a];
+  const startY = points[a + 1];
+  const segmentX = points[b] - startX;
+  const segmentY = points[b + 1] - startY;
+  const lengthSquared = segmentX * segmentX + segmentY * segmentY;
+  
+  const t = lengthSquared > 0
+    ? Math.max(0, Math.min(1, ((x - startX) * segmentX + (y - startY) * segmentY) / lengthSquared))
+    : 0;
+  return [startX + segmentX * t, startY + segmentY * t];
+}
+
+/**
+ * Signed distance and outward normal from a point to a closed polygon outline
+ * @param {number[]} points - Flat x, y pairs of the polygon's vertices
+ * @param {number} x - X of the point
+ * @param {number} y - Y of the point
+ * @returns {{distance: number, normalX: number, normalY: number}} - Contact as in getObstacleContact
+ */
+function getPolygonContact(points, x, y) {
+  let bestDistanceSquared = Infinity;
+  let bestX = x;
+  let bestY = y;
+  let inside = false;
+  
+  for (let a = points.length - 2, b = 0; b < points.length; a = b, b += 2) {
+    const [closestX, closestY] = closestPointOnSegment(points, a, b, x, y);
+    const distanceSquared = (x - closestX) ** 2 + (y - closestY) ** 2;
+    if (distanceSquared < bestDistanceSquared) {
+      bestDistanceSquared = distanceSquared;
+      bestX = closestX;
+      bestY = closestY;
+    }
+    
+    // Even-odd rule: count edges crossing a ray cast to the right of the point
+    const ay = points[a + 1];
+    const by = points[b + 1];
+    if ((ay > y) !== (by > y)) {
+      const crossingX = points[a] + (y - ay) / (by - ay) * (points[b] - points[a]);
+      if (x < crossingX) inside = !inside;
+    }
+  }
+  
+  const distance = Math.sqrt(bestDistanceSquared);
+  const direction = inside ? -1 : 1;
+  return {
+    distance: distance * direction,
+    normalX: distance > 0 ? (x - bestX) / distance * direction : 0,
+    normalY: distance > 0 ? (y - bestY) / distance * direction : -1
+  };
+}
+
+export default getObstacleContact;
@@ -0,0 +1,152 @@
+// src/simulation/hosts/LocalSimulationHost.js
+import { SimulationEngine } from '../SimulationEngine.js';
+import { SimulationClock } from '../SimulationClock.js';
+import { RenderSystem } from '../ecs/systems/RenderSystem.js';
+import { createSnapshot, restoreSnapshot } from '../serialization/Snapshot.js';
+
+/**
+ * Runs the simulation on the main thread, stepping inside requestAnimationFrame
+ * Shares its interface with WorkerSimulationHost so the UI can use either
+ */
+export class LocalSimulationHost {
+  /**
+   * Create a new host and draw the first generation
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   * @param {Object} params - Simulation parameters for SimulationEngine
+   */
+  constructor(ctx, params) {
+    this.engine = new SimulationEngine(params);
+    this.engine.enableHistory();
+    this.engine.attachRenderer(new RenderSystem(this.engine.world, ctx, this.engine.boundary));
+    this.clock = new SimulationClock();
+    this.speed = 1;
+    this.animationFrameId = null;
+    this.lastTime = 0;
+    
+    this.engine.render();
+  }
+
+  /**
+   * Subscribe to simulation events ('generation', 'load', 'history')
+   * @param {string} eventName - Name of the event
+   * @param {Function} callback - Called with the event payload
+   * @returns {Function} - Call to unsubscribe
+   */
+  on(eventName, callback) {
+    return this.engine.on(eventName, callback);
+  }
+
+  /**
+   * Start or resume the simulation loop
+   */
+  start() {
+    if (this.animationFrameId !== null) return;
+    
+    this.clock.reset();
+    this.lastTime = performance.now();
+    
+    const simulate = (currentTime) => {
+      // Real time since the last frame; the clock turns it into fixed steps
+      const frameTime = (currentTime - this.lastTime) / 1000;
+      this.lastTime = currentTime;
+      
+      // Speed changes how many steps run per frame, not the step size
+      const steps = this.clock.advance(frameTime, this.speed);
+      for (let i = 0; i < steps; i++) {
+        this.engine.step();
+      }
+      
+      this.engine.render(frameTime);
+      this.animationFrameId = requestAnimationFrame(simulate);
+    };
+    
+    this.animationFrameId = requestAnimationFrame(simulate);
+  }
+
+  /**
+   * Pause the simulation loop
+   */
+  pause() {
+    if (this.animationFrameId === null) return;
+    
+    cancelAnimationFrame(this.animationFrameId);
+    this.animationFrameId = null;
+  }
+
+  /**
+   * Set the simulation speed multiplier
+   * @param {number} speed - Speed multiplier
+   */
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  /**
+   * Restart from a fresh first generation
+   * @param {Object} params - Simulation parameters to apply
+   */
+  restart(params) {
+    this.engine.restart(params);
+    this.clock.reset();
+    this.engine.render();
+  }
+
+  /**
+   * Show a recorded history entry of the current generation
+   * Resuming afterwards continues (forks) the run from that entry
+   * @param {number} index - History entry, 0 being the oldest
+   */
+  seekHistory(index) {
+    this.engine.seekHistory(index);
+    this.clock.reset();
+    this.engine.render();
+  }
+
+  /**
+   * Turn per-system profiling on or off
+   * @param {boolean} enabled - Whether to collect timings
+   */
+  setProfiling(enabled) {
+    this.engine.setProfiling(enabled);
+  }
+
+  /**
+   * Get the current performance report
+   * @returns {Promise<Object>} - Resolves with the report
+   */
+  getProfile() {
+    return Promise.resolve(this.engine.getProfile());
+  }
+
+  /**
+   * Capture a snapshot of the whole run
+   * @returns {Promise<Object>} - Resolves with the versioned snapshot
+   */
+  saveSnapshot() {
+    return Promise.resolve(createSnapshot(this.engine));
+  }
+
+  /**
+   * Replace the current run with a saved snapshot
+   * @param {Object} snapshot - Parsed snapshot
+   * @returns {Promise<void>} - Rejects if the snapshot cannot be loaded
+   */
+  loadSnapshot(snapshot) {
+    return new Promise((resolve) => {
+      restoreSnapshot(this.engine, snapshot);
+      this.clock.reset();
+      this.engine.render();
+      resolve();
+    });
+  }
+
+  /**
+   * Stop the loop and release the renderer
+   */
+  dispose() {
+    this.pause();
+    this.engine.detachRenderer();
+  }
+}
+
+export default LocalSimulationHost;
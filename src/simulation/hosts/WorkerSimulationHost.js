@@ -0,0 +1,176 @@
+// src/simulation/hosts/WorkerSimulationHost.js
+import { EventEmitter } from '../EventEmitter.js';
+import { RenderSystem } from '../ecs/systems/RenderSystem.js';
+import { Profiler } from '../ecs/Profiler.js';
+
+/**
+ * Runs the simulation in a dedicated Web Worker
+ * The worker posts render snapshots; this host draws the latest one on the
+ * main thread once per animation frame. Shares its interface with
+ * LocalSimulationHost so the UI can use either.
+ */
+export class WorkerSimulationHost extends EventEmitter {
+  /**
+   * Create a new host and start the worker
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   * @param {Object} params - Simulation parameters for SimulationEngine
+   */
+  constructor(ctx, params) {
+    super();
+    
+    this.renderer = new RenderSystem(null, ctx);
+    this.latestSnapshot = null;
+    this.animationFrameId = null;
+    this.profiler = new Profiler(); // Times drawing, which happens on this thread
+    this.pendingRequests = new Map(); // Request ID to { resolve, reject }
+    this.nextRequestId = 1;
+    
+    this.worker = new Worker(
+      new URL('../worker/simulation.worker.js', import.meta.url),
+      { type: 'module' }
+    );
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    this.worker.postMessage({ type: 'init', params });
+  }
+
+  /**
+   * Handle a message posted by the worker
+   * @param {Object} message - The message data
+   * @private
+   */
+  handleMessage(message) {
+    if (message.type === 'frame') {
+      this.latestSnapshot = message.snapshot;
+      
+      // Draw at most once per display frame, whatever rate snapshots arrive at
+      if (this.animationFrameId === null) {
+        this.animationFrameId = requestAnimationFrame(() => {
+          this.animationFrameId = null;
+          this.profiler.measure('RenderSystem', () => this.renderer.draw(this.latestSnapshot));
+        });
+      }
+    } else if (message.type === 'generation') {
+      this.emit('generation', { generation: message.generation, stats: message.stats });
+    } else if (message.type === 'history') {
+      this.emit('history', { size: message.size, index: message.index, step: message.step });
+    } else if (message.type === 'load') {
+      this.emit('load', { generation: message.generation, stats: message.stats, params: message.params });
+    } else if (message.type === 'response') {
+      const request = this.pendingRequests.get(message.requestId);
+      this.pendingRequests.delete(message.requestId);
+      if (!request) return;
+      
+      if (message.error) {
+        request.reject(new Error(message.error));
+      } else {
+        request.resolve(message.result);
+      }
+    }
+  }
+
+  /**
+   * Post a message that the worker answers with a 'response' message
+   * @param {string} type - Message type
+   * @param {Object} data - Extra message fields
+   * @returns {Promise<*>} - Resolves with the response's result, or rejects with its error
+   * @private
+   */
+  request(type, data = {}) {
+    const requestId = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.pendingRequests.set(requestId, { resolve, reject });
+      this.worker.postMessage({ type, requestId, ...data });
+    });
+  }
+
+  /**
+   * Start or resume the simulation in the worker
+   */
+  start() {
+    this.worker.postMessage({ type: 'start' });
+  }
+
+  /**
+   * Pause the simulation in the worker
+   */
+  pause() {
+    this.worker.postMessage({ type: 'pause' });
+  }
+
+  /**
+   * Set the simulation speed multiplier
+   * @param {number} speed - Speed multiplier
+   */
+  setSpeed(speed) {
+    this.worker.postMessage({ type: 'setSpeed', speed });
+  }
+
+  /**
+   * Restart from a fresh first generation
+   * @param {Object} params - Simulation parameters to apply
+   */
+  restart(params) {
+    this.worker.postMessage({ type: 'restart', params });
+  }
+
+  /**
+   * Show a recorded history entry of the current generation
+   * Resuming afterwards continues (forks) the run from that entry
+   * @param {number} index - History entry, 0 being the oldest
+   */
+  seekHistory(index) {
+    this.worker.postMessage({ type: 'seekHistory', index });
+  }
+
+  /**
+   * Turn per-system profiling on or off
+   * @param {boolean} enabled - Whether to collect timings
+   */
+  setProfiling(enabled) {
+    this.profiler.setEnabled(enabled);
+    this.worker.postMessage({ type: 'setProfiling', enabled });
+  }
+
+  /**
+   * Request the current performance report from the worker
+   * @returns {Promise<Object>} - Resolves with the report
+   */
+  getProfile() {
+    return this.request('getProfile').then((report) => {
+      // Merge the main thread's draw timings into the worker's report
+      report.systems = { ...report.systems, ...this.profiler.getTimings() };
+      report.worker = true;
+      return report;
+    });
+  }
+
+  /**
+   * Request a snapshot of the whole run from the worker
+   * @returns {Promise<Object>} - Resolves with the versioned snapshot
+   */
+  saveSnapshot() {
+    return this.request('saveSnapshot');
+  }
+
+  /**
+   * Replace the worker's run with a saved snapshot
+   * @param {Object} snapshot - Parsed snapshot
+   * @returns {Promise<void>} - Rejects if the snapshot cannot be loaded
+   */
+  loadSnapshot(snapshot) {
+    return this.request('loadSnapshot', { snapshot });
+  }
+
+  /**
+   * Stop the worker and any pending draw
+   */
+  dispose() {
+    if (this.animationFrameId !== null) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+    this.worker.terminate();
+  }
+}
+
+export default WorkerSimulationHost;
@@ -0,0 +1,114 @@
+// src/simulation/maps/ObstacleMap.js
+import { OBSTACLE_WALL, OBSTACLE_CIRCLE, OBSTACLE_POLYGON, DEFAULT_WALL_THICKNESS } from '../constants.js';
+
+/**
+ * Obstacle maps are plain JSON:
+ *
+ *   {
+ *     "name": "Divider",
+ *     "obstacles": [
+ *       { "type": "wall", "from": [400, 0], "to": [400, 350], "thickness": 12 },
+ *       { "type": "circle", "center": [200, 250], "radius": 40 },
+ *       { "type": "polygon", "points": [[600, 100], [680, 140], [620, 200]] }
+ *     ],
+ *     "ground": [[0, 440], [300, 440], [500, 400], [800, 420]]
+ *   }
+ *
+ * Coordinates are in world units; "thickness" is optional. "ground" is an
+ * optional ground line for the side view, with points sorted by x.
+ */
+
+/**
+ * Check that a value is an [x, y] pair of finite numbers
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for a valid point
+ */
+function isPoint(value) {
+  return Array.isArray(value) && value.length === 2 && value.every(Number.isFinite);
+}
+
+/**
+ * Validate one obstacle of a map and copy out the fields it uses
+ * @param {Object} obstacle - Obstacle description
+ * @param {number} index - Position in the obstacle list, for error messages
+ * @returns {Object} - The normalized obstacle
+ */
+function parseObstacle(obstacle, index) {
+  const fail = (reason) => {
+    throw new Error(`Invalid obstacle ${index}: ${reason}`);
+  };
+  
+  switch (obstacle?.type) {
+    case OBSTACLE_WALL: {
+      const thickness = obstacle.thickness ?? DEFAULT_WALL_THICKNESS;
+      if (!isPoint(obstacle.from) || !isPoint(obstacle.to)) fail('a wall needs "from" and "to" points');
+      if (!Number.isFinite(thickness) || thickness <= 0) fail('"thickness" must be a positive number');
+      return { type: OBSTACLE_WALL, from: [...obstacle.from], to: [...obstacle.to], thickness };
+    }
+    case OBSTACLE_CIRCLE:
+      if (!isPoint(obstacle.center)) fail('a circle needs a "center" point');
+      if (!Number.isFinite(obstacle.radius) || obstacle.radius <= 0) fail('"radius" must be a positive number');
+      return { type: OBSTACLE_CIRCLE, center: [...obstacle.center], radius: obstacle.radius };
+    case OBSTACLE_POLYGON:
+      if (!Array.isArray(obstacle.points) || obstacle.points.length < 3 || !obstacle.points.every(isPoint)) {
+        fail('a polygon needs at least three points');
+      }
+      return { type: OBSTACLE_POLYGON, points: obstacle.points.map((point) => [...point]) };
+    default:
+      return fail(`unknown type "${obstacle?.type}"`);
+  }
+}
+
+/**
+ * Validate the ground line of a map
+ * @param {*} ground - Ground points, if the map has any
+ * @returns {number[][]|null} - A copy of the points, or null for no ground
+ */
+function parseGround(ground) {
+  if (ground === undefined || ground === null) return null;
+  
+  const isSorted = Array.isArray(ground) && ground.every((point, i) => isPoint(point) && (i === 0 || point[0] > ground[i - 1][0]));
+  if (!isSorted || ground.length < 2) {
+    throw new Error('Invalid ground: expected at least two [x, y] points sorted by x');
+  }
+  return ground.map((point) => [...point]);
+}
+
+/**
+ * Validate an obstacle map
+ * @param {Object|string} data - Parsed map, or its JSON text
+ * @returns {{name: string, obstacles: Object[], ground: number[][]|null}} - A normalized copy of the map
+ */
+export function parseObstacleMap(data) {
+  const map = typeof data === 'string' ? JSON.parse(data) : data;
+  if (!map || !Array.isArray(map.obstacles)) {
+    throw new Error('Not an obstacle map: expected an "obstacles" list');
+  }
+  
+  return {
+    name: typeof map.name === 'string' && map.name ? map.name : 'Custom map',
+    obstacles: map.obstacles.map(parseObstacle),
+    ground: parseGround(map.ground)
+  };
+}
+
+/**
+ * Create the obstacle entities of a map
+ * @param {EntityFactory} entityFactory - Factory to create the entities with
+ * @param {Object} map - A map accepted by parseObstacleMap
+ * @returns {Entity[]} - The created obstacle entities
+ */
+export function buildObstacleMap(entityFactory, map) {
+  return parseObstacleMap(map).obstacles.map((obstacle) => {
+    switch (obstacle.type) {
+      case OBSTACLE_WALL:
+        return entityFactory.createWall(...obstacle.from, ...obstacle.to, obstacle.thickness);
+      case OBSTACLE_CIRCLE:
+        return entityFactory.createCircleObstacle(...obstacle.center, obstacle.radius);
+      default:
+        return entityFactory.createPolygonObstacle(obstacle.points);
+    }
+  });
+}
+
+export default parseObstacleMap;
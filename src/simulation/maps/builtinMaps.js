@@ -0,0 +1,56 @@
+// src/simulation/maps/builtinMaps.js
+
+/**
+ * Obstacle maps that ship with the simulator, in the JSON map format of
+ * ObstacleMap.js and laid out for the default 800 x 500 world
+ */
+export const BUILTIN_MAPS = [
+  {
+    name: 'Pillars',
+    obstacles: [
+      { type: 'circle', center: [160, 125], radius: 30 },
+      { type: 'circle', center: [400, 125], radius: 30 },
+      { type: 'circle', center: [640, 125], radius: 30 },
+      { type: 'circle', center: [280, 250], radius: 30 },
+      { type: 'circle', center: [520, 250], radius: 30 },
+      { type: 'circle', center: [160, 375], radius: 30 },
+      { type: 'circle', center: [400, 375], radius: 30 },
+      { type: 'circle', center: [640, 375], radius: 30 }
+    ]
+  },
+  {
+    name: 'Divider',
+    obstacles: [
+      { type: 'wall', from: [400, 0], to: [400, 380], thickness: 14 }
+    ]
+  },
+  {
+    name: 'Rocks',
+    obstacles: [
+      { type: 'polygon', points: [[120, 90], [210, 70], [240, 150], [150, 180]] },
+      { type: 'polygon', points: [[520, 60], [620, 110], [560, 170]] },
+      { type: 'polygon', points: [[300, 300], [380, 260], [450, 310], [410, 400], [320, 390]] },
+      { type: 'polygon', points: [[620, 330], [720, 350], [680, 440]] }
+    ]
+  },
+  {
+    name: 'Maze',
+    obstacles: [
+      { type: 'wall', from: [160, 0], to: [160, 360] },
+      { type: 'wall', from: [320, 140], to: [320, 500] },
+      { type: 'wall', from: [480, 0], to: [480, 360] },
+      { type: 'wall', from: [640, 140], to: [640, 500] }
+    ]
+  }
+];
+
+/**
+ * Find a built-in map by name
+ * @param {string} name - Name of the map
+ * @returns {Object|null} - The map, or null if there is none by that name
+ */
+export function getBuiltinMap(name) {
+  return BUILTIN_MAPS.find((map) => map.name === name) || null;
+}
+
+export default BUILTIN_MAPS;
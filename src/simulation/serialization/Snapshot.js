@@ -0,0 +1,62 @@
+// src/simulation/serialization/Snapshot.js
+import { migrations } from './migrations.js';
+
+/**
+ * Identifies snapshot files written by this simulator
+ */
+export const SNAPSHOT_FORMAT = 'dot-organism-evolution';
+
+/**
+ * Current snapshot schema version
+ * Bump it together with a new entry in migrations.js whenever the saved shape changes
+ */
+export const SNAPSHOT_VERSION = 3;
+
+/**
+ * Capture a complete, versioned snapshot of a running engine
+ * @param {SimulationEngine} engine - The engine to save
+ * @returns {Object} - JSON-friendly snapshot
+ */
+export function createSnapshot(engine) {
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    savedAt: new Date().toISOString(),
+    engine: engine.serialize()
+  };
+}
+
+/**
+ * Bring a snapshot of any older version up to the current version
+ * @param {Object} snapshot - Parsed snapshot
+ * @returns {Object} - Snapshot of the current version
+ */
+export function migrateSnapshot(snapshot) {
+  if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+    throw new Error('Not a simulation snapshot');
+  }
+  if (!Number.isInteger(snapshot.version) || snapshot.version > SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version: ${snapshot.version}`);
+  }
+  
+  let migrated = snapshot;
+  while (migrated.version < SNAPSHOT_VERSION) {
+    const migrate = migrations[migrated.version];
+    if (!migrate) {
+      throw new Error(`No migration from snapshot version ${migrated.version}`);
+    }
+    migrated = migrate(migrated);
+  }
+  return migrated;
+}
+
+/**
+ * Replace an engine's run with the one stored in a snapshot
+ * @param {SimulationEngine} engine - The engine to load into
+ * @param {Object} snapshot - Parsed snapshot of any supported version
+ */
+export function restoreSnapshot(engine, snapshot) {
+  engine.deserialize(migrateSnapshot(snapshot).engine);
+}
+
+export default createSnapshot;
@@ -0,0 +1,137 @@
+// src/simulation/serialization/migrations.js
+
+/**
+ * Upgrades for saved snapshots, keyed by the version they upgrade from
+ * Each migration receives a snapshot of that version and returns one of the
+ * next version. When the format changes, bump SNAPSHOT_VERSION and add an
+ * entry here, e.g.
+ *
+ *   1: (snapshot) => ({ ...snapshot, version: 2, engine: { ...snapshot.engine, newField: 0 } })
+ *
+ * Migrations spell out the values they fill in rather than reading constants,
+ * so they keep describing the old format when the constants change.
+ * Snapshots were still written as version 1 while some of the fields a
+ * migration adds were being introduced, so fields already present are kept.
+ */
+export const migrations = {
+  /**
+   * Version 2 added limb damage, distance fitness, material genes, controllers
+   * and body graphs. Version 1 runs used fixed masses, stiffnesses and
+   * contract/extend ratios, picked each limb's pattern from the higher of its
+   * two joint IDs and drove every organism with its patterns
+   */
+  1: (snapshot) => {
+    const entities = snapshot.engine.world.entities;
+    const jointsById = new Map();
+    for (const entity of entities) {
+      if (entity.components.JointComponent) jointsById.set(entity.id, entity.components.JointComponent);
+    }
+    
+    const migrateEntity = (entity) => {
+      const {
+        JointComponent: joint,
+        OrganismComponent: organism,
+        FitnessComponent: fitness,
+        GeneticComponent: genetics
+      } = entity.components;
+      const components = { ...entity.components };
+      
+      if (joint) {
+        components.JointComponent = {
+          ...joint,
+          limbDamage: joint.limbDamage ?? [],
+          limbIndices: joint.limbIndices ?? joint.connections.map((id) => [id, Math.max(entity.id, id) % 1000]),
+          limbStiffness: joint.limbStiffness ?? joint.connections.map((id) => [id, 2.0])
+        };
+      }
+      if (organism) {
+        // Every limb is listed on both of its joints
+        const limbEnds = organism.jointIds.reduce((sum, id) => sum + (jointsById.get(id)?.connections.length ?? 0), 0);
+        components.OrganismComponent = {
+          ...organism,
+          limbCount: organism.limbCount ?? limbEnds / 2,
+          oscillatorPhases: organism.oscillatorPhases ?? []
+        };
+      }
+      if (fitness) {
+        components.FitnessComponent = { distance: 0, lastX: null, brokenLimbs: 0, penalty: 0, ...fitness };
+      }
+      if (genetics) {
+        components.GeneticComponent = {
+          ...genetics,
+          jointMasses: genetics.jointMasses ?? new Array(8).fill(1),
+          limbStiffness: genetics.limbStiffness ?? new Array(16).fill(2.0),
+          contractRatios: genetics.contractRatios ?? new Array(16).fill(0.7),
+          extendRatios: genetics.extendRatios ?? new Array(16).fill(1.3),
+          controller: genetics.controller ?? 'pattern',
+          limbAmplitudes: genetics.limbAmplitudes ?? null,
+          limbFrequencies: genetics.limbFrequencies ?? null,
+          limbPhases: genetics.limbPhases ?? null,
+          coupling: genetics.coupling ?? 0,
+          neuralWeights: genetics.neuralWeights ?? null,
+          bodyGraph: genetics.bodyGraph ?? null
+        };
+      }
+      return { ...entity, components };
+    };
+    
+    return {
+      ...snapshot,
+      version: 2,
+      engine: {
+        ...snapshot.engine,
+        world: { ...snapshot.engine.world, entities: entities.map(migrateEntity) }
+      }
+    };
+  },
+  
+  /**
+   * Version 3 tied joints and limbs to genes by slots that survive body graph
+   * mutations, replacing the organism's limb count. Version 2 joints used the
+   * genes at their position in the organism, and graphs in their own order
+   */
+  2: (snapshot) => {
+    const entities = snapshot.engine.world.entities;
+    const jointPositions = new Map();
+    for (const entity of entities) {
+      entity.components.OrganismComponent?.jointIds.forEach((id, i) => jointPositions.set(id, i));
+    }
+    
+    const migrateEntity = (entity) => {
+      const { JointComponent: joint, OrganismComponent: organism, GeneticComponent: genetics } = entity.components;
+      const components = { ...entity.components };
+      
+      if (joint) {
+        components.JointComponent = { ...joint, geneIndex: jointPositions.get(entity.id) ?? 0 };
+      }
+      if (organism) {
+        const { limbCount: _limbCount, ...rest } = organism;
+        components.OrganismComponent = rest;
+      }
+      if (genetics?.bodyGraph) {
+        const { joints, limbs } = genetics.bodyGraph;
+        components.GeneticComponent = {
+          ...genetics,
+          bodyGraph: {
+            joints,
+            limbs,
+            jointSlots: joints.map((joint, i) => i),
+            limbSlots: limbs.map((limb, i) => i)
+          }
+        };
+      }
+      return { ...entity, components };
+    };
+    
+    return {
+      ...snapshot,
+      version: 3,
+      engine: {
+        ...snapshot.engine,
+        world: { ...snapshot.engine.world, entities: entities.map(migrateEntity) }
+      }
+    };
+  }
+};
+
+export default migrations;
@@ -0,0 +1,154 @@
+// src/simulation/worker/simulation.worker.js
+import { SimulationEngine } from '../SimulationEngine.js';
+import { SimulationClock } from '../SimulationClock.js';
+import { createRenderSnapshot, getSnapshotTransferables } from '../RenderSnapshot.js';
+import { createSnapshot, restoreSnapshot } from '../serialization/Snapshot.js';
+
+/**
+ * Dedicated Worker that hosts the World and every non-render system
+ * The main thread controls it with messages ('init', 'start', 'pause',
+ * 'setSpeed', 'restart', 'seekHistory', 'setProfiling') and receives 'frame'
+ * render snapshots plus 'generation', 'load' and 'history' events back. Requests that carry a
+ * requestId ('getProfile', 'saveSnapshot', 'loadSnapshot') are answered
+ * with a 'response' message holding either a result or an error.
+ */
+
+const FRAME_INTERVAL = 1000 / 60; // Milliseconds between simulation frames
+
+let engine = null;
+let clock = null;
+let speed = 1;
+let running = false;
+let timerId = null;
+let lastTime = 0;
+
+/**
+ * Post a render snapshot of the current world, transferring its buffers
+ */
+function postFrame() {
+  const snapshot = createRenderSnapshot(engine.world, engine.boundary);
+  self.postMessage({ type: 'frame', snapshot }, getSnapshotTransferables(snapshot));
+}
+
+/**
+ * Answer a request from the main thread
+ * @param {number} requestId - ID sent with the request
+ * @param {Function} handler - Produces the result; may throw
+ */
+function respond(requestId, handler) {
+  try {
+    self.postMessage({ type: 'response', requestId, result: handler() });
+  } catch (error) {
+    self.postMessage({ type: 'response', requestId, error: error.message });
+  }
+}
+
+/**
+ * Run one frame's worth of fixed steps and post the result
+ */
+function tick() {
+  const now = performance.now();
+  const frameTime = (now - lastTime) / 1000;
+  lastTime = now;
+  
+  const steps = clock.advance(frameTime, speed);
+  for (let i = 0; i < steps; i++) {
+    engine.step();
+  }
+  
+  postFrame();
+  timerId = setTimeout(tick, FRAME_INTERVAL);
+}
+
+/**
+ * Start the frame loop if it is not already running
+ */
+function start() {
+  running = true;
+  if (!engine || timerId !== null) return;
+  
+  clock.reset();
+  lastTime = performance.now();
+  timerId = setTimeout(tick, FRAME_INTERVAL);
+}
+
+/**
+ * Stop the frame loop
+ */
+function pause() {
+  running = false;
+  if (timerId !== null) {
+    clearTimeout(timerId);
+    timerId = null;
+  }
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+  
+  switch (message.type) {
+    case 'init':
+      engine = new SimulationEngine(message.params);
+      engine.on('generation', ({ generation, stats }) => {
+        self.postMessage({ type: 'generation', generation, stats });
+      });
+      engine.on('load', ({ generation, stats, params }) => {
+        self.postMessage({ type: 'load', generation, stats, params });
+      });
+      engine.on('history', ({ size, index, step }) => {
+        self.postMessage({ type: 'history', size, index, step });
+      });
+      engine.enableHistory();
+      clock = new SimulationClock();
+      postFrame();
+      if (running) start();
+      break;
+      
+    case 'start':
+      start();
+      break;
+      
+    case 'pause':
+      pause();
+      break;
+      
+    case 'setSpeed':
+      speed = message.speed;
+      break;
+      
+    case 'restart':
+      engine.restart(message.params);
+      clock.reset();
+      postFrame();
+      break;
+      
+    case 'seekHistory':
+      engine.seekHistory(message.index);
+      clock.reset();
+      postFrame();
+      break;
+      
+    case 'setProfiling':
+      engine.setProfiling(message.enabled);
+      break;
+      
+    case 'getProfile':
+      respond(message.requestId, () => engine.getProfile());
+      break;
+      
+    case 'saveSnapshot':
+      respond(message.requestId, () => createSnapshot(engine));
+      break;
+      
+    case 'loadSnapshot':
+      respond(message.requestId, () => {
+        restoreSnapshot(engine, message.snapshot);
+        clock.reset();
+        postFrame();
+      });
+      break;
+      
+    default:
+      console.warn(`Unknown simulation worker message: ${message.type}`);
+  }
+};
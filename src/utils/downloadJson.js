@@ -0,0 +1,20 @@
+// src/utils/downloadJson.js
+
+/**
+ * Offer a JSON-serializable value to the user as a downloaded file
+ * @param {*} data - Value to serialize
+ * @param {string} filename - Suggested file name
+ */
+export function downloadJson(data, filename) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  
+  URL.revokeObjectURL(url);
+}
+
+export default downloadJson;